@@ -0,0 +1,322 @@
+import * as THREE from 'three';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { createEventBus } from './interaction.js';
+
+/**
+ * 资源加载：全局共用一个 LoadingManager（进度用于加载界面）和贴图缓存，并记录加载失败的资源
+ *
+ * 贴图按地址缓存，同一张图只下载一次（.hdr 全景图用 RGBELoader 加载）；每种设置（repeat 等）得到一个共享图片的贴图副本，
+ * 副本由保持原样的原贴图复制，没有指定的设置取默认值，不会沿用先前调用的设置；
+ * 副本与原贴图共用同一个 Source，平铺方式相同时 GPU 上也只上传一份。
+ * 加载失败的贴图换成纯色图片，材质退化为只有底色的纯色材质；
+ * 模型等其他资源的失败由调用方处理（如学生改用占位人偶），再通过 reportError 记入错误列表
+ *
+ * 压缩贴图：运行 npm run textures:ktx2（见 scripts/convert-textures-ktx2.js）把 public/textures 转成 KTX2，
+ * 生成的清单列出有 KTX2 版本的图片。enableCompressedTextures 读取清单后，清单中的图片改为加载 KTX2
+ * （由 Basis 转码器转成显卡支持的压缩格式，显存占用约为原来的 1/4~1/6）；
+ * 没有清单、浏览器不支持或 KTX2 文件加载失败时使用原来的 JPG / PNG
+ */
+
+/**
+ * 资源事件类型
+ *   start: { url, loaded, total }     开始一批加载（之前没有进行中的加载时）
+ *   progress: { url, loaded, total }  完成一项（成功或失败）
+ *   load: { loaded, total }           当前所有加载都已结束
+ *   error: { url, kind, message, fallback }  记录了一个失败的资源（同一地址再次记录时更新）
+ */
+export const ASSET_EVENTS = ['start', 'progress', 'load', 'error'];
+
+// 资源类别（错误列表中显示）
+export const ASSET_KIND_LABELS = {
+  texture: '贴图',
+  model: '模型',
+  file: '文件'
+};
+
+// 贴图加载失败时的替代颜色（浅灰，与各材质的底色相乘）
+const FALLBACK_TEXTURE_COLOR = '#c8c8c8';
+// KTX2 清单和 Basis 转码器（由转换脚本复制到 public/basis）的默认位置
+const KTX2_MANIFEST_URL = '/textures/ktx2-manifest.json';
+const BASIS_TRANSCODER_PATH = '/basis/';
+
+/**
+ * 替代贴图使用的纯色图片
+ */
+function createFallbackImage() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 2;
+  canvas.height = 2;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = FALLBACK_TEXTURE_COLOR;
+  ctx.fillRect(0, 0, 2, 2);
+  return canvas;
+}
+
+/**
+ * 把图片读成 RGBA 像素，作为压缩贴图对象的未压缩数据（KTX2 加载失败时回退用）
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ */
+function readPixels(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0);
+  const { data } = ctx.getImageData(0, 0, image.width, image.height);
+  return { data: new Uint8Array(data.buffer), width: image.width, height: image.height };
+}
+
+// 压缩贴图和 HDR 数据贴图的数据字段，贴图副本在数据就绪后从原贴图同步
+const COMPRESSED_FIELDS = ['format', 'type', 'minFilter', 'magFilter', 'generateMipmaps', 'flipY', 'premultiplyAlpha'];
+
+/**
+ * 创建资源管理器
+ */
+export function createAssetManager() {
+  const events = createEventBus(ASSET_EVENTS);
+  const manager = new THREE.LoadingManager();
+  const textureLoader = new THREE.TextureLoader(manager);
+  const imageLoader = new THREE.ImageLoader(manager);
+  const hdrLoader = new RGBELoader(manager);
+  let ktx2Loader = null;
+  let ktx2Files = new Map(); // 原图地址 -> KTX2 地址
+  // 地址 -> { texture: 原贴图（不交给调用方）, copies: Map<设置, 贴图>, status: 'loading'|'loaded'|'failed', callbacks }
+  const textures = new Map();
+  const errors = new Map(); // 地址 -> { url, kind, message, fallback }
+  let loading = false;
+
+  manager.onStart = (url, loaded, total) => {
+    loading = true;
+    events.emit('start', { url, loaded, total });
+  };
+  manager.onProgress = (url, loaded, total) => events.emit('progress', { url, loaded, total });
+  manager.onLoad = () => {
+    loading = false;
+    events.emit('load', { loaded: manager.itemsLoaded, total: manager.itemsTotal });
+  };
+  // 加载器先调用各自的错误回调再通知 LoadingManager，已由回调记录的地址这里不再重复
+  manager.onError = (url) => {
+    if (!errors.has(url)) api.reportError({ url, kind: 'file' });
+  };
+
+  // 贴图设置：色彩空间、重复次数（同时开启重复平铺）、映射方式、各向异性过滤；没有指定的取 three.js 的默认值
+  const applyOptions = (texture, {
+    colorSpace = THREE.NoColorSpace,
+    repeat = null,
+    mapping = THREE.UVMapping,
+    anisotropy = 1
+  } = {}) => {
+    texture.colorSpace = colorSpace;
+    texture.wrapS = repeat ? THREE.RepeatWrapping : THREE.ClampToEdgeWrapping;
+    texture.wrapT = texture.wrapS;
+    texture.repeat.set(repeat?.[0] ?? 1, repeat?.[1] ?? 1);
+    texture.mapping = mapping;
+    texture.anisotropy = anisotropy;
+    return texture;
+  };
+
+  // 图片就绪（或已换成替代图片）后刷新所有副本，加载成功时通知等待的调用方
+  const settle = (entry, status) => {
+    entry.status = status;
+    entry.copies.forEach((copy) => {
+      if (entry.texture.isCompressedTexture || entry.texture.isDataTexture) {
+        // clone 时复制的是当时（加载前）的空数据
+        copy.mipmaps = entry.texture.mipmaps;
+        COMPRESSED_FIELDS.forEach((field) => {
+          copy[field] = entry.texture[field];
+        });
+      }
+      copy.needsUpdate = true;
+    });
+    const callbacks = entry.callbacks;
+    entry.callbacks = [];
+    if (status === 'loaded') callbacks.forEach(({ texture, onLoad }) => onLoad(texture));
+  };
+
+  // 普通图片贴图；失败时换成纯色图片
+  const loadImageTexture = (url, entry) => textureLoader.load(url, () => settle(entry, 'loaded'), undefined, (error) => {
+    entry.texture.image = createFallbackImage();
+    api.reportError({ url, kind: 'texture', error, fallback: '改用纯色材质' });
+    settle(entry, 'failed');
+  });
+
+  // HDR 全景图（RGBE）；失败时换成 1x1 的灰色数据
+  const loadHDRTexture = (url, entry) => hdrLoader.load(url, () => settle(entry, 'loaded'), undefined, (error) => {
+    const gray = parseInt(FALLBACK_TEXTURE_COLOR.slice(1, 3), 16);
+    Object.assign(entry.texture, { type: THREE.UnsignedByteType, minFilter: THREE.LinearFilter, generateMipmaps: false });
+    entry.texture.image = { data: new Uint8Array([gray, gray, gray, 255]), width: 1, height: 1 };
+    api.reportError({ url, kind: 'texture', error, fallback: '改用纯色贴图' });
+    settle(entry, 'failed');
+  });
+
+  // KTX2 压缩贴图：先返回空的压缩贴图对象，转码完成后填入数据；
+  // KTX2 失败时加载原图，以未压缩的 RGBA 数据填入同一个对象（材质已经引用了它）
+  const loadCompressedTexture = (url, entry) => {
+    const texture = new THREE.CompressedTexture([], 0, 0);
+    const fill = (mipmaps, width, height, fields) => {
+      texture.image = { width, height };
+      texture.mipmaps = mipmaps;
+      Object.assign(texture, fields);
+    };
+    const fallbackToImage = (error) => {
+      console.warn(`KTX2 贴图加载失败，改用原图: ${ktx2Files.get(url)}`, error);
+      const uncompressed = {
+        format: THREE.RGBAFormat,
+        type: THREE.UnsignedByteType,
+        minFilter: THREE.LinearMipmapLinearFilter,
+        magFilter: THREE.LinearFilter,
+        generateMipmaps: true,
+        flipY: true,
+        premultiplyAlpha: false
+      };
+      imageLoader.load(url, (image) => {
+        const pixels = readPixels(image);
+        fill([pixels], pixels.width, pixels.height, uncompressed);
+        settle(entry, 'loaded');
+      }, undefined, (imageError) => {
+        const pixels = readPixels(createFallbackImage());
+        fill([pixels], pixels.width, pixels.height, uncompressed);
+        api.reportError({ url, kind: 'texture', error: imageError, fallback: '改用纯色材质' });
+        settle(entry, 'failed');
+      });
+    };
+    ktx2Loader.load(ktx2Files.get(url), (loaded) => {
+      fill(loaded.mipmaps, loaded.image.width, loaded.image.height,
+        Object.fromEntries(COMPRESSED_FIELDS.map(field => [field, loaded[field]])));
+      loaded.dispose();
+      settle(entry, 'loaded');
+    }, undefined, fallbackToImage);
+    return texture;
+  };
+
+  const api = {
+    events,
+
+    /** 共用的 LoadingManager，传给 GLTFLoader 等加载器以计入加载进度 */
+    manager,
+
+    /**
+     * 加载贴图（带缓存）
+     * @param {string} url
+     * @param {object} [options]
+     * @param {string} [options.colorSpace] 如 THREE.SRGBColorSpace
+     * @param {Array<number>} [options.repeat] [x, y] 重复次数
+     * @param {number} [options.mapping] 如 THREE.EquirectangularReflectionMapping
+     * @param {number} [options.anisotropy]
+     * @param {(texture: THREE.Texture) => void} [onLoad] 图片加载成功后调用（失败时不调用）
+     * @returns {THREE.Texture} 立即返回，图片加载完成后自动更新
+     */
+    loadTexture(url, options = {}, onLoad) {
+      let entry = textures.get(url);
+      if (!entry) {
+        entry = { texture: null, copies: new Map(), status: 'loading', callbacks: [] };
+        textures.set(url, entry);
+        if (url.toLowerCase().endsWith('.hdr')) {
+          entry.texture = loadHDRTexture(url, entry);
+        } else {
+          entry.texture = ktx2Loader && ktx2Files.has(url)
+            ? loadCompressedTexture(url, entry)
+            : loadImageTexture(url, entry);
+        }
+      }
+
+      const key = JSON.stringify(options);
+      let texture = entry.copies.get(key);
+      if (!texture) {
+        // 副本与原贴图共享图片（同一个 Source），GPU 上也只上传一份
+        texture = applyOptions(entry.texture.clone(), options);
+        entry.copies.set(key, texture);
+        if (entry.status !== 'loading') texture.needsUpdate = true;
+      }
+      if (onLoad) {
+        if (entry.status === 'loaded') onLoad(texture);
+        else if (entry.status === 'loading') entry.callbacks.push({ texture, onLoad });
+      }
+      return texture;
+    },
+
+    /**
+     * 是否为贴图缓存中的贴图（由 loadTexture 返回、可能被多处材质共用，释放场景时应保留）
+     * @param {THREE.Texture} texture
+     */
+    isCachedTexture(texture) {
+      return [...textures.values()].some(entry => [...entry.copies.values()].includes(texture));
+    },
+
+    /**
+     * 启用 KTX2 压缩贴图：读取转换脚本生成的清单，之后加载的清单中的图片改用 KTX2
+     * 需要在创建教室之前调用并等待完成；之前已经加载的贴图（如环境贴图）不受影响
+     * @param {THREE.WebGLRenderer} renderer 用于检测显卡支持的压缩格式
+     * @param {object} [options]
+     * @param {string} [options.manifestUrl]
+     * @param {string} [options.transcoderPath] Basis 转码器（basis_transcoder.js / .wasm）所在目录
+     * @returns {Promise<number>} 有 KTX2 版本的贴图数量，没有清单时为 0
+     */
+    async enableCompressedTextures(renderer, { manifestUrl = KTX2_MANIFEST_URL, transcoderPath = BASIS_TRANSCODER_PATH } = {}) {
+      let manifest;
+      try {
+        const res = await fetch(manifestUrl);
+        if (!res.ok) throw new Error(`${res.status}`);
+        manifest = await res.json();
+      } catch (error) {
+        // 没有清单是正常情况（没有运行转换脚本），只在开发时提示
+        if (import.meta.env.DEV) console.info('没有 KTX2 贴图清单，使用 JPG / PNG 贴图');
+        return 0;
+      }
+      ktx2Loader = new KTX2Loader(manager).setTranscoderPath(transcoderPath).detectSupport(renderer);
+      ktx2Files = new Map(Object.entries(manifest.textures ?? {}));
+      return ktx2Files.size;
+    },
+
+    /**
+     * 记录加载失败的资源（同一地址只保留一条，后记录的说明覆盖先前的；只在第一次记录时输出到控制台）
+     * @param {object} options
+     * @param {string} options.url
+     * @param {'texture'|'model'|'file'} [options.kind]
+     * @param {Error|Event|string} [options.error]
+     * @param {string} [options.fallback] 采用的替代方案，如「改用占位人偶」
+     */
+    reportError({ url, kind = 'file', error, fallback = null }) {
+      const message = typeof error === 'string' ? error : error?.message ?? '';
+      const previous = errors.get(url);
+      const record = {
+        url,
+        kind: previous && kind === 'file' ? previous.kind : kind,
+        message: message || previous?.message || '',
+        fallback: fallback ?? previous?.fallback ?? null
+      };
+      errors.set(url, record);
+      if (!previous) console.error(`${ASSET_KIND_LABELS[record.kind]}加载失败: ${url}`, error ?? '');
+      events.emit('error', { ...record });
+    },
+
+    /** @returns {Array<{ url: string, kind: string, message: string, fallback: string|null }>} */
+    getErrors() {
+      return [...errors.values()].map(record => ({ ...record }));
+    },
+
+    clearErrors() {
+      errors.clear();
+    },
+
+    /** 是否有进行中的加载 */
+    isLoading() {
+      return loading;
+    },
+
+    /**
+     * 当前所有加载结束时完成（没有进行中的加载时立即完成）
+     * @returns {Promise<void>}
+     */
+    whenIdle() {
+      if (!loading) return Promise.resolve();
+      return new Promise(resolve => events.once('load', () => resolve()));
+    }
+  };
+
+  return api;
+}
+
+/** main.js 与 classroom.js 共用的资源管理器 */
+export const assets = createAssetManager();
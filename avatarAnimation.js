@@ -0,0 +1,341 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import {
+  VRMAnimationLoaderPlugin,
+  VRMLookAtQuaternionProxy,
+  createVRMAnimationClip
+} from '@pixiv/three-vrm-animation';
+
+/**
+ * 人物动画片段播放：加载 VRMA（VRM Animation）或 Mixamo（FBX / GLB）动作，
+ * 重定向到 VRM 人形骨骼上，并用每个人物各自的 AnimationMixer 交叉淡入淡出
+ *
+ * 没有对应片段（未配置或加载失败）时回退到代码里的程序化姿势和待机动画
+ */
+
+// 默认的交叉淡入淡出时长（秒）
+const DEFAULT_FADE = 0.4;
+
+// 常用动作名称
+export const ANIMATION_NAMES = ['idle', 'writing', 'pointing', 'raiseHand', 'sitting'];
+
+// 只播放一次、播完停在最后一帧的动作（其余动作循环播放）
+const ONE_SHOT_ANIMATIONS = ['raiseHand', 'pointing'];
+
+// Mixamo 骨骼名 → VRM 人形骨骼名
+const MIXAMO_VRM_RIG_MAP = {
+  mixamorigHips: 'hips',
+  mixamorigSpine: 'spine',
+  mixamorigSpine1: 'chest',
+  mixamorigSpine2: 'upperChest',
+  mixamorigNeck: 'neck',
+  mixamorigHead: 'head',
+  mixamorigLeftShoulder: 'leftShoulder',
+  mixamorigLeftArm: 'leftUpperArm',
+  mixamorigLeftForeArm: 'leftLowerArm',
+  mixamorigLeftHand: 'leftHand',
+  mixamorigLeftHandThumb1: 'leftThumbMetacarpal',
+  mixamorigLeftHandThumb2: 'leftThumbProximal',
+  mixamorigLeftHandThumb3: 'leftThumbDistal',
+  mixamorigLeftHandIndex1: 'leftIndexProximal',
+  mixamorigLeftHandIndex2: 'leftIndexIntermediate',
+  mixamorigLeftHandIndex3: 'leftIndexDistal',
+  mixamorigLeftHandMiddle1: 'leftMiddleProximal',
+  mixamorigLeftHandMiddle2: 'leftMiddleIntermediate',
+  mixamorigLeftHandMiddle3: 'leftMiddleDistal',
+  mixamorigLeftHandRing1: 'leftRingProximal',
+  mixamorigLeftHandRing2: 'leftRingIntermediate',
+  mixamorigLeftHandRing3: 'leftRingDistal',
+  mixamorigLeftHandPinky1: 'leftLittleProximal',
+  mixamorigLeftHandPinky2: 'leftLittleIntermediate',
+  mixamorigLeftHandPinky3: 'leftLittleDistal',
+  mixamorigRightShoulder: 'rightShoulder',
+  mixamorigRightArm: 'rightUpperArm',
+  mixamorigRightForeArm: 'rightLowerArm',
+  mixamorigRightHand: 'rightHand',
+  mixamorigRightHandThumb1: 'rightThumbMetacarpal',
+  mixamorigRightHandThumb2: 'rightThumbProximal',
+  mixamorigRightHandThumb3: 'rightThumbDistal',
+  mixamorigRightHandIndex1: 'rightIndexProximal',
+  mixamorigRightHandIndex2: 'rightIndexIntermediate',
+  mixamorigRightHandIndex3: 'rightIndexDistal',
+  mixamorigRightHandMiddle1: 'rightMiddleProximal',
+  mixamorigRightHandMiddle2: 'rightMiddleIntermediate',
+  mixamorigRightHandMiddle3: 'rightMiddleDistal',
+  mixamorigRightHandRing1: 'rightRingProximal',
+  mixamorigRightHandRing2: 'rightRingIntermediate',
+  mixamorigRightHandRing3: 'rightRingDistal',
+  mixamorigRightHandPinky1: 'rightLittleProximal',
+  mixamorigRightHandPinky2: 'rightLittleIntermediate',
+  mixamorigRightHandPinky3: 'rightLittleDistal',
+  mixamorigLeftUpLeg: 'leftUpperLeg',
+  mixamorigLeftLeg: 'leftLowerLeg',
+  mixamorigLeftFoot: 'leftFoot',
+  mixamorigLeftToeBase: 'leftToes',
+  mixamorigRightUpLeg: 'rightUpperLeg',
+  mixamorigRightLeg: 'rightLowerLeg',
+  mixamorigRightFoot: 'rightFoot',
+  mixamorigRightToeBase: 'rightToes'
+};
+
+const gltfLoader = new GLTFLoader();
+gltfLoader.register(parser => new VRMAnimationLoaderPlugin(parser));
+const fbxLoader = new FBXLoader();
+
+// 动作文件只下载解析一次，再按人物分别生成片段
+const sourceCache = new Map(); // url -> Promise<{ vrmAnimation } | { mixamo: { root, clip } }>
+
+/**
+ * 加载并缓存动作文件
+ * @param {string} url .vrma / .fbx / .glb / .gltf
+ */
+function loadAnimationSource(url) {
+  if (!sourceCache.has(url)) {
+    const promise = /\.fbx(\?|#|$)/i.test(url)
+      ? fbxLoader.loadAsync(url).then(root => ({ mixamo: { root, clip: pickMixamoClip(root.animations, url) } }))
+      : gltfLoader.loadAsync(url).then((gltf) => {
+          const vrmAnimation = gltf.userData.vrmAnimations?.[0];
+          if (vrmAnimation) return { vrmAnimation };
+          return { mixamo: { root: gltf.scene, clip: pickMixamoClip(gltf.animations, url) } };
+        });
+    // 失败的请求不缓存，下次可以重试
+    promise.catch(() => sourceCache.delete(url));
+    sourceCache.set(url, promise);
+  }
+  return sourceCache.get(url);
+}
+
+function pickMixamoClip(animations, url) {
+  const clip = THREE.AnimationClip.findByName(animations, 'mixamo.com') ?? animations[0];
+  if (!clip) throw new Error(`动作文件中没有动画: ${url}`);
+  return clip;
+}
+
+/**
+ * 把 Mixamo 动作重定向到 VRM 的规范化人形骨骼上
+ * 旋转从 Mixamo 骨骼的静止姿势换算到世界空间，髋部位移按双方髋高比例缩放
+ * @param {{ root: THREE.Object3D, clip: THREE.AnimationClip }} mixamo
+ * @param {import('@pixiv/three-vrm').VRM} vrm
+ */
+function retargetMixamoClip({ root, clip }, vrm) {
+  const tracks = [];
+  const restRotationInverse = new THREE.Quaternion();
+  const parentRestWorldRotation = new THREE.Quaternion();
+  const quat = new THREE.Quaternion();
+  const isV0 = vrm.meta?.metaVersion === '0';
+
+  root.updateMatrixWorld(true);
+  const motionHipsHeight = root.getObjectByName('mixamorigHips')?.position.y ?? 1;
+  const vrmHipsHeight = vrm.humanoid.normalizedRestPose.hips?.position?.[1] ?? 1;
+  const hipsPositionScale = vrmHipsHeight / motionHipsHeight;
+
+  clip.tracks.forEach((track) => {
+    const [rigName, property] = track.name.split('.');
+    const vrmNodeName = vrm.humanoid.getNormalizedBoneNode(MIXAMO_VRM_RIG_MAP[rigName])?.name;
+    const rigNode = root.getObjectByName(rigName);
+    if (!vrmNodeName || !rigNode) return;
+
+    rigNode.getWorldQuaternion(restRotationInverse).invert();
+    rigNode.parent.getWorldQuaternion(parentRestWorldRotation);
+
+    if (track instanceof THREE.QuaternionKeyframeTrack) {
+      // 动作文件是共享的，换算结果写入新数组
+      const values = new Float32Array(track.values.length);
+      for (let i = 0; i < track.values.length; i += 4) {
+        quat.fromArray(track.values, i);
+        quat.premultiply(parentRestWorldRotation).multiply(restRotationInverse);
+        quat.toArray(values, i);
+        // VRM 0.x 的规范化骨骼朝向 -Z，绕 Y 轴翻转
+        if (isV0) {
+          values[i] = -values[i];
+          values[i + 2] = -values[i + 2];
+        }
+      }
+      tracks.push(new THREE.QuaternionKeyframeTrack(`${vrmNodeName}.${property}`, track.times, values));
+    } else if (track instanceof THREE.VectorKeyframeTrack) {
+      const values = track.values.map((v, i) => (isV0 && i % 3 !== 1 ? -v : v) * hipsPositionScale);
+      tracks.push(new THREE.VectorKeyframeTrack(`${vrmNodeName}.${property}`, track.times, values));
+    }
+  });
+  return new THREE.AnimationClip(clip.name, clip.duration, tracks);
+}
+
+/**
+ * 加载动作并生成适用于该 VRM 的动画片段
+ * @param {string} url .vrma（VRM Animation）或 Mixamo 导出的 .fbx / .glb
+ * @param {import('@pixiv/three-vrm').VRM} vrm
+ * @returns {Promise<THREE.AnimationClip>}
+ */
+export async function loadAnimationClip(url, vrm) {
+  const source = await loadAnimationSource(url);
+  if (source.vrmAnimation) {
+    // VRMA 的视线轨道需要挂在模型上的代理节点
+    if (vrm.lookAt && !vrm.scene.getObjectByName('lookAtQuaternionProxy')) {
+      const proxy = new VRMLookAtQuaternionProxy(vrm.lookAt);
+      proxy.name = 'lookAtQuaternionProxy';
+      vrm.scene.add(proxy);
+    }
+    return createVRMAnimationClip(source.vrmAnimation, vrm);
+  }
+  return retargetMixamoClip(source.mixamo, vrm);
+}
+
+/**
+ * 加载动作清单：{ "teacher": { "idle": "/animations/idle.vrma", ... }, "student": { "sitting": ..., ... } }
+ * @param {string} url
+ */
+export async function loadAnimationManifest(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`无法加载动作清单 ${url}: ${res.status}`);
+  }
+  return res.json();
+}
+
+/**
+ * 为一个人物创建动画控制器
+ * @param {import('@pixiv/three-vrm').VRM} vrm
+ * @param {object} [options]
+ * @param {(vrm: object, time: number) => void} [options.fallback] 没有片段播放时每帧调用的程序化待机动画
+ * @param {(vrm: object) => void} [options.restorePose] 回到程序化动画前恢复手写姿势（如 setSittingPose）
+ */
+export function createAvatarAnimator(vrm, { fallback, restorePose } = {}) {
+  const mixer = new THREE.AnimationMixer(vrm.scene);
+  const clips = new Map();   // name -> AnimationClip
+  const pending = new Map(); // name -> Promise，避免重复加载
+  let current = null;        // 正在播放的动作名，null 表示程序化动画
+  let currentAction = null;
+  let fadingOut = false;     // 停止后的淡出阶段仍需更新 mixer
+  let fadeRun = 0;           // 每次 play / stop 加一，过期的淡出计时器不再收尾
+  let disposed = false;
+
+  // 一次性动作播完后回到待机
+  mixer.addEventListener('finished', (event) => {
+    if (event.action !== currentAction || !event.action.userData.returnTo) return;
+    api.play(event.action.userData.returnTo);
+  });
+
+  const api = {
+    mixer,
+
+    /**
+     * 加载一组动作（失败的动作会被跳过，播放时回退到程序化动画）
+     * @param {object} urls { 动作名: 地址 }
+     */
+    async loadClips(urls) {
+      await Promise.all(Object.entries(urls ?? {}).map(([name, url]) => this.loadClip(name, url).catch((error) => {
+        console.warn(`动作加载失败，使用程序化动画: ${name}`, error);
+      })));
+    },
+
+    /**
+     * 加载单个动作
+     * @param {string} name 动作名，如 'idle'、'writing'
+     * @param {string} url
+     */
+    loadClip(name, url) {
+      if (!pending.has(name)) {
+        const promise = loadAnimationClip(url, vrm).then((clip) => {
+          if (disposed) return null;
+          clip.name = name;
+          clips.set(name, clip);
+          return clip;
+        });
+        promise.catch(() => pending.delete(name));
+        pending.set(name, promise);
+      }
+      return pending.get(name);
+    },
+
+    /** @param {string} name */
+    has(name) {
+      return clips.has(name);
+    },
+
+    /**
+     * 交叉淡入到指定动作；没有该片段时淡出当前片段并回到程序化动画
+     * @param {string} name
+     * @param {object} [options]
+     * @param {number} [options.fade] 淡入淡出时长（秒）
+     * @param {boolean} [options.loop] 是否循环，默认举手、指向只播一次
+     * @param {string} [options.returnTo] 一次性动作播完后切换到的动作
+     * @param {number} [options.phase] 从片段的哪个位置开始（0~1），让多人播放同一循环动作时错开
+     * @returns {boolean} 是否播放了片段
+     */
+    play(name, { fade = DEFAULT_FADE, loop = !ONE_SHOT_ANIMATIONS.includes(name), returnTo, phase = 0 } = {}) {
+      const clip = clips.get(name);
+      if (!clip) {
+        this.stop(fade);
+        return false;
+      }
+      if (current === name && currentAction?.isRunning()) return true;
+
+      const action = mixer.clipAction(clip);
+      action.reset();
+      action.time = phase * clip.duration;
+      action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+      action.clampWhenFinished = !loop;
+      action.userData = { returnTo };
+      action.enabled = true;
+      action.setEffectiveWeight(1);
+      if (currentAction && currentAction !== action) {
+        action.crossFadeFrom(currentAction, fade, false);
+      } else {
+        action.fadeIn(fade);
+      }
+      action.play();
+      fadeRun++;
+      fadingOut = false;
+      current = name;
+      currentAction = action;
+      return true;
+    },
+
+    /**
+     * 停止片段，回到程序化姿势
+     * @param {number} [fade]
+     */
+    stop(fade = DEFAULT_FADE) {
+      if (!currentAction) return;
+      const action = currentAction;
+      current = null;
+      currentAction = null;
+      action.fadeOut(fade);
+      fadingOut = true;
+      const run = ++fadeRun;
+      // 淡出结束后恢复手写姿势；期间又播放或停止过，交给最新一次的计时器
+      setTimeout(() => {
+        if (run !== fadeRun || disposed) return;
+        fadingOut = false;
+        mixer.stopAllAction();
+        // 片段会改动所有骨骼，先回到规范化的 T-Pose 再摆手写姿势
+        vrm.humanoid?.resetNormalizedPose();
+        restorePose?.(vrm);
+      }, fade * 1000);
+    },
+
+    /** @returns {string|null} 正在播放的动作名 */
+    getCurrent() {
+      return current;
+    },
+
+    /**
+     * 每帧调用（在 vrm.update 之前）
+     * @param {number} delta 秒
+     * @param {number} time 累计时间（秒），传给程序化动画
+     */
+    update(delta, time) {
+      if (currentAction || fadingOut) mixer.update(delta);
+      if (!currentAction) fallback?.(vrm, time);
+    },
+
+    dispose() {
+      disposed = true;
+      mixer.stopAllAction();
+      clips.forEach(clip => mixer.uncacheClip(clip));
+      clips.clear();
+    }
+  };
+  return api;
+}
@@ -0,0 +1,475 @@
+import * as THREE from 'three';
+import { parseBoardMarkdown, layoutBoardPages, drawBoardPage } from './boardMarkdown.js';
+
+/**
+ * 可书写的黑板：粉笔笔迹记录、撤销、清空，Markdown 板书内容，以及鼠标/触控笔的射线绘制
+ */
+
+// 可选粉笔颜色
+export const CHALK_COLORS = {
+  white: 'rgba(255, 255, 255, 0.85)',
+  yellow: 'rgba(255, 236, 130, 0.85)',
+  pink: 'rgba(255, 160, 190, 0.85)',
+  blue: 'rgba(150, 210, 255, 0.85)'
+};
+
+const CHALK_WIDTH = 8;
+const ERASER_WIDTH = 70;
+
+/**
+ * 按工具设置画笔样式
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} stroke { tool, color, width }
+ */
+function applyStrokeStyle(ctx, stroke) {
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.lineWidth = stroke.width;
+  if (stroke.tool === 'eraser') {
+    // 板擦：擦回透明，露出下方的绿色板面
+    ctx.globalCompositeOperation = 'destination-out';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 1)';
+    ctx.shadowBlur = 0;
+  } else {
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = stroke.color;
+    // 与默认板书一致的粉笔光晕
+    ctx.shadowColor = stroke.color;
+    ctx.shadowBlur = 4;
+  }
+}
+
+/**
+ * 绘制一段笔迹（从第 from 个点开始）
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} stroke
+ * @param {number} from
+ */
+function drawStroke(ctx, stroke, from = 0) {
+  const { points } = stroke;
+  ctx.save();
+  applyStrokeStyle(ctx, stroke);
+  ctx.beginPath();
+  const start = points[Math.max(0, from - 1)];
+  ctx.moveTo(start.x, start.y);
+  if (points.length === 1) {
+    // 单击也留下一个粉笔点
+    ctx.lineTo(start.x + 0.1, start.y);
+  }
+  for (let i = Math.max(1, from); i < points.length; i++) {
+    ctx.lineTo(points[i].x, points[i].y);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * 创建一块可书写的粉笔板面
+ * 板书由“底稿”（drawBase 绘制的默认内容）和按顺序记录的操作（笔画 / 清空）组成，
+ * 撤销时按记录重绘整块画布
+ * @param {object} options
+ * @param {HTMLCanvasElement} options.canvas 板面画布
+ * @param {THREE.CanvasTexture} options.texture 画布对应的贴图
+ * @param {THREE.Mesh} options.mesh 贴图所在的平面，用于射线拾取
+ * @param {(ctx: CanvasRenderingContext2D) => void} options.drawBase 底稿绘制函数
+ * @param {() => void} [options.onAction] 每记录一次可撤销操作时回调
+ */
+export function createChalkSurface({ canvas, texture, mesh, drawBase, onAction }) {
+  const ctx = canvas.getContext('2d');
+  const actions = [];
+  let currentStroke = null;
+  let tool = 'chalk';
+  let color = CHALK_COLORS.white;
+
+  const redraw = () => {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    // 最后一次清空之前的内容（包括底稿）都不再绘制
+    let start = 0;
+    for (let i = actions.length - 1; i >= 0; i--) {
+      if (actions[i].type === 'clear') {
+        start = i + 1;
+        break;
+      }
+    }
+    if (start === 0) {
+      drawBase(ctx);
+    }
+    for (let i = start; i < actions.length; i++) {
+      drawStroke(ctx, actions[i]);
+    }
+    texture.needsUpdate = true;
+  };
+
+  redraw();
+
+  return {
+    canvas,
+    texture,
+    mesh,
+
+    /** @param {'chalk'|'eraser'} value */
+    setTool(value) {
+      tool = value;
+    },
+
+    /** @param {string} value CSS 颜色，或 CHALK_COLORS 中的名称 */
+    setColor(value) {
+      color = CHALK_COLORS[value] ?? value;
+    },
+
+    /**
+     * 开始一笔（画布像素坐标）
+     * @param {number} x
+     * @param {number} y
+     */
+    beginStroke(x, y) {
+      currentStroke = {
+        type: 'stroke',
+        tool,
+        color,
+        width: tool === 'eraser' ? ERASER_WIDTH : CHALK_WIDTH,
+        points: [{ x, y }]
+      };
+      actions.push(currentStroke);
+      onAction?.();
+      drawStroke(ctx, currentStroke);
+      texture.needsUpdate = true;
+    },
+
+    extendStroke(x, y) {
+      if (!currentStroke) return;
+      currentStroke.points.push({ x, y });
+      drawStroke(ctx, currentStroke, currentStroke.points.length - 1);
+      texture.needsUpdate = true;
+    },
+
+    endStroke() {
+      currentStroke = null;
+    },
+
+    undo() {
+      if (actions.length === 0) return;
+      actions.pop();
+      currentStroke = null;
+      redraw();
+    },
+
+    /** 清空黑板（可撤销） */
+    clear() {
+      actions.push({ type: 'clear' });
+      onAction?.();
+      currentStroke = null;
+      redraw();
+    },
+
+    /** 更换底稿并清除所有笔迹 */
+    setBase(draw) {
+      drawBase = draw;
+      actions.length = 0;
+      currentStroke = null;
+      redraw();
+    },
+
+    redraw
+  };
+}
+
+/**
+ * 黑板控制器：统一设置左右两块板面的工具与颜色，按时间顺序跨板面撤销，
+ * 并可用 Markdown 替换板书内容（超出一页时分页）
+ * @param {object} sides { left, right } 两侧板面的 createChalkSurface 参数
+ */
+export function createBlackboardController(sides) {
+  const history = []; // 每项为一次操作涉及的板面列表
+  let pendingClear = null; // 同时清空多块板面时合并为一次撤销
+  const contents = {}; // 每侧的 { pages, page }；为空表示显示默认板书
+
+  const surfaces = {};
+  const defaultBases = {};
+  Object.entries(sides).forEach(([side, options]) => {
+    defaultBases[side] = options.drawBase;
+    const surface = createChalkSurface({
+      ...options,
+      onAction: () => {
+        if (pendingClear) {
+          pendingClear.push(surface);
+        } else {
+          history.push([surface]);
+        }
+      }
+    });
+    surfaces[side] = surface;
+  });
+  const all = Object.values(surfaces);
+
+  const getSurface = (side) => {
+    const surface = surfaces[side];
+    if (!surface) throw new Error(`未知的黑板: ${side}`);
+    return surface;
+  };
+
+  // 更换底稿会清除该板面的笔迹，同时从撤销记录中移除
+  const setBase = (side, draw) => {
+    const surface = getSurface(side);
+    for (let i = history.length - 1; i >= 0; i--) {
+      history[i] = history[i].filter(s => s !== surface);
+      if (history[i].length === 0) history.splice(i, 1);
+    }
+    surface.setBase(draw);
+  };
+
+  const showPage = (side, page) => {
+    const content = contents[side];
+    content.page = THREE.MathUtils.clamp(page, 0, content.pages.length - 1);
+    const { pages } = content;
+    const index = content.page;
+    setBase(side, ctx => drawBoardPage(ctx, pages[index], index, pages.length));
+  };
+
+  return {
+    ...surfaces,
+
+    /** @param {'chalk'|'eraser'} tool */
+    setTool(tool) {
+      all.forEach(s => s.setTool(tool));
+    },
+
+    /** @param {string} color CSS 颜色，或 CHALK_COLORS 中的名称 */
+    setColor(color) {
+      all.forEach(s => s.setColor(color));
+    },
+
+    /** 撤销最近一次操作（无论在哪块板面上） */
+    undo() {
+      const entry = history.pop();
+      if (entry) entry.forEach(s => s.undo());
+    },
+
+    /**
+     * 用 Markdown 替换一侧的板书（标题、列表、框图），超出画布时自动分页并显示第一页
+     * 会清除该侧已有的粉笔笔迹
+     * @param {'left'|'right'} side
+     * @param {string|null} markdown 为空时恢复默认板书
+     * @returns {number} 总页数
+     */
+    setContent(side, markdown) {
+      const surface = getSurface(side);
+      if (!markdown) {
+        delete contents[side];
+        setBase(side, defaultBases[side]);
+        return 1;
+      }
+      const ctx = surface.canvas.getContext('2d');
+      const pages = layoutBoardPages(ctx, parseBoardMarkdown(markdown), surface.canvas.width, surface.canvas.height);
+      contents[side] = { pages, page: 0 };
+      showPage(side, 0);
+      return pages.length;
+    },
+
+    /**
+     * 从文件加载一侧的板书提纲（如 /lessons/ai-intro/left.md）
+     * @param {'left'|'right'} side
+     * @param {string} url
+     */
+    async loadContent(side, url) {
+      const res = await fetch(url);
+      if (!res.ok) {
+        throw new Error(`无法加载板书 ${url}: ${res.status}`);
+      }
+      return this.setContent(side, await res.text());
+    },
+
+    /**
+     * 翻到指定页（会清除该侧的粉笔笔迹）
+     * @param {'left'|'right'} side
+     * @param {number} page 从 0 开始
+     */
+    setPage(side, page) {
+      const content = contents[side];
+      if (!content) return;
+      const target = THREE.MathUtils.clamp(page, 0, content.pages.length - 1);
+      if (target !== content.page) showPage(side, target);
+    },
+
+    /**
+     * 下一页 / 上一页；不指定 side 时两侧一起翻
+     * @param {'left'|'right'} [side]
+     */
+    nextPage(side) {
+      (side ? [side] : Object.keys(contents)).forEach(s => this.setPage(s, (contents[s]?.page ?? 0) + 1));
+    },
+
+    prevPage(side) {
+      (side ? [side] : Object.keys(contents)).forEach(s => this.setPage(s, (contents[s]?.page ?? 0) - 1));
+    },
+
+    /**
+     * @param {'left'|'right'} side
+     * @returns {{ page: number, pageCount: number }}
+     */
+    getPageInfo(side) {
+      const content = contents[side];
+      return content ? { page: content.page, pageCount: content.pages.length } : { page: 0, pageCount: 1 };
+    },
+
+    /**
+     * 清空黑板（可撤销）
+     * @param {'left'|'right'} [side] 缺省时清空两块板面
+     */
+    clear(side) {
+      const targets = side ? [surfaces[side]].filter(Boolean) : all;
+      pendingClear = [];
+      targets.forEach(s => s.clear());
+      if (pendingClear.length > 0) history.push(pendingClear);
+      pendingClear = null;
+    }
+  };
+}
+
+/**
+ * 把鼠标/触控笔事件射线投射到黑板上并绘制粉笔笔迹（VR 手柄等外部射线见 beginRayStroke）
+ * 使用捕获阶段监听，落笔在黑板上时暂停 OrbitControls，避免书写时转动视角
+ * @param {object} blackboard 黑板控制器（classroom.blackboard）
+ * @param {object} options
+ * @param {THREE.Camera} options.camera
+ * @param {HTMLElement} options.domElement
+ * @param {import('three/addons/controls/OrbitControls.js').OrbitControls} [options.controls]
+ * @returns {{ setEnabled: Function, hitDistance: Function, beginRayStroke: Function, moveRayStroke: Function, endRayStroke: Function, dispose: Function }}
+ */
+export function bindBlackboardInput(blackboard, { camera, domElement, controls }) {
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const surfaces = [blackboard.left, blackboard.right].filter(s => s && s.mesh);
+  let enabled = false;
+  let active = null; // 正在书写的 { surface, pointerId, drawing, controlsEnabled }
+
+  // 射线与板面的交点（画布像素坐标）
+  const pickRay = (caster) => {
+    const hit = caster.intersectObjects(surfaces.map(s => s.mesh), false)[0];
+    if (!hit || !hit.uv) return null;
+    const surface = surfaces.find(s => s.mesh === hit.object);
+    return {
+      surface,
+      x: hit.uv.x * surface.canvas.width,
+      y: (1 - hit.uv.y) * surface.canvas.height,
+      distance: hit.distance
+    };
+  };
+
+  const pick = (event) => {
+    const rect = domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(pointer, camera);
+    return pickRay(raycaster);
+  };
+
+  const begin = (id, hit) => {
+    // 记下书写前视角控制是否开着（漫游时本来就关着），停笔后恢复原状
+    active = { surface: hit.surface, pointerId: id, drawing: true, controlsEnabled: controls?.enabled };
+    if (controls) controls.enabled = false;
+    hit.surface.beginStroke(hit.x, hit.y);
+  };
+
+  const move = (hit) => {
+    // 移出当前板面时停笔，重新进入时另起一笔
+    if (!hit || hit.surface !== active.surface) {
+      if (active.drawing) {
+        active.surface.endStroke();
+        active.drawing = false;
+      }
+      return;
+    }
+    if (active.drawing) {
+      active.surface.extendStroke(hit.x, hit.y);
+    } else {
+      active.surface.beginStroke(hit.x, hit.y);
+      active.drawing = true;
+    }
+  };
+
+  const end = () => {
+    active.surface.endStroke();
+    if (controls) controls.enabled = active.controlsEnabled;
+    active = null;
+  };
+
+  const onPointerDown = (event) => {
+    if (!enabled || event.button !== 0) return;
+    const hit = pick(event);
+    if (!hit) return;
+    begin(event.pointerId, hit);
+    domElement.setPointerCapture(event.pointerId);
+    event.preventDefault();
+  };
+
+  const onPointerMove = (event) => {
+    if (!active || event.pointerId !== active.pointerId) return;
+    move(pick(event));
+  };
+
+  const onPointerUp = (event) => {
+    if (!active || event.pointerId !== active.pointerId) return;
+    end();
+    if (domElement.hasPointerCapture(event.pointerId)) {
+      domElement.releasePointerCapture(event.pointerId);
+    }
+  };
+
+  domElement.addEventListener('pointerdown', onPointerDown, { capture: true });
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerup', onPointerUp);
+  domElement.addEventListener('pointercancel', onPointerUp);
+
+  return {
+    setEnabled(value) {
+      enabled = value;
+      domElement.style.cursor = value ? 'crosshair' : '';
+    },
+
+    /**
+     * 射线命中板面的距离（如 VR 手柄射线的长度），未命中时为 null
+     * @param {THREE.Raycaster} caster
+     */
+    hitDistance(caster) {
+      return pickRay(caster)?.distance ?? null;
+    },
+
+    /**
+     * 用射线落笔（如 VR 手柄），不受 setEnabled 影响，由调用方检查权限
+     * @param {string|number} id 区分不同的射线来源，与 moveRayStroke / endRayStroke 对应
+     * @param {THREE.Raycaster} caster
+     * @returns {boolean} 是否落在了板面上
+     */
+    beginRayStroke(id, caster) {
+      if (active) return false;
+      const hit = pickRay(caster);
+      if (!hit) return false;
+      begin(id, hit);
+      return true;
+    },
+
+    moveRayStroke(id, caster) {
+      if (active?.pointerId === id) move(pickRay(caster));
+    },
+
+    endRayStroke(id) {
+      if (active?.pointerId === id) end();
+    },
+
+    /** 解除输入绑定；正在书写的笔画先收笔（记入撤销历史）并恢复相机控制 */
+    dispose() {
+      if (active) {
+        const { pointerId } = active;
+        end();
+        if (typeof pointerId === 'number' && domElement.hasPointerCapture(pointerId)) {
+          domElement.releasePointerCapture(pointerId);
+        }
+      }
+      domElement.removeEventListener('pointerdown', onPointerDown, { capture: true });
+      domElement.removeEventListener('pointermove', onPointerMove);
+      domElement.removeEventListener('pointerup', onPointerUp);
+      domElement.removeEventListener('pointercancel', onPointerUp);
+    }
+  };
+}
@@ -0,0 +1,295 @@
+/**
+ * 板书 Markdown 渲染：把课程提纲排版成粉笔字风格的黑板画面
+ *
+ * 支持的语法：
+ *   # / ## / ###      标题（一级标题带下划线）
+ *   - / * / 1.        无序 / 有序列表，行首每两个空格缩进一级
+ *   普通段落           自动换行
+ *   ```diagram        框图：每行一组方框，用 -> 连接，如 [Input] -> [LLM Core] -> [Output]
+ *   ---               强制换页
+ * 内容超出画布时自动分页
+ */
+
+const FONT_FAMILY = '"KaiTi", "STKaiti", "Microsoft YaHei", sans-serif';
+const CHALK_FILL = 'rgba(255, 255, 255, 0.85)';
+const CHALK_LINE = 'rgba(255, 255, 255, 0.6)';
+
+// 版心（与默认板书的边距保持一致）
+const MARGIN_LEFT = 150;
+const MARGIN_RIGHT = 150;
+const MARGIN_TOP = 60;
+const MARGIN_BOTTOM = 80;
+
+// 各类文字的字号与行高
+const TEXT_STYLES = {
+  h1: { font: `bold 110px ${FONT_FAMILY}`, size: 110, lineHeight: 160 },
+  h2: { font: `bold 84px ${FONT_FAMILY}`, size: 84, lineHeight: 125 },
+  h3: { font: `bold 70px ${FONT_FAMILY}`, size: 70, lineHeight: 105 },
+  p: { font: `60px ${FONT_FAMILY}`, size: 60, lineHeight: 95 },
+  li: { font: `60px ${FONT_FAMILY}`, size: 60, lineHeight: 95 }
+};
+
+const LIST_INDENT = 60;
+const BLANK_GAP = 30;
+
+// 框图尺寸
+const BOX_HEIGHT = 150;
+const BOX_PADDING = 60;
+const BOX_MIN_WIDTH = 260;
+const ARROW_LENGTH = 160;
+const ARROW_MIN_LENGTH = 80;
+const DIAGRAM_ROW_GAP = 60;
+const DIAGRAM_FONT_SIZE = 60;
+const DIAGRAM_MIN_FONT_SIZE = 32;
+
+/**
+ * 解析 Markdown 文本为块列表
+ * @param {string} markdown
+ * @returns {Array<object>} 每块为 { type: 'h1'|'h2'|'h3'|'p'|'li'|'diagram'|'blank'|'pagebreak', ... }
+ */
+export function parseBoardMarkdown(markdown) {
+  const blocks = [];
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  let diagram = null;
+
+  lines.forEach((rawLine) => {
+    const line = rawLine.replace(/\s+$/, '');
+
+    if (diagram) {
+      if (/^```/.test(line.trim())) {
+        blocks.push({ type: 'diagram', rows: diagram });
+        diagram = null;
+      } else if (line.trim()) {
+        diagram.push(line.split('->').map(node => node.trim().replace(/^\[(.*)\]$/, '$1')).filter(Boolean));
+      }
+      return;
+    }
+
+    const trimmed = line.trim();
+    let m;
+    if (/^```\s*(diagram|flow)\s*$/i.test(trimmed)) {
+      diagram = [];
+    } else if (trimmed === '') {
+      blocks.push({ type: 'blank' });
+    } else if (/^(-{3,}|\*{3,})$/.test(trimmed)) {
+      blocks.push({ type: 'pagebreak' });
+    } else if ((m = trimmed.match(/^(#{1,3})\s+(.*)$/))) {
+      blocks.push({ type: `h${m[1].length}`, text: stripInline(m[2]) });
+    } else if ((m = line.match(/^(\s*)([-*•]|\d+[.、])\s+(.*)$/))) {
+      const marker = /^\d/.test(m[2]) ? m[2].replace('、', '.') : '•';
+      blocks.push({ type: 'li', level: Math.floor(m[1].length / 2), marker, text: stripInline(m[3]) });
+    } else {
+      blocks.push({ type: 'p', text: stripInline(trimmed) });
+    }
+  });
+
+  // 未闭合的框图也照常绘制
+  if (diagram) blocks.push({ type: 'diagram', rows: diagram });
+  return blocks;
+}
+
+/**
+ * 去掉行内强调、代码标记（粉笔字不区分粗细）
+ * @param {string} text
+ */
+function stripInline(text) {
+  return text.replace(/\*\*(.+?)\*\*/g, '$1').replace(/__(.+?)__/g, '$1').replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * 按宽度折行：中日韩文字逐字断行，西文按单词断行
+ * @param {CanvasRenderingContext2D} ctx 已设置好字体
+ * @param {string} text
+ * @param {number} maxWidth
+ */
+function wrapText(ctx, text, maxWidth) {
+  const tokens = text.match(/[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]|[^\s\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]+\s*|\s+/g) ?? [];
+  const lines = [];
+  let line = '';
+  tokens.forEach((token) => {
+    const candidate = line + token;
+    if (line && ctx.measureText(candidate.trimEnd()).width > maxWidth) {
+      lines.push(line.trimEnd());
+      line = token.trimStart();
+    } else {
+      line = candidate;
+    }
+    // 单个超长单词按字符硬切
+    while (ctx.measureText(line.trimEnd()).width > maxWidth && line.length > 1) {
+      let cut = line.length - 1;
+      while (cut > 1 && ctx.measureText(line.slice(0, cut)).width > maxWidth) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  });
+  if (line.trim()) lines.push(line.trimEnd());
+  return lines.length > 0 ? lines : [''];
+}
+
+/**
+ * 计算一行框图的排布（过宽时先压缩箭头，再缩小字号）
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<string>} nodes
+ * @param {number} maxWidth
+ */
+function layoutDiagramRow(ctx, nodes, maxWidth) {
+  let fontSize = DIAGRAM_FONT_SIZE;
+  for (;;) {
+    ctx.font = `${fontSize}px ${FONT_FAMILY}`;
+    const scale = fontSize / DIAGRAM_FONT_SIZE;
+    const widths = nodes.map(n => Math.max(BOX_MIN_WIDTH * scale, ctx.measureText(n).width + BOX_PADDING * 2 * scale));
+    const boxesWidth = widths.reduce((a, b) => a + b, 0);
+    const gaps = Math.max(1, nodes.length - 1);
+    const arrow = nodes.length > 1
+      ? Math.min(ARROW_LENGTH, Math.max(ARROW_MIN_LENGTH, (maxWidth - boxesWidth) / gaps))
+      : 0;
+    const total = boxesWidth + arrow * (nodes.length - 1);
+    if (total <= maxWidth || fontSize <= DIAGRAM_MIN_FONT_SIZE) {
+      return { nodes, widths, arrow, fontSize, height: BOX_HEIGHT * scale };
+    }
+    fontSize -= 4;
+  }
+}
+
+/**
+ * 把块列表排版成若干页
+ * @param {CanvasRenderingContext2D} ctx 用于测量文字
+ * @param {Array<object>} blocks parseBoardMarkdown 的结果
+ * @param {number} width 画布宽度
+ * @param {number} height 画布高度
+ * @returns {Array<Array<object>>} 每页为绘制项列表
+ */
+export function layoutBoardPages(ctx, blocks, width, height) {
+  const contentWidth = width - MARGIN_LEFT - MARGIN_RIGHT;
+  const bottom = height - MARGIN_BOTTOM;
+  const pages = [[]];
+  let y = MARGIN_TOP;
+
+  const newPage = () => {
+    if (pages[pages.length - 1].length > 0) pages.push([]);
+    y = MARGIN_TOP;
+  };
+  // 放入一个高度为 h 的项；放不下则换页
+  const place = (h, item) => {
+    if (y + h > bottom && pages[pages.length - 1].length > 0) newPage();
+    pages[pages.length - 1].push({ ...item, y });
+    y += h;
+  };
+
+  ctx.save();
+  blocks.forEach((block) => {
+    switch (block.type) {
+      case 'blank':
+        // 页首不留空
+        if (y > MARGIN_TOP) y += BLANK_GAP;
+        break;
+      case 'pagebreak':
+        newPage();
+        break;
+      case 'diagram':
+        block.rows.forEach((nodes, i) => {
+          if (nodes.length === 0) return;
+          const row = layoutDiagramRow(ctx, nodes, contentWidth);
+          const gap = i < block.rows.length - 1 ? DIAGRAM_ROW_GAP : BLANK_GAP;
+          place(row.height + gap, { kind: 'diagram', x: MARGIN_LEFT, ...row });
+        });
+        break;
+      default: {
+        const style = TEXT_STYLES[block.type];
+        const indent = block.type === 'li' ? (block.level + 1) * LIST_INDENT : 0;
+        ctx.font = style.font;
+        const markerWidth = block.type === 'li' ? ctx.measureText(`${block.marker} `).width : 0;
+        const lines = wrapText(ctx, block.text, contentWidth - indent - markerWidth);
+        lines.forEach((text, i) => {
+          place(style.lineHeight, {
+            kind: 'text',
+            font: style.font,
+            size: style.size,
+            x: MARGIN_LEFT + indent + markerWidth,
+            text,
+            // 列表项只在第一行画项目符号
+            marker: block.type === 'li' && i === 0 ? { text: block.marker, x: MARGIN_LEFT + indent } : null,
+            underline: block.type === 'h1' && i === lines.length - 1
+          });
+        });
+      }
+    }
+  });
+  ctx.restore();
+  return pages;
+}
+
+/**
+ * 画一个带箭头的连线
+ */
+function drawArrow(ctx, x1, y, x2) {
+  const head = 18;
+  ctx.beginPath();
+  ctx.moveTo(x1, y);
+  ctx.lineTo(x2, y);
+  ctx.moveTo(x2 - head, y - head * 0.6);
+  ctx.lineTo(x2, y);
+  ctx.lineTo(x2 - head, y + head * 0.6);
+  ctx.stroke();
+}
+
+/**
+ * 以粉笔风格绘制一页板书
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Array<object>} page layoutBoardPages 返回的一页
+ * @param {number} pageIndex 当前页（从 0 开始）
+ * @param {number} pageCount 总页数，大于 1 时在右下角标注页码
+ */
+export function drawBoardPage(ctx, page, pageIndex = 0, pageCount = 1) {
+  ctx.save();
+  ctx.fillStyle = CHALK_FILL;
+  ctx.strokeStyle = CHALK_LINE;
+  ctx.shadowColor = 'rgba(255, 255, 255, 0.5)';
+  ctx.shadowBlur = 10;
+  ctx.textBaseline = 'alphabetic';
+
+  (page ?? []).forEach((item) => {
+    if (item.kind === 'text') {
+      ctx.font = item.font;
+      const baseline = item.y + item.size;
+      if (item.marker) ctx.fillText(item.marker.text, item.marker.x, baseline);
+      ctx.fillText(item.text, item.x, baseline);
+      if (item.underline) {
+        ctx.save();
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 8;
+        ctx.beginPath();
+        ctx.moveTo(item.x, baseline + 30);
+        ctx.lineTo(item.x + Math.max(ctx.measureText(item.text).width, 600), baseline + 30);
+        ctx.stroke();
+        ctx.restore();
+      }
+    } else if (item.kind === 'diagram') {
+      ctx.font = `${item.fontSize}px ${FONT_FAMILY}`;
+      ctx.lineWidth = 5;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      const midY = item.y + item.height / 2;
+      let x = item.x;
+      item.nodes.forEach((node, i) => {
+        const w = item.widths[i];
+        ctx.strokeRect(x, item.y, w, item.height);
+        ctx.fillText(node, x + w / 2, midY);
+        x += w;
+        if (i < item.nodes.length - 1) {
+          drawArrow(ctx, x, midY, x + item.arrow);
+          x += item.arrow;
+        }
+      });
+      ctx.textAlign = 'start';
+      ctx.textBaseline = 'alphabetic';
+    }
+  });
+
+  if (pageCount > 1) {
+    ctx.font = `48px ${FONT_FAMILY}`;
+    ctx.textAlign = 'right';
+    ctx.fillText(`${pageIndex + 1} / ${pageCount}`, ctx.canvas.width - 60, ctx.canvas.height - 30);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,323 @@
+import * as THREE from 'three';
+
+/**
+ * 导演机位：命名视角和样条镜头路径，用于录制宣传片和课程视频
+ *
+ * 视角 { position: [x, y, z], target: [x, y, z], fov? }，路径 { points: [视角名或视角], duration, easing }
+ * 内置视角见 DEFAULT_VIEWPOINTS；保存的视角和路径存在 localStorage 中，也可以导出 / 导入 JSON：
+ *   {
+ *     "viewpoints": { "讲台侧面": { "position": [2, 1.5, -8], "target": [0, 1.4, -9], "fov": 45 } },
+ *     "paths": { "开场": { "points": ["back", "windowSide", "front"], "duration": 8, "easing": "easeInOut" } }
+ *   }
+ *
+ * 播放路径时相机沿经过各视角的 Catmull-Rom 样条匀速移动（整体进度再套用缓动），观察点沿另一条样条移动，
+ * FOV 在相邻视角间插值。director.update 每帧返回当前镜头，由调用方应用到相机
+ */
+
+// 未指定 FOV 的视角使用的默认值（与 main.js 中相机的默认 FOV 一致）
+const DEFAULT_FOV = 65;
+// 路径默认时长（秒）和缓动
+const DEFAULT_PATH_DURATION = 6;
+const DEFAULT_EASING = 'easeInOut';
+const STORAGE_KEY = 'qiming-classroom.director';
+
+/** 缓动函数：输入输出都在 0~1 */
+export const CAMERA_EASINGS = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - (1 - t) ** 3,
+  easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - ((-2 * t + 2) ** 3) / 2)
+};
+
+/** 内置视角（默认教室布局下） */
+export const DEFAULT_VIEWPOINTS = {
+  front: { position: [0, 1.6, -6.6], target: [0, 1.5, -10], fov: 65 },           // 靠近讲台，看黑板和老师
+  teacherCloseUp: { position: [0.7, 1.55, -7.4], target: [0, 1.45, -9], fov: 38 }, // 老师特写
+  windowSide: { position: [-5.2, 1.8, -1.2], target: [1.5, 1.0, -7], fov: 60 },   // 窗边斜看全班
+  backBoard: { position: [0, 1.5, -4.6], target: [0, 1.5, 0], fov: 55 },          // 回头看后黑板
+  class: { position: [0, 1.9, -9.2], target: [0, 0.9, -3], fov: 65 },             // 讲台上看全班
+  back: { position: [0, 2.2, -0.6], target: [0, 1.2, -10], fov: 65 }              // 教室后方全景
+};
+
+const toArray = v => (Array.isArray(v) ? [...v] : [v.x, v.y, v.z]);
+
+/**
+ * 规范化视角：Vector3 转为数组，补上 FOV
+ * @param {object} view
+ */
+function normalizeView(view) {
+  if (!view?.position || !view?.target) {
+    throw new Error('视角需要 position 和 target');
+  }
+  return { position: toArray(view.position), target: toArray(view.target), fov: view.fov ?? DEFAULT_FOV };
+}
+
+/**
+ * 创建导演机位控制器
+ * @param {object} options
+ * @param {() => object} options.getCurrentView 返回相机当前的视角 { position, target, fov }，用于保存视角和从当前位置起播
+ * @param {Storage|null} [options.storage] 持久化存储，缺省为 localStorage
+ */
+export function createCameraDirector({ getCurrentView, storage = window.localStorage }) {
+  const viewpoints = new Map(); // 用户保存的视角（同名时覆盖内置视角）
+  const paths = new Map();
+  const listeners = new Set();
+  let playing = null; // { positions, targets, fovs, duration, easing, elapsed, resolve }
+  let paused = false;
+  const shot = { position: new THREE.Vector3(), target: new THREE.Vector3(), fov: DEFAULT_FOV };
+
+  const persist = () => {
+    if (!storage) return;
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(api.toJSON()));
+    } catch (error) {
+      console.warn('保存导演机位失败:', error);
+    }
+  };
+
+  const notify = () => listeners.forEach(fn => fn());
+
+  // 把路径中的视角名解析为视角
+  const resolvePoints = (points) => points.map((point) => {
+    if (typeof point !== 'string') return normalizeView(point);
+    const view = api.getViewpoint(point);
+    if (!view) throw new Error(`未知的视角: ${point}`);
+    return view;
+  });
+
+  const resolvePath = (pathOrName) => {
+    const path = typeof pathOrName === 'string' ? paths.get(pathOrName) : pathOrName;
+    if (!path) throw new Error(`未知的镜头路径: ${pathOrName}`);
+    const points = Array.isArray(path) ? path : path.points;
+    if (!points?.length) throw new Error('镜头路径至少需要一个视角');
+    return { points, duration: path.duration, easing: path.easing };
+  };
+
+  const finish = () => {
+    const { resolve } = playing;
+    playing = null;
+    paused = false;
+    resolve();
+  };
+
+  const api = {
+    /**
+     * 按名称取视角（保存的视角优先于内置视角）
+     * @param {string} name
+     * @returns {{ position: Array<number>, target: Array<number>, fov: number }|null}
+     */
+    getViewpoint(name) {
+      const view = viewpoints.get(name) ?? DEFAULT_VIEWPOINTS[name];
+      return view ? normalizeView(view) : null;
+    },
+
+    /** @returns {Array<{ name: string, builtIn: boolean, saved: boolean }>} */
+    listViewpoints() {
+      const names = new Set([...Object.keys(DEFAULT_VIEWPOINTS), ...viewpoints.keys()]);
+      return [...names].map(name => ({
+        name,
+        builtIn: name in DEFAULT_VIEWPOINTS,
+        saved: viewpoints.has(name)
+      }));
+    },
+
+    /**
+     * 保存视角（缺省保存相机当前视角）
+     * @param {string} name
+     * @param {object} [view]
+     */
+    saveViewpoint(name, view = getCurrentView()) {
+      if (!name) throw new Error('视角需要名称');
+      viewpoints.set(name, normalizeView(view));
+      persist();
+      notify();
+    },
+
+    /**
+     * 删除保存的视角；内置视角被覆盖时恢复为内置值
+     * @param {string} name
+     */
+    removeViewpoint(name) {
+      if (!viewpoints.delete(name)) return false;
+      persist();
+      notify();
+      return true;
+    },
+
+    getPath(name) {
+      return paths.get(name) ?? null;
+    },
+
+    listPaths() {
+      return [...paths.keys()];
+    },
+
+    /**
+     * 保存镜头路径
+     * @param {string} name
+     * @param {{ points: Array<string|object>, duration?: number, easing?: string }} path
+     */
+    savePath(name, { points, duration = DEFAULT_PATH_DURATION, easing = DEFAULT_EASING }) {
+      if (!name) throw new Error('镜头路径需要名称');
+      resolvePoints(points); // 提前发现拼错的视角名
+      paths.set(name, {
+        points: points.map(p => (typeof p === 'string' ? p : normalizeView(p))),
+        duration,
+        easing
+      });
+      persist();
+      notify();
+    },
+
+    removePath(name) {
+      if (!paths.delete(name)) return false;
+      persist();
+      notify();
+      return true;
+    },
+
+    /**
+     * 播放镜头路径：默认从相机当前视角出发，依次经过路径中的视角
+     * @param {string|Array<string|object>|object} pathOrName 路径名、视角列表或 { points, duration, easing }
+     * @param {object} [options]
+     * @param {number} [options.duration] 秒，覆盖路径中的时长
+     * @param {string} [options.easing] 见 CAMERA_EASINGS
+     * @param {boolean} [options.fromCurrent] 是否从当前视角出发，默认 true
+     * @returns {Promise<void>} 播放结束（或被打断）时完成
+     */
+    playPath(pathOrName, options = {}) {
+      const path = resolvePath(pathOrName);
+      const views = resolvePoints(path.points);
+      if (options.fromCurrent ?? true) views.unshift(normalizeView(getCurrentView()));
+      // 只有一个视角时原地停留
+      if (views.length === 1) views.push(views[0]);
+      const easingName = options.easing ?? path.easing ?? DEFAULT_EASING;
+      if (!CAMERA_EASINGS[easingName]) throw new Error(`未知的缓动: ${easingName}`);
+
+      this.stop();
+      const toVectors = key => views.map(v => new THREE.Vector3().fromArray(v[key]));
+      return new Promise((resolve) => {
+        playing = {
+          positions: new THREE.CatmullRomCurve3(toVectors('position'), false, 'centripetal'),
+          targets: new THREE.CatmullRomCurve3(toVectors('target'), false, 'centripetal'),
+          fovs: views.map(v => v.fov),
+          duration: Math.max(options.duration ?? path.duration ?? DEFAULT_PATH_DURATION, 0),
+          easing: CAMERA_EASINGS[easingName],
+          elapsed: 0,
+          resolve
+        };
+        paused = false;
+      });
+    },
+
+    /**
+     * 路径的终点视角（时间轴跳转时直接切到终点）
+     * @param {string|Array|object} pathOrName
+     */
+    getPathEnd(pathOrName) {
+      const { points } = resolvePath(pathOrName);
+      return resolvePoints(points.slice(-1))[0];
+    },
+
+    /** 停止播放，相机停在当前位置 */
+    stop() {
+      if (playing) finish();
+    },
+
+    pause() {
+      paused = true;
+    },
+
+    resume() {
+      paused = false;
+    },
+
+    isPlaying() {
+      return !!playing;
+    },
+
+    /**
+     * 订阅视角 / 路径列表变化（导演面板刷新用）
+     * @param {() => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /** 导出保存的视角和路径 */
+    toJSON() {
+      return {
+        viewpoints: Object.fromEntries(viewpoints),
+        paths: Object.fromEntries(paths)
+      };
+    },
+
+    /**
+     * 导入视角和路径（与已有的合并，同名覆盖）
+     * 与 saveViewpoint / savePath 一样检查：无效的视角和路径（缺少坐标、拼错的视角名、未知的缓动）跳过并警告
+     * @param {{ viewpoints?: object, paths?: object }} data
+     */
+    load(data) {
+      Object.entries(data.viewpoints ?? {}).forEach(([name, view]) => {
+        try {
+          viewpoints.set(name, normalizeView(view));
+        } catch (error) {
+          console.warn(`跳过无效的视角 ${name}:`, error.message);
+        }
+      });
+      // 路径可能引用同一文件中的视角，在视角之后检查
+      Object.entries(data.paths ?? {}).forEach(([name, path]) => {
+        try {
+          const points = path?.points;
+          if (!Array.isArray(points) || points.length === 0) throw new Error('镜头路径至少需要一个视角');
+          resolvePoints(points);
+          const easing = path.easing ?? DEFAULT_EASING;
+          if (!CAMERA_EASINGS[easing]) throw new Error(`未知的缓动: ${easing}`);
+          paths.set(name, {
+            points: points.map(p => (typeof p === 'string' ? p : normalizeView(p))),
+            duration: path.duration ?? DEFAULT_PATH_DURATION,
+            easing
+          });
+        } catch (error) {
+          console.warn(`跳过无效的镜头路径 ${name}:`, error.message);
+        }
+      });
+      persist();
+      notify();
+    },
+
+    /**
+     * 每帧调用
+     * @param {number} delta 秒
+     * @returns {{ position: THREE.Vector3, target: THREE.Vector3, fov: number }|null} 播放路径时的当前镜头，否则为 null
+     */
+    update(delta) {
+      if (!playing) return null;
+      if (!paused) playing.elapsed += delta;
+      const { positions, targets, fovs, duration, easing } = playing;
+      const t = duration > 0 ? Math.min(playing.elapsed / duration, 1) : 1;
+      const k = easing(t);
+      positions.getPointAt(k, shot.position);
+      targets.getPointAt(k, shot.target);
+      const segment = k * (fovs.length - 1);
+      const i = Math.min(Math.floor(segment), fovs.length - 2);
+      shot.fov = THREE.MathUtils.lerp(fovs[i], fovs[i + 1], segment - i);
+      if (t >= 1) finish();
+      return shot;
+    }
+  };
+
+  // 恢复上次保存的视角和路径
+  if (storage) {
+    try {
+      const saved = storage.getItem(STORAGE_KEY);
+      if (saved) api.load(JSON.parse(saved));
+    } catch (error) {
+      console.warn('读取导演机位失败:', error);
+    }
+  }
+
+  return api;
+}
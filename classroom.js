@@ -1,17 +1,133 @@
 import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { createBlackboardController } from './blackboard.js';
+import { createSmartDisplayController } from './smartDisplay.js';
+import { assets } from './assets.js';
+import {
+  createLampController, createBlindController, LAMP_LIGHT_INTENSITY, LAMP_PANEL_EMISSIVE
+} from './roomControls.js';
+
+/**
+ * 默认教室布局（即原先写死在 createClassroom 中的 12m x 10m 普通教室）
+ * 布局可以写成 JSON 文件：room 描述房间尺寸，fixtures 按顺序列出要创建的陈设，
+ * 每一项的 type 对应 FIXTURE_BUILDERS 中的构建函数，其余字段作为该构建函数的摆放参数
+ */
+export const DEFAULT_LAYOUT = {
+  room: {
+    width: 12,      // 宽度 (X)
+    depth: 10,      // 深度 (Z)
+    height: 3.5,    // 高度 (Y)
+    windowCount: 3  // 左墙窗户数量
+  },
+  fixtures: [
+    { type: 'blackboard' },
+    { type: 'smartDisplay' },
+    { type: 'podium' },
+    { type: 'desks', columns: 3, rows: 4, spacingX: 2.5, spacingZ: 1.6, frontOffset: 3.5 },
+    { type: 'windowLights' },
+    { type: 'sunBeams' },
+    { type: 'cabinet' },
+    { type: 'backBlackboard' },
+    { type: 'bookshelf' },
+    { type: 'plants' },
+    { type: 'dutyRoster' },
+    { type: 'clock' },
+    { type: 'schoolMotto' },
+    { type: 'baseboards' },
+    { type: 'ceilingLamps' },
+    { type: 'broadcasters' },
+    { type: 'waterDispenser' }
+  ]
+};
+
+/**
+ * 陈设构建函数注册表
+ * room 为解析后的房间参数 { W, H, D, windowCount, seating }，opts 为布局项中除 type 外的字段
+ */
+const FIXTURE_BUILDERS = {
+  blackboard: (parent, room) => createBlackboard(parent, room.D),
+  smartDisplay: (parent, room) => createSmartDisplay(parent, room.D),
+  podium: (parent, room, opts) => createPodium(parent, room.D, opts),
+  desks: (parent, room, opts) => createDesksAndChairs(parent, room.W, room.D, { ...opts, ...room.seating }),
+  windowLights: (parent, room) => createWindowLights(parent, room.W, room.H, room.D, room.windowCount),
+  sunBeams: (parent, room) => createSunBeams(parent, room.W, room.H, room.D, room.windowCount),
+  cabinet: (parent, room, opts) => createCabinet(parent, room.W, room.D, opts),
+  backBlackboard: (parent, room, opts) => createBackBlackboard(parent, room.W, room.D, opts),
+  bookshelf: (parent, room, opts) => createBookshelf(parent, room.W, room.D, opts),
+  plants: (parent, room, opts) => createPlants(parent, room.W, room.D, opts),
+  dutyRoster: (parent, room, opts) => createDutyRoster(parent, room.W, room.D, opts),
+  clock: (parent, room, opts) => createClock(parent, room.D, opts),
+  schoolMotto: (parent, room, opts) => createSchoolMotto(parent, room.D, opts),
+  baseboards: (parent, room) => addBaseboards(parent, room.W, room.H, room.D),
+  ceilingLamps: (parent, room, opts) => addCeilingLamps(parent, room.W, room.H, room.D, opts),
+  broadcasters: (parent, room, opts) => addBroadcasters(parent, room.W, room.D, opts),
+  waterDispenser: (parent, room, opts) => createWaterDispenser(parent, room.D, opts)
+};
+
+// 导出 GLB 时略去的陈设：光束和尘埃用自定义着色器和点精灵，无法写入 glTF，加载 GLB 后按布局重新创建（见 classroomGLB.js）
+export const RUNTIME_FIXTURES = ['sunBeams'];
+
+/**
+ * 合并布局配置与默认布局：room 逐字段回退默认值，未给出 fixtures 时沿用默认陈设列表
+ * @param {object} [layout]
+ */
+export function resolveLayout(layout = {}) {
+  return {
+    room: { ...DEFAULT_LAYOUT.room, ...layout.room },
+    fixtures: layout.fixtures ?? DEFAULT_LAYOUT.fixtures
+  };
+}
+
+/**
+ * 从 JSON 文件加载教室布局（如 /layouts/lab.json）
+ * @param {string} url
+ */
+export async function loadClassroomLayout(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`无法加载教室布局 ${url}: ${res.status}`);
+  }
+  return resolveLayout(await res.json());
+}
+
+/**
+ * 为加载的预导出教室重新创建 RUNTIME_FIXTURES 中的陈设
+ * @param {THREE.Group} classroom 教室分组（userData.layout 为导出时的布局）
+ */
+export function createRuntimeFixtures(classroom) {
+  const { room: { width: W, depth: D, height: H, windowCount }, fixtures } = resolveLayout(classroom.userData.layout);
+  const room = { W, H, D, windowCount, seating: {} };
+  fixtures
+    .filter(({ type }) => RUNTIME_FIXTURES.includes(type))
+    .forEach(({ type, ...opts }) => {
+      const fixtureGroup = new THREE.Group();
+      fixtureGroup.name = type;
+      FIXTURE_BUILDERS[type](fixtureGroup, room, opts);
+      if (fixtureGroup.children.length > 0) {
+        classroom.add(fixtureGroup);
+      }
+    });
+}
 
 /**
  * 创建虚拟教室场景
- * 包含：墙壁、地板、天花板、黑板、智能一体机、讲台、课桌椅、
- *       窗户（带光照）、柜子、绿植、值日表、时钟
+ * 包含：墙壁、地板、天花板，以及布局中列出的黑板、智能一体机、讲台、课桌椅、
+ *       窗户光照、柜子、绿植、值日表、时钟等陈设
+ * @param {THREE.Scene} scene
+ * @param {object} [layout] 教室布局，缺省时使用 DEFAULT_LAYOUT
+ * @param {object} [seating] 座位需求 { seatCount, minRows, minColumns }，课桌椅不够时自动扩充排列
+ * @returns {THREE.Group} 教室分组，附带 seats 座位注册表、blinds 窗户卷帘控制器，以及布局中有对应陈设时的
+ *          blackboard 黑板控制器、smartDisplay 一体机播放控制器、clock 时钟（可更换时间来源）、lamps 吊灯开关控制器
  */
-export function createClassroom(scene) {
+export function createClassroom(scene, layout, seating = {}) {
   const classroom = new THREE.Group();
+  const config = resolveLayout(layout);
 
   // ====== 教室尺寸 ======
-  const W = 12;     // 宽度 (X)
-  const D = 10;     // 深度 (Z)
-  const H = 3.5;    // 高度 (Y)
+  const W = config.room.width;       // 宽度 (X)
+  const D = config.room.depth;       // 深度 (Z)
+  const H = config.room.height;      // 高度 (Y)
+  const windowCount = config.room.windowCount;
 
   // ====== 材质定义 ======
   const wallMat = new THREE.MeshStandardMaterial({ 
@@ -20,7 +136,7 @@ export function createClassroom(scene) {
     roughness: 0.9, // 哑光墙面
     metalness: 0.0
   }); // 白色墙壁
-  const floorMat = createFloorMaterial();           // 带网格的地板
+  const floorMat = createFloorMaterial(W, D);       // 带网格的地板
 
   // ====== 地板 ======
   const floor = new THREE.Mesh(new THREE.PlaneGeometry(W, D), floorMat);
@@ -47,65 +163,45 @@ export function createClassroom(scene) {
   classroom.add(backWall);
 
   // ====== 左墙（带窗户缺口） ======
-  createLeftWallWithWindows(classroom, W, H, D, wallMat);
+  classroom.blinds = createLeftWallWithWindows(classroom, W, H, D, wallMat, windowCount);
 
   // ====== 右墙（带前后门和飘窗） ======
   createRightWall(classroom, W, H, D, wallMat);
 
-  // ====== 黑板 ======
-  createBlackboard(classroom, D);
-
-  // ====== 智能教学一体机 ======
-  createSmartDisplay(classroom, D);
-
-  // ====== 讲台 ======
-  createPodium(classroom, D);
-
-  // ====== 学生课桌椅 (3列 x 4排) ======
-  createDesksAndChairs(classroom, D);
-
-  // ====== 窗户光照效果 ======
-  createWindowLights(scene, W, H, D);
-
-  // ====== 阳光光束 (God Rays) ======
-  createSunBeams(classroom, W, H, D);
-
-  // ====== 柜子（右墙靠后方） ======
-  createCabinet(classroom, W, D);
-
-  // ====== 后排黑板 (根据参考图添加) ======
-  createBackBlackboard(classroom, W, D);
-
-  // ====== 书柜（左前角，放字典） ======
-  createBookshelf(classroom, W, D);
-
-  // ====== 绿植 ======
-  createPlants(classroom, W, D);
-
-  // ====== 值日表 ======
-  createDutyRoster(classroom, W, D);
-
-  // ====== 时钟 ======
-  createClock(classroom, D);
-
-  // ====== 校训 ======
-  createSchoolMotto(classroom, D);
-
-  // ====== 踢脚线 (Baseboards) ======
-  addBaseboards(classroom, W, H, D);
-
-  // ====== 顶灯 (Ceiling Lights) ======
-  addCeilingLamps(classroom, W, H, D);
-
-  // ====== 广播喇叭 (Speakers) ======
-  addBroadcasters(classroom, W, D);
-
-  // ====== 饮水机 (Water Dispenser) ======
-  createWaterDispenser(classroom, D);
+  // ====== 陈设（按布局顺序逐个创建，每个陈设放入以 type 命名的分组） ======
+  const room = { W, H, D, windowCount, seating };
+  const seats = [];
+  config.fixtures.forEach(({ type, ...opts }) => {
+    const build = FIXTURE_BUILDERS[type];
+    if (!build) {
+      console.warn('未知的教室陈设类型:', type);
+      return;
+    }
+    const fixtureGroup = new THREE.Group();
+    fixtureGroup.name = type;
+    const result = build(fixtureGroup, room, opts);
+    if (type === 'desks') {
+      seats.push(...result);
+    } else if (type === 'blackboard') {
+      classroom.blackboard = result;
+    } else if (type === 'smartDisplay') {
+      classroom.smartDisplay = result;
+    } else if (type === 'clock') {
+      classroom.clock = result;
+    } else if (type === 'ceilingLamps') {
+      classroom.lamps = result;
+    }
+    if (fixtureGroup.children.length > 0) {
+      classroom.add(fixtureGroup);
+    }
+  });
 
-  // ====== 360度天空围幕（已移除，改为 main.js 中的 scene.background/environment） ======
+  // ====== 360度天空围幕（已移除，改为 dayLighting.js 中按时刻混合的天空球和 scene.environment） ======
   // createSkySurround(classroom, W, D);
 
+  classroom.userData.layout = config;
+  // ====== 座位注册表（供 main.js 按排/列安排学生入座） ======
+  classroom.seats = createSeatRegistry(seats);
   scene.add(classroom);
   return classroom;
 }
@@ -116,7 +212,6 @@ export function createClassroom(scene) {
  * 用4面平面围成一圈天空，从地面往上，确保地平线在正确位置
  */
 function createSkySurround(parent, W, D) {
-  const loader = new THREE.TextureLoader();
   const dist = 40;       // 天空面距教室中心的距离
   const skyW = 100;      // 每面天空的宽度
   const skyH = 40;       // 每面天空的高度
@@ -131,8 +226,9 @@ function createSkySurround(parent, W, D) {
   ];
 
   sides.forEach(s => {
-    const tex = loader.load('/textures/FullskiesSunset0001_1_L.jpg');
-    tex.colorSpace = THREE.SRGBColorSpace;
+    const tex = assets.loadTexture('/textures/FullskiesSunset0001_1_L.jpg', {
+      colorSpace: THREE.SRGBColorSpace
+    });
     const plane = new THREE.Mesh(
       new THREE.PlaneGeometry(skyW, skyH),
       new THREE.MeshBasicMaterial({ map: tex, side: THREE.DoubleSide })
@@ -149,12 +245,10 @@ function createSkySurround(parent, W, D) {
  * 添加踢脚线
  */
 function addBaseboards(parent, W, H, D) {
-  const loader = new THREE.TextureLoader();
-  const barkTex = loader.load('/textures/BarkStripped0005_23_L.jpg');
-  barkTex.colorSpace = THREE.SRGBColorSpace;
-  barkTex.wrapS = THREE.RepeatWrapping;
-  barkTex.wrapT = THREE.RepeatWrapping;
-  barkTex.repeat.set(12, 1);
+  const barkTex = assets.loadTexture('/textures/BarkStripped0005_23_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [12, 1]
+  });
 
   const bbMat = new THREE.MeshStandardMaterial({ 
     map: barkTex,
@@ -177,61 +271,185 @@ function addBaseboards(parent, W, H, D) {
 }
 
 /**
- * 添加天花板灯管
+ * 添加天花板灯管，以及前门旁墙上的开关面板（每排灯一个按键）
+ * @param {object} [opts] { rows, cols } 灯管排数与列数
+ * @returns {object} 吊灯开关控制器（见 roomControls.js），第 0 排靠黑板
  */
-function addCeilingLamps(parent, W, H, D) {
+function addCeilingLamps(parent, W, H, D, opts = {}) {
   const lampGroup = new THREE.Group();
   const lampMat = new THREE.MeshStandardMaterial({
     color: 0xffffff,
     emissive: 0xffffff,
-    emissiveIntensity: 1.0
+    emissiveIntensity: LAMP_PANEL_EMISSIVE
   });
   const housingMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
 
-  const rows = 3;
-  const cols = 2;
+  const rows = opts.rows ?? 3;
+  const cols = opts.cols ?? 2;
   const spacingZ = D / (rows + 1);
   const spacingX = W / (cols + 1);
+  const lampRows = [];
 
   for (let r = 0; r < rows; r++) {
+    // 每排一个灯管材质，按排开关
+    const rowMat = lampMat.clone();
+    const lights = [];
     for (let c = 0; c < cols; c++) {
       const lx = -W/2 + (c + 1) * spacingX;
-      const lz = -(r + 1) * spacingZ;
+      const lz = -D + (r + 1) * spacingZ;
 
       const group = new THREE.Group();
       // 灯壳
       const housing = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.05, 0.3), housingMat);
       group.add(housing);
       // 灯管面
-      const lightMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.1, 0.28), lampMat);
+      const lightMesh = new THREE.Mesh(new THREE.PlaneGeometry(1.1, 0.28), rowMat);
+      lightMesh.name = 'ceilingLampPanel';
+      lightMesh.userData.row = r;
       lightMesh.rotation.x = Math.PI / 2;
       lightMesh.position.y = -0.026;
       group.add(lightMesh);
 
       // 实际光源
-      const pLight = new THREE.PointLight(0xffffff, 0.15, 6);
+      const pLight = new THREE.PointLight(0xffffff, LAMP_LIGHT_INTENSITY, 6);
+      pLight.name = 'ceilingLight'; // 画质预设按名称开关
+      pLight.userData.row = r;
       pLight.position.y = -0.1;
       group.add(pLight);
+      lights.push(pLight);
 
       group.position.set(lx, H - 0.02, lz);
       lampGroup.add(group);
     }
+    lampRows.push({ lights, material: rowMat });
   }
   parent.add(lampGroup);
+
+  // 开关面板：右墙前门旁，按键从左到右依次对应第 0 排（靠黑板）到最后一排
+  const switchGroup = new THREE.Group();
+  switchGroup.name = 'lightSwitch';
+  const plateMat = new THREE.MeshStandardMaterial({ color: 0xf5f5f0, roughness: 0.5 });
+  const buttonMat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.3 });
+  const buttonGap = 0.06;
+  const plate = new THREE.Mesh(new THREE.BoxGeometry(0.01, 0.1, rows * buttonGap + 0.03), plateMat);
+  switchGroup.add(plate);
+  lampRows.forEach((row, r) => {
+    const button = new THREE.Mesh(new THREE.BoxGeometry(0.012, 0.06, 0.045), buttonMat);
+    button.name = 'lightSwitchButton';
+    button.userData.row = r;
+    button.position.set(-0.008, 0, (r - (rows - 1) / 2) * buttonGap);
+    switchGroup.add(button);
+    row.button = button;
+  });
+  // 前门占 Z=-D+0.5 ~ -D+1.4
+  switchGroup.position.set(W / 2 - 0.005, 1.35, -D + 1.65);
+  parent.add(switchGroup);
+
+  return createLampController(lampRows);
+}
+
+// ==================== 合批与实例化 ====================
+// 重复的静态零件（课桌椅、文具、书架上的书、天花板格子）不再逐个创建 Mesh：
+// 同一材质、同样阴影设置的零件合并为一个几何体，多处摆放的同一几何体用一个 InstancedMesh 绘制。
+// 合批后的网格在 userData.sourceMeshes 中记录它替代了多少个原来的 Mesh，
+// userData.sourceTriangles 中记录这些原网格的三角形总数（调试浮层统计用）
+
+const placementDummy = new THREE.Object3D();
+
+/** 几何体的三角形数 */
+const countTriangles = geometry => Math.floor((geometry.index ?? geometry.attributes.position).count / 3);
+
+/**
+ * 按位置、旋转（欧拉角 XYZ）和缩放生成摆放矩阵
+ * @param {Array<number>} position
+ * @param {Array<number>} [rotation]
+ * @param {Array<number>} [scale]
+ * @param {THREE.Matrix4} [parentMatrix] 父级摆放（如文具所在的课桌）
+ * @returns {THREE.Matrix4}
+ */
+function makePlacement(position, rotation = [0, 0, 0], scale = [1, 1, 1], parentMatrix = null) {
+  placementDummy.position.fromArray(position);
+  placementDummy.rotation.fromArray(rotation);
+  placementDummy.scale.fromArray(scale);
+  placementDummy.updateMatrix();
+  const matrix = placementDummy.matrix.clone();
+  return parentMatrix ? matrix.premultiply(parentMatrix) : matrix;
+}
+
+/**
+ * 把若干零件按各自的摆放合并为一个几何体
+ * @param {Array<{ geometry: THREE.BufferGeometry, position?: Array<number>, rotation?: Array<number> }>} parts
+ * @param {boolean} [useGroups] 为每个零件保留一个绘制分组（配合材质数组使用）
+ * @returns {THREE.BufferGeometry} userData.sourceTriangles 为各零件的三角形数之和
+ */
+function mergeParts(parts, useGroups = false) {
+  const merged = mergeGeometries(
+    parts.map(({ geometry, position = [0, 0, 0], rotation }) => geometry.clone().applyMatrix4(makePlacement(position, rotation))),
+    useGroups
+  );
+  merged.userData.sourceTriangles = parts.reduce((sum, { geometry }) => sum + countTriangles(geometry), 0);
+  new Set(parts.map(part => part.geometry)).forEach(geometry => geometry.dispose());
+  return merged;
+}
+
+/**
+ * 实例化批次：收集同一几何体、同一材质的多处摆放，最后生成一个 InstancedMesh
+ * @param {THREE.BufferGeometry} geometry
+ * @param {THREE.Material} material
+ * @param {object} [options]
+ * @param {boolean} [options.castShadow]
+ * @param {boolean} [options.receiveShadow]
+ * @param {number} [options.partsPerInstance] 每个实例对应原来的几个 Mesh（合并过的零件数）
+ */
+function createInstanceBatch(geometry, material, { castShadow = false, receiveShadow = false, partsPerInstance = 1 } = {}) {
+  const matrices = [];
+  const colors = [];
+  return {
+    /**
+     * 添加一处摆放
+     * @param {THREE.Matrix4} matrix 父分组坐标系下的摆放
+     * @param {number} [color] 实例颜色（与材质颜色相乘，用于不同颜色的书）
+     */
+    add(matrix, color) {
+      matrices.push(matrix);
+      if (color !== undefined) colors.push(new THREE.Color(color));
+    },
+
+    /**
+     * 生成 InstancedMesh 并加入 parent；没有摆放时不生成
+     * @param {THREE.Object3D} parent
+     * @param {string} name
+     * @returns {THREE.InstancedMesh|null}
+     */
+    addTo(parent, name) {
+      if (matrices.length === 0) {
+        geometry.dispose();
+        return null;
+      }
+      const mesh = new THREE.InstancedMesh(geometry, material, matrices.length);
+      matrices.forEach((matrix, i) => mesh.setMatrixAt(i, matrix));
+      colors.forEach((color, i) => mesh.setColorAt(i, color));
+      mesh.name = name;
+      mesh.castShadow = castShadow;
+      mesh.receiveShadow = receiveShadow;
+      mesh.userData.sourceMeshes = matrices.length * partsPerInstance;
+      mesh.userData.sourceTriangles = matrices.length * (geometry.userData.sourceTriangles ?? countTriangles(geometry));
+      parent.add(mesh);
+      return mesh;
+    }
+  };
 }
 
 // ==================== 辅助函数 ====================
 
 /**
- * 创建地板材质（带网格纹理）
+ * 创建地板材质（带网格纹理），按房间尺寸每 2m 重复一次
  */
-function createFloorMaterial() {
-  const loader = new THREE.TextureLoader();
-  const texture = loader.load('/textures/floor/FloorsMarble0026_1_L.jpg');
-  texture.colorSpace = THREE.SRGBColorSpace;
-  texture.wrapS = THREE.RepeatWrapping;
-  texture.wrapT = THREE.RepeatWrapping;
-  texture.repeat.set(6, 5);
+function createFloorMaterial(W = 12, D = 10) {
+  const texture = assets.loadTexture('/textures/floor/FloorsMarble0026_1_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [W / 2, D / 2]
+  });
 
   return new THREE.MeshStandardMaterial({ 
     map: texture,
@@ -245,13 +463,14 @@ function createFloorMaterial() {
  * 创建天花板瓷砖（两种纹理交替拼接）
  */
 function createCeilingTiles(parent, W, H, D) {
-  const loader = new THREE.TextureLoader();
 
-  const texA = loader.load('/textures/ceilings/62d6efe3-6988-4a3e-88b0-ab833e9eb009.jpg');
-  texA.colorSpace = THREE.SRGBColorSpace;
+  const texA = assets.loadTexture('/textures/ceilings/62d6efe3-6988-4a3e-88b0-ab833e9eb009.jpg', {
+    colorSpace: THREE.SRGBColorSpace
+  });
 
-  const texB = loader.load('/textures/ceilings/ffdcd990-4e83-4963-aa32-87e1cb1559d4.png');
-  texB.colorSpace = THREE.SRGBColorSpace;
+  const texB = assets.loadTexture('/textures/ceilings/ffdcd990-4e83-4963-aa32-87e1cb1559d4.png', {
+    colorSpace: THREE.SRGBColorSpace
+  });
 
   const matA = new THREE.MeshStandardMaterial({
     map: texA,
@@ -275,38 +494,38 @@ function createCeilingTiles(parent, W, H, D) {
   const cols = Math.ceil(W / tileSize);
   const rows = Math.ceil(D / tileSize);
 
+  // 两种纹理各一个实例化网格；边缘不足一格的格子按比例缩小（贴图仍铺满整格，与单独建平面一致）
+  const batchA = createInstanceBatch(new THREE.PlaneGeometry(tileSize, tileSize), matA);
+  const batchB = createInstanceBatch(new THREE.PlaneGeometry(tileSize, tileSize), matB);
+
   for (let r = 0; r < rows; r++) {
     for (let c = 0; c < cols; c++) {
       // 交替选择纹理（棋盘格式）
-      const mat = (r + c) % 2 === 0 ? matA : matB;
+      const batch = (r + c) % 2 === 0 ? batchA : batchB;
 
       const tileW = Math.min(tileSize, W - c * tileSize);
       const tileD = Math.min(tileSize, D - r * tileSize);
 
-      const tile = new THREE.Mesh(new THREE.PlaneGeometry(tileW, tileD), mat);
-      tile.rotation.x = Math.PI / 2;
-      tile.position.set(
-        -W / 2 + c * tileSize + tileW / 2,
-        H,
-        -(r * tileSize + tileD / 2)
-      );
-      parent.add(tile);
+      batch.add(makePlacement(
+        [-W / 2 + c * tileSize + tileW / 2, H, -(r * tileSize + tileD / 2)],
+        [Math.PI / 2, 0, 0],
+        [tileW / tileSize, tileD / tileSize, 1]
+      ));
     }
   }
+  batchA.addTo(parent, 'ceilingTilesA');
+  batchB.addTo(parent, 'ceilingTilesB');
 }
 
 /**
  * 创建天花板材质（保留备用）
  */
 function createCeilingMaterial() {
-  const loader = new THREE.TextureLoader();
-  const texture = loader.load('/textures/ceiling/TCom_OfficeCeiling_header.jpg');
-  
-  texture.colorSpace = THREE.SRGBColorSpace;
-  texture.wrapS = THREE.RepeatWrapping;
-  texture.wrapT = THREE.RepeatWrapping;
   // 减少重复次数，让格子的纹理更明显
-  texture.repeat.set(4, 4); 
+  const texture = assets.loadTexture('/textures/ceiling/TCom_OfficeCeiling_header.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [4, 4]
+  });
 
   return new THREE.MeshStandardMaterial({ 
     map: texture,
@@ -319,17 +538,11 @@ function createCeilingMaterial() {
 }
 
 /**
- * 黑板
+ * 左黑板默认板书（今日课题）
+ * @param {CanvasRenderingContext2D} chalkCtx
  */
-function createBlackboard(parent, D) {
-  const group = new THREE.Group();
-  const loader = new THREE.TextureLoader();
-
-  // 绘制粉笔字 Canvas
-  const chalkCanvas = document.createElement('canvas');
-  chalkCanvas.width = 2048;
-  chalkCanvas.height = 1024;
-  const chalkCtx = chalkCanvas.getContext('2d');
+function drawDefaultHandwriting(chalkCtx) {
+  chalkCtx.save();
   chalkCtx.fillStyle = 'rgba(255, 255, 255, 0.85)';
   chalkCtx.font = 'bold 120px "KaiTi", "STKaiti", "Microsoft YaHei", sans-serif';
   chalkCtx.shadowColor = 'rgba(255, 255, 255, 0.5)';
@@ -345,13 +558,15 @@ function createBlackboard(parent, D) {
   chalkCtx.moveTo(200, 280);
   chalkCtx.lineTo(1500, 280);
   chalkCtx.stroke();
-  const handwritingTex = new THREE.CanvasTexture(chalkCanvas);
+  chalkCtx.restore();
+}
 
-  // 绘制右黑板 AI 知识点 Canvas
-  const aiCanvas = document.createElement('canvas');
-  aiCanvas.width = 2048;
-  aiCanvas.height = 1024;
-  const aiCtx = aiCanvas.getContext('2d');
+/**
+ * 右黑板默认板书（AI 知识点）
+ * @param {CanvasRenderingContext2D} aiCtx
+ */
+function drawDefaultAiNotes(aiCtx) {
+  aiCtx.save();
   aiCtx.fillStyle = 'rgba(255, 255, 255, 0.8)';
   aiCtx.font = 'bold 90px "KaiTi", "STKaiti", "Microsoft YaHei", sans-serif';
   aiCtx.fillText('人工智能 (AI) 核心架构', 100, 150);
@@ -374,18 +589,36 @@ function createBlackboard(parent, D) {
   aiCtx.stroke();
   aiCtx.strokeRect(800, 750, 600, 150);
   aiCtx.fillText('LLM Core', 950, 840);
-  
+  aiCtx.restore();
+}
+
+/**
+ * 黑板
+ * @returns {object} 黑板控制器（见 blackboard.js 的 createBlackboardController），left / right 为两侧可书写的板面
+ */
+function createBlackboard(parent, D) {
+  const group = new THREE.Group();
+
+  // 左黑板粉笔字 Canvas（默认内容为今日课题，老师可在其上继续书写）
+  const chalkCanvas = document.createElement('canvas');
+  chalkCanvas.width = 2048;
+  chalkCanvas.height = 1024;
+  const handwritingTex = new THREE.CanvasTexture(chalkCanvas);
+
+  // 右黑板 AI 知识点 Canvas
+  const aiCanvas = document.createElement('canvas');
+  aiCanvas.width = 2048;
+  aiCanvas.height = 1024;
   const aiNotesTex = new THREE.CanvasTexture(aiCanvas);
 
   // 加载黑板素材
-  const scheduleTex = loader.load('/textures/blackboard/schedule.png');
+  const scheduleTex = assets.loadTexture('/textures/blackboard/schedule.png');
 
   // 加载木纹素材用于边框
-  const frameWoodTex = loader.load('/textures/WoodFine0033_8_L.jpg');
-  frameWoodTex.colorSpace = THREE.SRGBColorSpace;
-  frameWoodTex.wrapS = THREE.RepeatWrapping;
-  frameWoodTex.wrapT = THREE.RepeatWrapping;
-  frameWoodTex.repeat.set(4, 1);
+  const frameWoodTex = assets.loadTexture('/textures/WoodFine0033_8_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [4, 1]
+  });
 
   const boardMat = new THREE.MeshStandardMaterial({ color: 0x2d5016 }); // 深绿色
   const frameMat = new THREE.MeshStandardMaterial({ 
@@ -402,6 +635,7 @@ function createBlackboard(parent, D) {
 
   // 辅助函数：创建一个黑板块
   const createBoardPart = (x, width, texture, aspect = 1, isWidget = false) => {
+    let boardSurface = null;
     // 黑板面
     const board = new THREE.Mesh(new THREE.BoxGeometry(width, boardH, 0.05), boardMat);
     board.position.set(x, boardY, -D + 0.03);
@@ -442,6 +676,7 @@ function createBlackboard(parent, D) {
       // 0.03 (中心) + 0.025 (厚度一半) + 0.001 (间隙) = 0.056
       texPlane.position.set(posX, posY, -D + 0.056);
       group.add(texPlane);
+      boardSurface = texPlane;
     }
 
     // 上边框
@@ -459,7 +694,7 @@ function createBlackboard(parent, D) {
     tray.position.set(x, boardY - boardH / 2 - frameThickness, -D + 0.08);
     group.add(tray);
     
-    return { leftBound: x - width/2, rightBound: x + width/2 };
+    return { leftBound: x - width/2, rightBound: x + width/2, surface: boardSurface };
   };
 
   // 左黑板：放置手写粉笔字 (2048x1024 => aspect 2)
@@ -496,10 +731,16 @@ function createBlackboard(parent, D) {
   group.add(frameRight);
 
   parent.add(group);
+
+  return createBlackboardController({
+    left: { canvas: chalkCanvas, texture: handwritingTex, mesh: leftSide.surface, drawBase: drawDefaultHandwriting },
+    right: { canvas: aiCanvas, texture: aiNotesTex, mesh: rightSide.surface, drawBase: drawDefaultAiNotes }
+  });
 }
 
 /**
  * 智能教学一体机（大屏幕） - 居中 16:9 比例
+ * @returns {object} 播放控制器（见 smartDisplay.js 的 createSmartDisplayController）
  */
 function createSmartDisplay(parent, D) {
   const group = new THREE.Group();
@@ -529,10 +770,10 @@ function createSmartDisplay(parent, D) {
   group.add(shell);
 
   // 使用外部贴图作为电脑界面
-  const loader = new THREE.TextureLoader();
-  const texture = loader.load('/textures/ac1f6785-8a67-40b3-8283-b0d9f4479b8e.png');
-  texture.colorSpace = THREE.SRGBColorSpace;
-  texture.anisotropy = 16;
+  const texture = assets.loadTexture('/textures/ac1f6785-8a67-40b3-8283-b0d9f4479b8e.png', {
+    colorSpace: THREE.SRGBColorSpace,
+    anisotropy: 16
+  });
 
   const screenMat = new THREE.MeshStandardMaterial({
     map: texture,
@@ -545,19 +786,24 @@ function createSmartDisplay(parent, D) {
   screen.position.set(centerX, 1.8, -D + 0.081);
   group.add(screen);
 
+  // 屏幕前方的补光，颜色与强度随画面变化
+  const glowLight = new THREE.PointLight(0xffffff, 0.27, 6, 2);
+  glowLight.position.set(centerX, 1.8, -D + 0.6);
+  group.add(glowLight);
+
   parent.add(group);
+  return createSmartDisplayController({ screen, defaultTexture: texture, screenAspect, glowLight });
 }
 
 /**
  * 讲台（包含地面抬高的台基和老师用的讲桌）
+ * @param {object} [opts] { deskOffset } 讲桌中心距前墙的距离
  */
-function createPodium(parent, D) {
-  const loader = new THREE.TextureLoader();
-  const podWoodTex = loader.load('/textures/WoodFine0023_L.jpg');
-  podWoodTex.colorSpace = THREE.SRGBColorSpace;
-  podWoodTex.wrapS = THREE.RepeatWrapping;
-  podWoodTex.wrapT = THREE.RepeatWrapping;
-  podWoodTex.repeat.set(2, 2);
+function createPodium(parent, D, opts = {}) {
+  const podWoodTex = assets.loadTexture('/textures/WoodFine0023_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [2, 2]
+  });
 
   const podMat = new THREE.MeshStandardMaterial({ 
     map: podWoodTex,
@@ -566,11 +812,10 @@ function createPodium(parent, D) {
     metalness: 0.05
   });
 
-  const platformBarkTex = loader.load('/textures/BarkStripped0005_23_L.jpg');
-  platformBarkTex.colorSpace = THREE.SRGBColorSpace;
-  platformBarkTex.wrapS = THREE.RepeatWrapping;
-  platformBarkTex.wrapT = THREE.RepeatWrapping;
-  platformBarkTex.repeat.set(8, 2);
+  const platformBarkTex = assets.loadTexture('/textures/BarkStripped0005_23_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [8, 2]
+  });
 
   const platformMat = new THREE.MeshStandardMaterial({ 
     map: platformBarkTex,
@@ -614,22 +859,23 @@ function createPodium(parent, D) {
   parent.add(platform);
 
   // 2. 老师讲桌 (直接放在地板上，位于地坪前方)
+  const deskOffset = opts.deskOffset ?? 1.6;
   const body = new THREE.Mesh(new THREE.BoxGeometry(1.2, 1.0, 0.6), podMat);
-  // 讲柜中心移至离前墙 1.6m 处
-  body.position.set(0, 0.5, -D + 1.6);
+  // 讲柜中心默认移至离前墙 1.6m 处
+  body.position.set(0, 0.5, -D + deskOffset);
   body.castShadow = true;
   body.receiveShadow = true;
   parent.add(body);
 
   // 讲台面板（讲桌顶部的倾斜面板）
   const top = new THREE.Mesh(new THREE.BoxGeometry(1.3, 0.04, 0.7), podMat);
-  top.position.set(0, 1.02, -D + 1.6);
+  top.position.set(0, 1.02, -D + deskOffset);
   parent.add(top);
 
   // 3. 讲台面板围挡 (防止物品掉落，U型设计：左、右、前)
   const barrierH = 0.08; // 围挡高度
   const barrierT = 0.02; // 围挡厚度
-  const deskZ = -D + 1.6;
+  const deskZ = -D + deskOffset;
   const topSurfaceY = 1.04; // top.y(1.02) + thickness/2(0.02)
 
   // 前部围挡 (在讲台前沿，即远离墙壁的一侧)
@@ -650,7 +896,9 @@ function createPodium(parent, D) {
   // 在讲台上也放点东西
   const podiumStuff = new THREE.Group();
   podiumStuff.position.set(0, topSurfaceY, deskZ);
-  addStationeryToDesk(podiumStuff, 0.01);
+  const podiumStationery = createStationeryBatches();
+  addStationeryToDesk(podiumStationery, makePlacement([0, 0, 0]), 0.01);
+  Object.entries(podiumStationery).forEach(([name, batch]) => batch.addTo(podiumStuff, name));
   // 再多加一叠厚书
   const bigBookGeo = new THREE.BoxGeometry(0.25, 0.08, 0.35);
   const bigBook = new THREE.Mesh(bigBookGeo, new THREE.MeshStandardMaterial({ color: 0x8b0000 }));
@@ -660,16 +908,71 @@ function createPodium(parent, D) {
   parent.add(podiumStuff);
 }
 
+// 椅面中心相对课桌中心的偏移（椅子在桌后方 0.5m，椅面高 0.42m）
+const CHAIR_SEAT_Z = 0.5;
+const CHAIR_SEAT_Y = 0.42;
+// 坐下时 VRM 根节点相对椅面的抬高量（屁股对齐椅面 0.42 + 微调 → 0.55）
+const SITTING_ROOT_OFFSET = 0.13;
+
+// 课桌椅排布的最小间距（桌宽 0.9m、桌椅总进深约 0.95m）与四周留白
+const MIN_DESK_SPACING_X = 1.1;
+const MIN_DESK_SPACING_Z = 1.0;
+const DESK_SIDE_MARGIN = 1.2;  // 两侧靠墙通道（含桌宽的一半）
+const DESK_BACK_MARGIN = 1.2;  // 最后一排课桌距后墙（椅子 + 柜子）
+
+/**
+ * 根据座位需求扩充课桌椅排列：优先在教室进深内增加排数，排满后再增加列数，
+ * 必要时在最小间距范围内压缩间距
+ * @param {number} W 教室宽度
+ * @param {number} D 教室深度
+ * @param {object} grid { columns, rows, spacingX, spacingZ, frontOffset }
+ * @param {object} seating { seatCount, minRows, minColumns }
+ */
+function fitDeskGrid(W, D, grid, seating) {
+  const seatCount = seating.seatCount ?? 0;
+  let rows = Math.max(grid.rows, seating.minRows ?? 0);
+  let columns = Math.max(grid.columns, seating.minColumns ?? 0);
+  if (rows * columns >= seatCount && rows === grid.rows && columns === grid.columns) {
+    return grid;
+  }
+
+  const depthForRows = D - grid.frontOffset - DESK_BACK_MARGIN;
+  const widthForColumns = W - DESK_SIDE_MARGIN * 2;
+  const maxRows = Math.max(1, Math.floor(depthForRows / MIN_DESK_SPACING_Z) + 1);
+  const maxColumns = Math.max(1, Math.floor(widthForColumns / MIN_DESK_SPACING_X) + 1);
+
+  if (rows * columns < seatCount) {
+    rows = Math.max(rows, Math.min(maxRows, Math.ceil(seatCount / columns)));
+    columns = Math.max(columns, Math.ceil(seatCount / rows));
+  }
+  if (rows > maxRows || columns > maxColumns) {
+    console.warn(`教室空间不足以按最小间距摆放 ${columns} 列 x ${rows} 排课桌椅`);
+  }
+
+  const fit = (count, spacing, span, minSpacing) => (
+    count > 1 ? Math.max(minSpacing, Math.min(spacing, span / (count - 1))) : spacing
+  );
+  return {
+    ...grid,
+    rows,
+    columns,
+    spacingX: fit(columns, grid.spacingX, widthForColumns, MIN_DESK_SPACING_X),
+    spacingZ: fit(rows, grid.spacingZ, depthForRows, MIN_DESK_SPACING_Z)
+  };
+}
+
 /**
  * 学生课桌椅
+ * @param {object} [opts] { columns, rows, spacingX, spacingZ, frontOffset }
+ *   frontOffset 为第一排课桌距前墙的距离；
+ *   另可传入 seatCount / minRows / minColumns，座位不够时按 fitDeskGrid 扩充
+ * @returns {Array<object>} 座位列表，见 createSeatRegistry
  */
-function createDesksAndChairs(parent, D) {
-  const loader = new THREE.TextureLoader();
-  const woodTex = loader.load('/textures/WoodFine0023_L.jpg');
-  woodTex.colorSpace = THREE.SRGBColorSpace;
-  woodTex.wrapS = THREE.RepeatWrapping;
-  woodTex.wrapT = THREE.RepeatWrapping;
-  woodTex.repeat.set(2, 2);
+function createDesksAndChairs(parent, W, D, opts = {}) {
+  const woodTex = assets.loadTexture('/textures/WoodFine0023_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [2, 2]
+  });
 
   const deskMat = new THREE.MeshStandardMaterial({ 
     map: woodTex,
@@ -679,171 +982,213 @@ function createDesksAndChairs(parent, D) {
   const legMat = new THREE.MeshStandardMaterial({ color: 0x888888 });  // 金属灰
   const chairMat = new THREE.MeshStandardMaterial({ color: 0x4a90d9 }); // 蓝色椅面
 
-  const columns = 3;
-  const rows = 4;
-  const spacingX = 2.5;
-  const spacingZ = 1.6;
+  const { columns, rows, spacingX, spacingZ, frontOffset } = fitDeskGrid(W, D, {
+    columns: opts.columns ?? 3,
+    rows: opts.rows ?? 4,
+    spacingX: opts.spacingX ?? 2.5,
+    spacingZ: opts.spacingZ ?? 1.6,
+    frontOffset: opts.frontOffset ?? 3.5
+  }, opts);
   const startX = -(columns - 1) * spacingX / 2;
-  const startZ = -D + 3.5;
+  const startZ = -D + frontOffset;
+  const seats = [];
+  const batches = createDeskBatches(deskMat, legMat, chairMat);
 
   for (let col = 0; col < columns; col++) {
     for (let row = 0; row < rows; row++) {
       const x = startX + col * spacingX;
       const z = startZ + row * spacingZ;
-      createSingleDesk(parent, x, z, deskMat, legMat, chairMat);
+      const chair = createSingleDesk(parent, x, z, batches);
+      chair.userData = { row, col };
+      seats.push({
+        row,
+        col,
+        position: new THREE.Vector3(x, CHAIR_SEAT_Y + SITTING_ROOT_OFFSET, z + CHAIR_SEAT_Z),
+        facing: Math.PI, // 面向黑板 (-Z)
+        occupant: null
+      });
     }
   }
+  Object.entries(batches)
+    .filter(([name]) => name !== 'chairHighlight')
+    .forEach(([name, batch]) => batch.addTo(parent, name));
+  return seats;
 }
 
-function createSingleDesk(parent, x, z, deskMat, legMat, chairMat) {
-  const group = new THREE.Group();
-
-  // 桌面
-  const desktop = new THREE.Mesh(new THREE.BoxGeometry(0.9, 0.03, 0.5), deskMat);
-  desktop.position.set(0, 0.72, 0);
-  desktop.castShadow = true;
-  desktop.receiveShadow = true;
-  group.add(desktop);
+/**
+ * 座位注册表：按 排/列 查询每把椅子的坐姿位置与朝向
+ * row 从 0 开始，0 为离黑板最近的第一排；col 从 0 开始，0 为面向黑板时最左侧一列
+ * position 为 VRM 根节点坐下时应在的位置（教室坐标系），
+ * facing 为按 VRM 1.0 约定（默认朝 +Z）的绕 Y 旋转角
+ * @param {Array<object>} seats
+ */
+export function createSeatRegistry(seats) {
+  return {
+    list: seats,
+    rows: seats.reduce((max, s) => Math.max(max, s.row + 1), 0),
+    columns: seats.reduce((max, s) => Math.max(max, s.col + 1), 0),
+    get(row, col) {
+      return seats.find(s => s.row === row && s.col === col) ?? null;
+    }
+  };
+}
 
+/**
+ * 课桌椅和桌面文具的实例化批次（零件坐标相对课桌中心）
+ * 同一材质、同样阴影设置的零件合并后实例化：桌面、书桌堂、桌腿、椅面、椅腿、椅背各一次绘制
+ * @returns {object} 批次表，键为生成的网格名；chairHighlight 不是批次，而是椅子悬停描边用的合并几何体
+ */
+function createDeskBatches(deskMat, legMat, chairMat) {
   // 书桌堂（桌面下的储物槽）
   const cavityH = 0.12; // 储物槽高度
   const cavityLowerY = 0.705 - cavityH; // 桌面下边缘 y - 高度
-  
-  // 底板
-  const cavityBottom = new THREE.Mesh(new THREE.BoxGeometry(0.86, 0.02, 0.46), deskMat);
-  cavityBottom.position.set(0, cavityLowerY, 0);
-  group.add(cavityBottom);
-
-  // 背板
-  const cavityBack = new THREE.Mesh(new THREE.BoxGeometry(0.86, cavityH, 0.02), deskMat);
-  cavityBack.position.set(0, cavityLowerY + cavityH / 2, -0.22);
-  group.add(cavityBack);
-
-  // 左侧板
-  const cavityLeft = new THREE.Mesh(new THREE.BoxGeometry(0.02, cavityH, 0.46), deskMat);
-  cavityLeft.position.set(-0.42, cavityLowerY + cavityH / 2, 0);
-  group.add(cavityLeft);
-
-  // 右侧板
-  const cavityRight = new THREE.Mesh(new THREE.BoxGeometry(0.02, cavityH, 0.46), deskMat);
-  cavityRight.position.set(0.42, cavityLowerY + cavityH / 2, 0);
-  group.add(cavityRight);
+  const cavity = mergeParts([
+    { geometry: new THREE.BoxGeometry(0.86, 0.02, 0.46), position: [0, cavityLowerY, 0] },                // 底板
+    { geometry: new THREE.BoxGeometry(0.86, cavityH, 0.02), position: [0, cavityLowerY + cavityH / 2, -0.22] }, // 背板
+    { geometry: new THREE.BoxGeometry(0.02, cavityH, 0.46), position: [-0.42, cavityLowerY + cavityH / 2, 0] }, // 左侧板
+    { geometry: new THREE.BoxGeometry(0.02, cavityH, 0.46), position: [0.42, cavityLowerY + cavityH / 2, 0] }   // 右侧板
+  ]);
 
   // 桌腿（4条）
   const legGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.72);
-  const positions = [
+  const deskLegs = mergeParts([
     [-0.4, 0.36, -0.2], [0.4, 0.36, -0.2],
     [-0.4, 0.36, 0.2],  [0.4, 0.36, 0.2],
-  ];
-  positions.forEach(([lx, ly, lz]) => {
-    const leg = new THREE.Mesh(legGeo, legMat);
-    leg.position.set(lx, ly, lz);
-    group.add(leg);
-  });
+  ].map(position => ({ geometry: legGeo, position })));
 
-  // 椅子（在桌后方）
-  // 椅面
-  const seat = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.03, 0.4), chairMat);
-  seat.position.set(0, 0.42, 0.5);
-  seat.castShadow = true;
-  seat.receiveShadow = true;
-  group.add(seat);
-
-  // 椅腿
+  // 椅子（在桌后方）：椅面、椅腿、椅背
+  const seatGeo = new THREE.BoxGeometry(0.4, 0.03, 0.4);
+  seatGeo.translate(0, CHAIR_SEAT_Y, CHAIR_SEAT_Z);
   const chairLegGeo = new THREE.CylinderGeometry(0.015, 0.015, 0.42);
-  const chairLegPos = [
+  const chairLegs = mergeParts([
     [-0.17, 0.21, 0.33], [0.17, 0.21, 0.33],
     [-0.17, 0.21, 0.67], [0.17, 0.21, 0.67],
-  ];
-  chairLegPos.forEach(([lx, ly, lz]) => {
-    const leg = new THREE.Mesh(chairLegGeo, legMat);
-    leg.position.set(lx, ly, lz);
-    group.add(leg);
-  });
+  ].map(position => ({ geometry: chairLegGeo, position })));
+  const backrestGeo = new THREE.BoxGeometry(0.4, 0.35, 0.03);
+  backrestGeo.translate(0, 0.62, 0.68);
+
+  const desktopGeo = new THREE.BoxGeometry(0.9, 0.03, 0.5);
+  desktopGeo.translate(0, 0.72, 0);
+
+  return {
+    desktops: createInstanceBatch(desktopGeo, deskMat, { castShadow: true, receiveShadow: true }),
+    deskCavities: createInstanceBatch(cavity, deskMat, { partsPerInstance: 4 }),
+    deskLegs: createInstanceBatch(deskLegs, legMat, { partsPerInstance: 4 }),
+    chairSeats: createInstanceBatch(seatGeo, chairMat, { castShadow: true, receiveShadow: true }),
+    chairLegs: createInstanceBatch(chairLegs, legMat, { partsPerInstance: 4 }),
+    chairBackrests: createInstanceBatch(backrestGeo, chairMat, { castShadow: true }),
+    ...createStationeryBatches(),
+    // 椅子整体（椅面、椅腿、椅背分组对应各自材质），供每把椅子的拾取 / 描边代理共用
+    // 代理与实例化的椅子完全重合，材质加多边形偏移让代理显示时总在前面，避免深度冲突造成闪烁
+    chairHighlight: {
+      geometry: mergeGeometries([seatGeo, chairLegs, backrestGeo], true),
+      materials: [chairMat, legMat, chairMat].map((material) => {
+        const highlightMaterial = material.clone();
+        highlightMaterial.polygonOffset = true;
+        highlightMaterial.polygonOffsetFactor = -1;
+        highlightMaterial.polygonOffsetUnits = -1;
+        return highlightMaterial;
+      })
+    }
+  };
+}
 
-  // 椅背
-  const backrest = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.35, 0.03), chairMat);
-  backrest.position.set(0, 0.62, 0.68);
-  backrest.castShadow = true;
-  group.add(backrest);
+/**
+ * 桌面文具的实例化批次：书（实例颜色区分封面）、草稿纸、抽纸盒、露出的纸巾、笔
+ */
+function createStationeryBatches() {
+  return {
+    stationeryBooks: createInstanceBatch(new THREE.BoxGeometry(0.18, 0.02, 0.24), new THREE.MeshStandardMaterial()),
+    stationeryPapers: createInstanceBatch(
+      new THREE.PlaneGeometry(0.21, 0.28),
+      new THREE.MeshStandardMaterial({ color: 0xfafafa, side: THREE.DoubleSide })
+    ),
+    stationeryTissueBoxes: createInstanceBatch(
+      new THREE.BoxGeometry(0.12, 0.08, 0.12),
+      new THREE.MeshStandardMaterial({ color: 0xe5e7eb }) // 浅灰白色
+    ),
+    stationeryTissues: createInstanceBatch(new THREE.BoxGeometry(0.06, 0.02, 0.01), new THREE.MeshStandardMaterial({ color: 0xffffff })),
+    stationeryPens: createInstanceBatch(new THREE.CylinderGeometry(0.005, 0.005, 0.15), new THREE.MeshStandardMaterial({ color: 0x222222 }))
+  };
+}
 
-  group.position.set(x, 0, z);
-  parent.add(group);
+/**
+ * 摆放一套课桌椅：课桌椅本身由实例化网格绘制，这里只记录摆放，
+ * 另为椅子创建一个不渲染的代理网格，用于点击选座和悬停描边
+ * @param {object} batches createDeskBatches 的返回值
+ * @returns {THREE.Group} 椅子分组（name 为 'chair'，其中的 chairHighlight 网格平时隐藏，悬停时显示以便描边）
+ */
+function createSingleDesk(parent, x, z, batches) {
+  const placement = makePlacement([x, 0, z]);
+  ['desktops', 'deskCavities', 'deskLegs', 'chairSeats', 'chairLegs', 'chairBackrests']
+    .forEach(name => batches[name].add(placement));
+
+  const chair = new THREE.Group();
+  chair.name = 'chair';
+  chair.position.set(x, 0, z);
+  // 隐藏的网格仍参与射线拾取；与实例化的椅子完全重合，显示时画面不变
+  const highlight = new THREE.Mesh(batches.chairHighlight.geometry, batches.chairHighlight.materials);
+  highlight.name = 'chairHighlight';
+  highlight.visible = false;
+  chair.add(highlight);
+  parent.add(chair);
 
   // 在桌面上随机添加一些文具
-  addStationeryToDesk(group, 0.735); // desktop.y(0.72) + thickness/2(0.015)
+  addStationeryToDesk(batches, placement, 0.735); // desktop.y(0.72) + thickness/2(0.015)
+  return chair;
 }
 
 /**
  * 在桌面上添加文具：书、草稿纸、卷纸等
- * @param {THREE.Group} group 
+ * @param {object} batches createStationeryBatches 的返回值
+ * @param {THREE.Matrix4} desk 课桌的摆放
  * @param {number} surfaceY 
  */
-function addStationeryToDesk(group, surfaceY) {
-  const items = new THREE.Group();
-  
+function addStationeryToDesk(batches, desk, surfaceY) {
   // 1. 书本 (左侧区域)
   const bookColors = [0x1a5fb4, 0x26a269, 0xc64600, 0x613583];
   const numBooks = Math.floor(Math.random() * 2) + 1; // 1-2本书
   for (let i = 0; i < numBooks; i++) {
-    const bookGeo = new THREE.BoxGeometry(0.18, 0.02, 0.24);
-    const bookMat = new THREE.MeshStandardMaterial({ color: bookColors[Math.floor(Math.random() * bookColors.length)] });
-    const book = new THREE.Mesh(bookGeo, bookMat);
-    
     // 固定在左侧，堆叠或稍微错位
     const stackY = surfaceY + 0.01 + (i * 0.021); // 增加 Y 偏移防止重叠
-    book.position.set(-0.25 + (Math.random() * 0.05), stackY, (Math.random() - 0.5) * 0.1);
-    book.rotation.y = (Math.random() - 0.5) * 0.2;
-    items.add(book);
+    batches.stationeryBooks.add(
+      makePlacement(
+        [-0.25 + (Math.random() * 0.05), stackY, (Math.random() - 0.5) * 0.1],
+        [0, (Math.random() - 0.5) * 0.2, 0],
+        undefined,
+        desk
+      ),
+      bookColors[Math.floor(Math.random() * bookColors.length)]
+    );
   }
 
   // 2. 草稿纸 (中间区域)
   const numPapers = Math.floor(Math.random() * 2) + 1;
   for (let i = 0; i < numPapers; i++) {
-    const paperGeo = new THREE.PlaneGeometry(0.21, 0.28);
-    const paperMat = new THREE.MeshStandardMaterial({ color: 0xfafafa, side: THREE.DoubleSide });
-    const paper = new THREE.Mesh(paperGeo, paperMat);
-    paper.rotation.x = -Math.PI / 2;
-    paper.position.set(0.1, surfaceY + 0.002 + (i * 0.002), 0.05);
-    paper.rotation.z = (Math.random() - 0.5) * 0.3;
-    items.add(paper);
+    batches.stationeryPapers.add(makePlacement(
+      [0.1, surfaceY + 0.002 + (i * 0.002), 0.05],
+      [-Math.PI / 2, 0, (Math.random() - 0.5) * 0.3],
+      undefined,
+      desk
+    ));
   }
 
   // 3. 纸抽 (抽纸盒 - 右侧后方)
   if (Math.random() > 0.4) {
-    const boxGeo = new THREE.BoxGeometry(0.12, 0.08, 0.12);
-    const boxMat = new THREE.MeshStandardMaterial({ color: 0xe5e7eb }); // 浅灰白色
-    const tissueBox = new THREE.Mesh(boxGeo, boxMat);
-    tissueBox.position.set(0.3, surfaceY + 0.04, -0.1);
-    items.add(tissueBox);
-    
+    batches.stationeryTissueBoxes.add(makePlacement([0.3, surfaceY + 0.04, -0.1], undefined, undefined, desk));
     // 顶部露出的纸巾
-    const tissueGeo = new THREE.BoxGeometry(0.06, 0.02, 0.01);
-    const tissuePaper = new THREE.Mesh(tissueGeo, new THREE.MeshStandardMaterial({ color: 0xffffff }));
-    tissuePaper.position.set(0.3, surfaceY + 0.08, -0.1);
-    items.add(tissuePaper);
+    batches.stationeryTissues.add(makePlacement([0.3, surfaceY + 0.08, -0.1], undefined, undefined, desk));
   }
 
   // 4. 笔 (靠近纸张或书本)
-  const penGeo = new THREE.CylinderGeometry(0.005, 0.005, 0.15);
-  const penMat = new THREE.MeshStandardMaterial({ color: 0x222222 });
-  const pen = new THREE.Mesh(penGeo, penMat);
-  pen.rotation.x = Math.PI / 2;
-  pen.rotation.z = 1.2;
-  pen.position.set(
-    0.15,
-    surfaceY + 0.005,
-    0.2
-  );
-  items.add(pen);
-
-  group.add(items);
+  batches.stationeryPens.add(makePlacement([0.15, surfaceY + 0.005, 0.2], [Math.PI / 2, 0, 1.2], undefined, desk));
 }
 
 /**
- * 左墙（带真实窗户缺口和窗外风景）
+ * 左墙（带真实窗户缺口和窗外风景），每扇窗内侧有一幅卷帘
+ * @returns {object} 卷帘控制器（见 roomControls.js），第 0 扇窗靠后墙
  */
-function createLeftWallWithWindows(parent, W, H, D, wallMat) {
+function createLeftWallWithWindows(parent, W, H, D, wallMat, windowCount = 3) {
   const group = new THREE.Group();
   const windowMat = new THREE.MeshPhysicalMaterial({
     color: 0xffffff,
@@ -858,11 +1203,18 @@ function createLeftWallWithWindows(parent, W, H, D, wallMat) {
   const frameMat = new THREE.MeshStandardMaterial({ color: 0xf0f0f0, roughness: 0.2, metalness: 0.8 }); // 铝合金感
   
   const wallX = -W / 2;
-  const windowCount = 3;
   const winW = 1.6;
   const winH = 1.8;
   const winY = 1.9; // 稍微抬高一点，给暖气片留位
   const winZGap = D / (windowCount + 1);
+  const blinds = [];
+  const blindMat = new THREE.MeshStandardMaterial({ color: 0xe8e2d4, roughness: 0.9, side: THREE.DoubleSide });
+  const blindRailMat = new THREE.MeshStandardMaterial({ color: 0xd8d8d8, roughness: 0.4, metalness: 0.3 });
+  const blindX = wallX + 0.1; // 窗框内侧，不碰到窗台
+  const blindTop = winY + winH / 2 + 0.02; // 卷轴下沿
+  const blindLength = winH - 0.02;
+  // 卷帘布顶边在原点、向下展开，放下多少按 scale.y 缩放
+  const blindGeo = new THREE.PlaneGeometry(winW + 0.04, 1).translate(0, -0.5, 0);
 
   // 1. 分段构建实墙，留下窗户空洞
   const createSeg = (zStart, zEnd, y, h) => {
@@ -880,16 +1232,17 @@ function createLeftWallWithWindows(parent, W, H, D, wallMat) {
   createSeg(0, -D, (winY + winH/2 + H)/2, H - (winY + winH/2));
   // 窗间柱和两端
   createSeg(0, -winZGap + winW/2, winY, winH); // 后角柱
-  createSeg(-winZGap - winW/2, -2*winZGap + winW/2, winY, winH); // 柱1
-  createSeg(-2*winZGap - winW/2, -3*winZGap + winW/2, winY, winH); // 柱2
-  createSeg(-3*winZGap - winW/2, -D, winY, winH); // 前角柱
+  for (let i = 1; i < windowCount; i++) {
+    createSeg(-i*winZGap - winW/2, -(i+1)*winZGap + winW/2, winY, winH); // 窗间柱
+  }
+  createSeg(-windowCount*winZGap - winW/2, -D, winY, winH); // 前角柱
 
   // 2. 窗外风景（使用真实纹理）
-  const sceneLoader = new THREE.TextureLoader();
 
   // 远景：山脉/平原 (从 land 文件夹加载)
-  const landTex = sceneLoader.load('/textures/land/Gemini_Generated_Image_43jf5o43jf5o43jf.png');
-  landTex.colorSpace = THREE.SRGBColorSpace;
+  const landTex = assets.loadTexture('/textures/land/Gemini_Generated_Image_43jf5o43jf5o43jf.png', {
+    colorSpace: THREE.SRGBColorSpace
+  });
   // 保持图片原始比例 2816 / 1536
   const landAspect = 2816 / 1536;
   const landH = 12;
@@ -903,11 +1256,10 @@ function createLeftWallWithWindows(parent, W, H, D, wallMat) {
   group.add(landPlane);
 
   // 近景：地面（草地 + 小路，水平铺在地上，从墙外往外延伸）
-  const grassTex = sceneLoader.load('/textures/Grass0002_2_L.jpg');
-  grassTex.colorSpace = THREE.SRGBColorSpace;
-  grassTex.wrapS = THREE.RepeatWrapping;
-  grassTex.wrapT = THREE.RepeatWrapping;
-  grassTex.repeat.set(4, 4);
+  const grassTex = assets.loadTexture('/textures/Grass0002_2_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [4, 4]
+  });
   const grassPlane = new THREE.Mesh(
     new THREE.PlaneGeometry(8, D + 2),
     new THREE.MeshBasicMaterial({ map: grassTex })
@@ -917,11 +1269,10 @@ function createLeftWallWithWindows(parent, W, H, D, wallMat) {
   group.add(grassPlane);
 
   // 小路（在草地上方一点点，避免Z-fighting）
-  const roadTex = sceneLoader.load('/textures/Roads0086_33_L.jpg');
-  roadTex.colorSpace = THREE.SRGBColorSpace;
-  roadTex.wrapS = THREE.RepeatWrapping;
-  roadTex.wrapT = THREE.RepeatWrapping;
-  roadTex.repeat.set(1, 4);
+  const roadTex = assets.loadTexture('/textures/Roads0086_33_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [1, 4]
+  });
   const roadPlane = new THREE.Mesh(
     new THREE.PlaneGeometry(1.5, D + 2),
     new THREE.MeshBasicMaterial({ map: roadTex })
@@ -936,6 +1287,7 @@ function createLeftWallWithWindows(parent, W, H, D, wallMat) {
 
     // 玻璃
     const glass = new THREE.Mesh(new THREE.PlaneGeometry(winW, winH), windowMat);
+    glass.name = 'windowGlass'; // 下雨时在外侧叠加雨滴（见 dayLighting.js）
     glass.rotation.y = Math.PI / 2;
     glass.position.set(wallX, winY, winZ);
     group.add(glass);
@@ -950,12 +1302,11 @@ function createLeftWallWithWindows(parent, W, H, D, wallMat) {
     group.add(hFrame2);
 
     // 大理石台板
-    const sillTex = new THREE.TextureLoader().load('/textures/ScreenShot_2026-02-07_014014_472.png');
-    sillTex.colorSpace = THREE.SRGBColorSpace;
     // 使用平铺（RepeatWrapping）防止贴图被拉伸，长条状窗台重复使用纹理
-    sillTex.wrapS = THREE.RepeatWrapping;
-    sillTex.wrapT = THREE.RepeatWrapping;
-    sillTex.repeat.set(2, 1); 
+    const sillTex = assets.loadTexture('/textures/ScreenShot_2026-02-07_014014_472.png', {
+      colorSpace: THREE.SRGBColorSpace,
+      repeat: [2, 1]
+    });
 
     const sillMat = new THREE.MeshStandardMaterial({ 
       map: sillTex,
@@ -990,8 +1341,30 @@ function createLeftWallWithWindows(parent, W, H, D, wallMat) {
     const midV = new THREE.Mesh(new THREE.BoxGeometry(0.06, winH, 0.04), frameMat);
     midV.position.set(wallX + 0.02, winY, winZ);
     group.add(midV);
+
+    // 卷帘：卷轴、卷帘布和底杆，点击卷帘放下 / 收起
+    const blindGroup = new THREE.Group();
+    blindGroup.name = 'windowBlind';
+    blindGroup.userData = { index: i, top: blindTop, length: blindLength };
+    const roller = new THREE.Mesh(new THREE.CylinderGeometry(0.035, 0.035, winW + 0.1, 16), blindRailMat);
+    roller.rotation.x = Math.PI / 2;
+    roller.position.set(blindX, blindTop + 0.035, winZ);
+    blindGroup.add(roller);
+    const cloth = new THREE.Mesh(blindGeo, blindMat);
+    cloth.name = 'blindCloth';
+    cloth.rotation.y = Math.PI / 2;
+    cloth.position.set(blindX, blindTop, winZ);
+    cloth.castShadow = true;
+    blindGroup.add(cloth);
+    const bar = new THREE.Mesh(new THREE.BoxGeometry(0.02, 0.025, winW + 0.04), blindRailMat);
+    bar.name = 'blindBar';
+    bar.position.set(blindX, blindTop, winZ);
+    blindGroup.add(bar);
+    group.add(blindGroup);
+    blinds.push({ cloth, bar, top: blindTop, length: blindLength });
   }
   parent.add(group);
+  return createBlindController(blinds);
 }
 
 /**
@@ -1002,9 +1375,9 @@ function createRightWall(parent, W, H, D, wallMat) {
   const wallX = W / 2;
   const doorW = 0.9;
   const doorH = 2.0;
-  const doorLoader = new THREE.TextureLoader();
-  const doorTex = doorLoader.load('/textures/DF1A392A-2EBA-4432-BFEB-762A09D3F832_4_5005_c.jpeg');
-  doorTex.colorSpace = THREE.SRGBColorSpace;
+  const doorTex = assets.loadTexture('/textures/DF1A392A-2EBA-4432-BFEB-762A09D3F832_4_5005_c.jpeg', {
+    colorSpace: THREE.SRGBColorSpace
+  });
   const doorMat = new THREE.MeshStandardMaterial({ 
     map: doorTex,
     roughness: 0.6,
@@ -1029,79 +1402,85 @@ function createRightWall(parent, W, H, D, wallMat) {
     group.add(seg);
   };
 
+  // 后门在 Z=-0.95，前门在 Z=-D+0.95，飘窗居中（宽 3m）
+  const bayZ = -D / 2;
   createWallSegment(0, -0.5, wallX, H, H/2); 
-  createWallSegment(-1.4, -3.5, wallX, H, H/2); 
-  createWallSegment(-6.5, -8.6, wallX, H, H/2); 
-  createWallSegment(-9.5, -10, wallX, H, H/2); 
-
-  // 2. 门逻辑
-  const createDoor = (z) => {
+  createWallSegment(-1.4, bayZ + 1.5, wallX, H, H/2); 
+  createWallSegment(bayZ - 1.5, -D + 1.4, wallX, H, H/2); 
+  createWallSegment(-D + 0.5, -D, wallX, H, H/2); 
+
+  // 2. 门逻辑（门板和门上小窗放入以 name 命名的分组，便于交互拾取）
+  const createDoor = (z, name) => {
+    const doorGroup = new THREE.Group();
+    doorGroup.name = name;
+    group.add(doorGroup);
     const door = new THREE.Mesh(new THREE.BoxGeometry(0.05, doorH, doorW), doorMat);
     door.position.set(wallX, doorH / 2, z);
-    group.add(door);
+    doorGroup.add(door);
     const topFrame = new THREE.Mesh(new THREE.BoxGeometry(0.1, 0.05, doorW + 0.1), frameMat);
     topFrame.position.set(wallX, doorH + 0.025, z);
     group.add(topFrame);
     const doorWin = new THREE.Mesh(new THREE.PlaneGeometry(doorW * 0.4, 0.5), glassMat);
     doorWin.rotation.y = -Math.PI / 2;
     doorWin.position.set(wallX - 0.03, doorH * 0.7, z);
-    group.add(doorWin);
+    doorGroup.add(doorWin);
     createWallSegment(z - doorW/2, z + doorW/2, wallX, H - doorH - 0.05, (H + doorH + 0.05)/2);
   };
 
-  createDoor(-0.95); 
-  createDoor(-9.05); 
+  createDoor(-0.95, 'backDoor');
+  createDoor(-D + 0.95, 'frontDoor');
 
-  // 3. 飘窗逻辑 (Z: -3.5 ~ -6.5)
+  // 3. 飘窗逻辑 (默认 Z: -3.5 ~ -6.5)
   const winW = 3.0;
   const winH = 1.6;
   const winY = 1.8;
   const winDepth = 0.4;
   
-  const sillTex = new THREE.TextureLoader().load('/textures/ScreenShot_2026-02-07_014014_472.png');
-  sillTex.colorSpace = THREE.SRGBColorSpace;
   // 飘窗较长，增加平铺次数防止拉伸
-  sillTex.wrapS = THREE.RepeatWrapping;
-  sillTex.wrapT = THREE.RepeatWrapping;
-  sillTex.repeat.set(3, 1);
+  const sillTex = assets.loadTexture('/textures/ScreenShot_2026-02-07_014014_472.png', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [3, 1]
+  });
 
   const sill = new THREE.Mesh(new THREE.BoxGeometry(winDepth, 0.1, winW), new THREE.MeshStandardMaterial({ 
     map: sillTex,
     roughness: 0.2,
     metalness: 0.1
   }));
-  sill.position.set(wallX - winDepth/2, 1.0, -5.0);
+  sill.position.set(wallX - winDepth/2, 1.0, bayZ);
   group.add(sill);
   
   const glass = new THREE.Mesh(new THREE.PlaneGeometry(winW, winH), glassMat);
+  glass.name = 'windowGlass';
   glass.rotation.y = -Math.PI / 2;
-  glass.position.set(wallX + winDepth, winY, -5.0);
+  glass.position.set(wallX + winDepth, winY, bayZ);
   group.add(glass);
 
   const sideGlass = new THREE.Mesh(new THREE.PlaneGeometry(winDepth, winH), glassMat);
-  sideGlass.position.set(wallX + winDepth/2, winY, -5.0 + winW/2);
+  sideGlass.name = 'windowGlass';
+  sideGlass.position.set(wallX + winDepth/2, winY, bayZ + winW/2);
   group.add(sideGlass);
   const sideGlass2 = sideGlass.clone();
-  sideGlass2.position.z = -5.0 - winW/2;
+  sideGlass2.position.z = bayZ - winW/2;
   group.add(sideGlass2);
 
   const winExtenMat = new THREE.MeshStandardMaterial({ color: 0xeeeeee });
   const winTop = new THREE.Mesh(new THREE.BoxGeometry(winDepth + 0.01, 0.05, winW + 0.01), winExtenMat);
-  winTop.position.set(wallX + winDepth/2, winY + winH/2, -5.0);
+  winTop.position.set(wallX + winDepth/2, winY + winH/2, bayZ);
   group.add(winTop);
   const winBottom = winTop.clone();
   winBottom.position.y = winY - winH/2;
   group.add(winBottom);
 
-  createWallSegment(-3.5, -6.5, wallX, 1.0, 0.5); 
-  createWallSegment(-3.5, -6.5, wallX, H - (winY + winH/2), (H + (winY + winH/2))/2);
+  createWallSegment(bayZ + 1.5, bayZ - 1.5, wallX, 1.0, 0.5); 
+  createWallSegment(bayZ + 1.5, bayZ - 1.5, wallX, H - (winY + winH/2), (H + (winY + winH/2))/2);
 
   // 右侧风景（使用真实纹理）
-  const sceneLoader = new THREE.TextureLoader();
 
   // 远景：山脉/平原 (从 land 文件夹加载)
-  const landTexR = sceneLoader.load('/textures/land/Gemini_Generated_Image_3sfuf33sfuf33sfu.png');
-  landTexR.colorSpace = THREE.SRGBColorSpace;
+  const landTexR = assets.loadTexture('/textures/land/Gemini_Generated_Image_3sfuf33sfuf33sfu.png', {
+    colorSpace: THREE.SRGBColorSpace
+  });
   // 保持图片原始比例 1024 / 1024 = 1
   const landAspectR = 1024 / 1024;
   const landHR = 12;
@@ -1115,11 +1494,10 @@ function createRightWall(parent, W, H, D, wallMat) {
   group.add(landPlaneR);
 
   // 近景：草地
-  const grassTexR = sceneLoader.load('/textures/Grass0002_2_L.jpg');
-  grassTexR.colorSpace = THREE.SRGBColorSpace;
-  grassTexR.wrapS = THREE.RepeatWrapping;
-  grassTexR.wrapT = THREE.RepeatWrapping;
-  grassTexR.repeat.set(4, 4);
+  const grassTexR = assets.loadTexture('/textures/Grass0002_2_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [4, 4]
+  });
   const grassPlaneR = new THREE.Mesh(
     new THREE.PlaneGeometry(8, D + 2),
     new THREE.MeshBasicMaterial({ map: grassTexR })
@@ -1129,11 +1507,10 @@ function createRightWall(parent, W, H, D, wallMat) {
   group.add(grassPlaneR);
 
   // 小路
-  const roadTexR = sceneLoader.load('/textures/Roads0086_33_L.jpg');
-  roadTexR.colorSpace = THREE.SRGBColorSpace;
-  roadTexR.wrapS = THREE.RepeatWrapping;
-  roadTexR.wrapT = THREE.RepeatWrapping;
-  roadTexR.repeat.set(1, 4);
+  const roadTexR = assets.loadTexture('/textures/Roads0086_33_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [1, 4]
+  });
   const roadPlaneR = new THREE.Mesh(
     new THREE.PlaneGeometry(1.5, D + 2),
     new THREE.MeshBasicMaterial({ map: roadTexR })
@@ -1148,12 +1525,12 @@ function createRightWall(parent, W, H, D, wallMat) {
 /**
  * 窗户光照效果
  */
-function createWindowLights(scene, W, H, D) {
-  const windowCount = 3;
+function createWindowLights(parent, W, H, D, windowCount = 3) {
   const winSpacing = D / (windowCount + 1);
 
   // 模拟从左侧窗户射入的阳光
   const sunLight = new THREE.DirectionalLight(0xfff5e1, 0.4);
+  sunLight.name = 'sunLight'; // 画质预设按名称开关阴影
   sunLight.position.set(-15, 10, -5);
   sunLight.castShadow = true;
   sunLight.shadow.mapSize.width = 1024;
@@ -1162,14 +1539,16 @@ function createWindowLights(scene, W, H, D) {
   sunLight.shadow.camera.right = 10;
   sunLight.shadow.camera.top = 10;
   sunLight.shadow.camera.bottom = -10;
-  scene.add(sunLight);
+  parent.add(sunLight);
 
   for (let i = 0; i < windowCount; i++) {
     const winZ = -(i + 1) * winSpacing;
     // 光源放在窗外（墙壁外侧），对准窗口正中心
     const light = new THREE.PointLight(0xffffee, 0.4, 12);
+    light.name = 'windowLight';
+    light.userData.windowIndex = i; // 对应卷帘放下时调暗（见 dayLighting.js）
     light.position.set(-W / 2 - 0.5, 1.9, winZ);
-    scene.add(light);
+    parent.add(light);
   }
 }
 
@@ -1177,8 +1556,7 @@ function createWindowLights(scene, W, H, D) {
  * 创建左侧窗户射入的阳光光束 (God Rays / Tyndall Effect)
  * 通过半透明渐变几何体模拟真实的光路效果
  */
-function createSunBeams(parent, W, H, D) {
-  const beamCount = 3;
+function createSunBeams(parent, W, H, D, beamCount = 3) {
   const winSpacing = D / (beamCount + 1);
   const winY = 1.9; // 窗户中心高度
 
@@ -1239,7 +1617,10 @@ function createSunBeams(parent, W, H, D) {
     const geometry = new THREE.CylinderGeometry(0.6, 3.0, beamH, 48, 8, true);
     geometry.translate(0, -beamH / 2, 0); // 将旋转支点移至顶端
     
-    const beam = new THREE.Mesh(geometry, beamMat);
+    // 每道光束单独一个材质，对应窗户的卷帘放下时单独变淡
+    const beam = new THREE.Mesh(geometry, beamMat.clone());
+    beam.name = 'sunBeam'; // 随时间、天气和卷帘淡入淡出（见 dayLighting.js）
+    beam.userData.windowIndex = i;
     
     // 定位到窗户上边缘
     beam.position.set(-W / 2 + 0.1, winY + 0.8, winZ);
@@ -1277,6 +1658,8 @@ function createSunBeams(parent, W, H, D) {
     });
     
     const dust = new THREE.Points(dustGeo, dustMat);
+    dust.name = 'sunDust';
+    dust.userData.windowIndex = i;
     beam.add(dust); // 将尘埃绑定到光束上，随之旋转
   }
 }
@@ -1286,23 +1669,22 @@ function createSunBeams(parent, W, H, D) {
  */
 /**
  * 柜子（精细化格子与柜门：包含框架缝隙、多色阶梯布局 + 木纹细节）
+ * @param {object} [opts] { x, width, height } 柜子中心 X 与整体尺寸
  */
-function createCabinet(parent, W, D) {
+function createCabinet(parent, W, D, opts = {}) {
   const group = new THREE.Group();
-  const loader = new THREE.TextureLoader();
 
   // ============ 尺寸参数 ============
-  const totalW = 7.2;
-  const totalH = 1.8;
+  const totalW = opts.width ?? 7.2;
+  const totalH = opts.height ?? 1.8;
   const cabinetD = 0.35;
   const zPos = -cabinetD / 2 - 0.12;
 
   // ============ 基础材质（柜体本身） ============
-  const texBase = loader.load('/textures/WoodFine0023_L.jpg');
-  texBase.colorSpace = THREE.SRGBColorSpace;
-  texBase.wrapS = THREE.RepeatWrapping;
-  texBase.wrapT = THREE.RepeatWrapping;
-  texBase.repeat.set(8, 2);
+  const texBase = assets.loadTexture('/textures/WoodFine0023_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [8, 2]
+  });
   const baseMat = new THREE.MeshStandardMaterial({
     map: texBase,
     color: 0xddccbb,
@@ -1310,11 +1692,10 @@ function createCabinet(parent, W, D) {
   });
 
   // ============ 柜门正方形材质（另一种不同的贴图） ============
-  const texDoor = loader.load('/textures/WoodFine0033_8_L.jpg');
-  texDoor.colorSpace = THREE.SRGBColorSpace;
-  texDoor.wrapS = THREE.RepeatWrapping;
-  texDoor.wrapT = THREE.RepeatWrapping;
-  texDoor.repeat.set(1, 1);
+  const texDoor = assets.loadTexture('/textures/WoodFine0033_8_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [1, 1]
+  });
   const doorMat = new THREE.MeshStandardMaterial({
     map: texDoor,
     color: 0xffffff,
@@ -1357,16 +1738,22 @@ function createCabinet(parent, W, D) {
       const x = offsetX + c * step;
       const y = offsetY + r * step;
 
+      // 每扇柜门（含锁扣）一个分组，userData 记录所在行列
+      const cell = new THREE.Group();
+      cell.name = 'cabinetDoor';
+      cell.userData = { row: r, col: c };
+      group.add(cell);
+
       const door = new THREE.Mesh(doorGeo, doorMat);
       door.position.set(x, y, doorZ);
-      group.add(door);
+      cell.add(door);
 
       const lock = new THREE.Mesh(
         new THREE.BoxGeometry(0.03, 0.08, 0.01),
         lockMat
       );
       lock.position.set(x - doorSize / 2 + 0.05, y, doorZ + 0.006);
-      group.add(lock);
+      cell.add(lock);
     }
   }
 
@@ -1386,16 +1773,18 @@ function createCabinet(parent, W, D) {
   topTrim.position.set(0, totalH + 0.02, zPos);
   group.add(topTrim);
 
+  group.position.x = opts.x ?? 0;
   parent.add(group);
 }
 
 /**
  * 在后排储物柜上方创建一个简单的黑板（参考用户图片）
+ * @param {object} [opts] { x, y } 板报中心位置
  */
-function createBackBlackboard(parent, W, D) {
+function createBackBlackboard(parent, W, D, opts = {}) {
   const boardW = 8.0;
   const boardH = 1.2;
-  const boardY = 2.4; // 位于柜子 (max H=1.8) 之上
+  const boardY = opts.y ?? 2.4; // 位于柜子 (max H=1.8) 之上
 
   const frameMat = new THREE.MeshStandardMaterial({ color: 0x8B7355, roughness: 0.6 }); // 木质边框
 
@@ -1847,15 +2236,17 @@ function createBackBlackboard(parent, W, D) {
   rightFrame.position.set(boardW / 2 + frameT / 2, boardY, -0.02);
   group.add(rightFrame);
 
+  group.position.x = opts.x ?? 0;
   parent.add(group);
 }
 
 /**
  * 绿植（简约卡通风格）
+ * @param {object} [opts] { positions } 每盆绿植的 [x, y, z]
  */
-function createPlants(parent, W, D) {
-  // 在教室角落放两盆绿植
-  const positions = [
+function createPlants(parent, W, D, opts = {}) {
+  // 默认在教室角落放两盆绿植
+  const positions = opts.positions ?? [
     [-W / 2 + 0.5, 0, -0.5],     // 左后角
     [W / 2 - 0.5, 0, -D + 0.5],  // 右前角
   ];
@@ -1904,11 +2295,12 @@ function createSinglePlant() {
 
 /**
  * 值日表（挂在右墙上）
+ * @param {object} [opts] { z } 在右墙上的 Z 位置
  */
-function createDutyRoster(parent, W, D) {
+function createDutyRoster(parent, W, D, opts = {}) {
   const group = new THREE.Group();
   const wallX = W / 2 - 0.02;
-  const zPos = -2.5; // 挪到后门与飘窗之间的实墙上，避免挂在玻璃上
+  const zPos = opts.z ?? -2.5; // 挪到后门与飘窗之间的实墙上，避免挂在玻璃上
 
   // 值日表底板
   const boardMat = new THREE.MeshStandardMaterial({ color: 0xffffff });
@@ -1936,11 +2328,13 @@ function createDutyRoster(parent, W, D) {
 /**
  * 时钟（挂在前墙上方）
  * 修复了指针旋转轴心和位置不对的问题，并增加了实时走时逻辑
+ * @param {object} [opts] { x, y } 钟面中心位置
+ * @returns {{ setTimeSource: (fn: () => Date) => void }}
  */
-function createClock(parent, D) {
+function createClock(parent, D, opts = {}) {
   const group = new THREE.Group();
-  const centerX = 5.4; // 向右移动，为更大的屏幕腾出空间
-  const centerY = 2.8;
+  const centerX = opts.x ?? 5.4; // 向右移动，为更大的屏幕腾出空间
+  const centerY = opts.y ?? 2.8;
   const clockZ = -D + 0.03;
 
   // 钟面
@@ -1990,9 +2384,10 @@ function createClock(parent, D) {
   center.position.set(centerX, centerY, clockZ + 0.04);
   group.add(center);
 
-  // 走时逻辑
+  // 走时逻辑：默认读取系统时间，可以换成其他时间来源（如 dayLighting.js 中设定的时刻）
+  let getTime = () => new Date();
   const updateClock = () => {
-    const now = new Date();
+    const now = getTime();
     const h = now.getHours() % 12;
     const m = now.getMinutes();
     const s = now.getSeconds();
@@ -2010,12 +2405,23 @@ function createClock(parent, D) {
   center.onBeforeRender = updateClock;
 
   parent.add(group);
+  return {
+    /**
+     * 更换时间来源
+     * @param {() => Date} fn
+     */
+    setTimeSource(fn) {
+      getTime = fn;
+      updateClock();
+    }
+  };
 }
 
 /**
  * 校训文字（分块显示）
+ * @param {object} [opts] { lines } 每块文字的 { text, x }
  */
-function createSchoolMotto(parent, D) {
+function createSchoolMotto(parent, D, opts = {}) {
   const create3DText = (text, x) => {
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
@@ -2071,24 +2477,25 @@ function createSchoolMotto(parent, D) {
   };
 
   // 调整位置，给加宽后的文字留出空间
-  create3DText('爱 国 敬 业', -1.5);
-  create3DText('求 实 创 新', 1.5);
+  const lines = opts.lines ?? [
+    { text: '爱 国 敬 业', x: -1.5 },
+    { text: '求 实 创 新', x: 1.5 },
+  ];
+  lines.forEach(({ text, x }) => create3DText(text, x));
 }
 
 /**
  * 书柜（位于左前角，放满字典）
+ * @param {object} [opts] { x, z } 书柜位置，默认靠左前角
  */
-function createBookshelf(parent, W, D) {
+function createBookshelf(parent, W, D, opts = {}) {
   const group = new THREE.Group();
-  const shelfX = -W / 2 + 0.6; // 靠左墙
-  const shelfZ = -D + 0.35;     // 靠前墙
-  
-  const loader = new THREE.TextureLoader();
-  const shelfWoodTex = loader.load('/textures/WoodFine0033_8_L.jpg');
-  shelfWoodTex.colorSpace = THREE.SRGBColorSpace;
-  shelfWoodTex.wrapS = THREE.RepeatWrapping;
-  shelfWoodTex.wrapT = THREE.RepeatWrapping;
-  shelfWoodTex.repeat.set(1, 2);
+  const shelfX = opts.x ?? -W / 2 + 0.6; // 靠左墙
+  const shelfZ = opts.z ?? -D + 0.35;     // 靠前墙
+  const shelfWoodTex = assets.loadTexture('/textures/WoodFine0033_8_L.jpg', {
+    colorSpace: THREE.SRGBColorSpace,
+    repeat: [1, 2]
+  });
 
   const shelfMat = new THREE.MeshStandardMaterial({ 
     map: shelfWoodTex,
@@ -2102,55 +2509,67 @@ function createBookshelf(parent, W, D) {
   const shelfD = 0.3;
   const thickness = 0.04;
 
-  // 1. 书柜框架
-  const frameGroup = new THREE.Group();
+  // 1. 书柜框架：侧板、顶底板、背板和各层隔板合并为一个网格
+  const frameParts = [];
   
   // 侧板 (左、右)
   const sideGeo = new THREE.BoxGeometry(thickness, shelfH, shelfD);
-  const leftSide = new THREE.Mesh(sideGeo, shelfMat);
-  leftSide.position.set(-shelfW/2, shelfH/2, 0);
-  frameGroup.add(leftSide);
-  
-  const rightSide = new THREE.Mesh(sideGeo, shelfMat);
-  rightSide.position.set(shelfW/2, shelfH/2, 0);
-  frameGroup.add(rightSide);
+  frameParts.push({ geometry: sideGeo, position: [-shelfW/2, shelfH/2, 0] });
+  frameParts.push({ geometry: sideGeo, position: [shelfW/2, shelfH/2, 0] });
   
   // 顶底板
   const horGeo = new THREE.BoxGeometry(shelfW + thickness, thickness, shelfD);
-  const bottom = new THREE.Mesh(horGeo, shelfMat);
-  bottom.position.set(0, thickness/2, 0);
-  frameGroup.add(bottom);
-  
-  const top = new THREE.Mesh(horGeo, shelfMat);
-  top.position.set(0, shelfH - thickness/2, 0);
-  frameGroup.add(top);
+  frameParts.push({ geometry: horGeo, position: [0, thickness/2, 0] });
+  frameParts.push({ geometry: horGeo, position: [0, shelfH - thickness/2, 0] });
   
   // 背板
-  const back = new THREE.Mesh(new THREE.BoxGeometry(shelfW + thickness, shelfH, 0.02), shelfMat);
-  back.position.set(0, shelfH/2, -shelfD/2 + 0.01);
-  frameGroup.add(back);
+  frameParts.push({
+    geometry: new THREE.BoxGeometry(shelfW + thickness, shelfH, 0.02),
+    position: [0, shelfH/2, -shelfD/2 + 0.01]
+  });
   
-  // 层级 (增加4层)
+  // 层级 (增加4层)，每层放满书
   const layerCount = 4;
   const layerSpacing = (shelfH - thickness) / (layerCount + 1);
+  const layerGeo = new THREE.BoxGeometry(shelfW, thickness, shelfD - 0.02);
+  const books = createInstanceBatch(
+    new THREE.BoxGeometry(0.06, 0.28, 0.22), // 见 fillShelfWithBooks 中的字典尺寸
+    new THREE.MeshStandardMaterial({ 
+      roughness: 0.7, // 降低反光，增加纸质感
+      metalness: 0.1 
+    })
+  );
+  // 书脊加一个深金色的标签，模拟烫金工艺
+  const spines = createInstanceBatch(
+    new THREE.BoxGeometry(0.06 * 0.7, 0.28 * 0.15, 0.01),
+    new THREE.MeshStandardMaterial({ 
+      color: 0xc5a059, // 深金色/古铜色
+      metalness: 0.5,
+      roughness: 0.3
+    })
+  );
   for(let i=1; i<=layerCount; i++) {
-    const layer = new THREE.Mesh(new THREE.BoxGeometry(shelfW, thickness, shelfD - 0.02), shelfMat);
-    layer.position.set(0, i * layerSpacing, 0.01);
-    frameGroup.add(layer);
-    
-    // 在每一层放满书
-    fillShelfWithBooks(frameGroup, i * layerSpacing + thickness/2, shelfW, shelfD);
+    frameParts.push({ geometry: layerGeo, position: [0, i * layerSpacing, 0.01] });
+    fillShelfWithBooks(books, spines, i * layerSpacing + thickness/2, shelfW, shelfD);
   }
 
-  group.add(frameGroup);
+  const frame = new THREE.Mesh(mergeParts(frameParts), shelfMat);
+  frame.name = 'bookshelfFrame';
+  frame.userData.sourceMeshes = frameParts.length;
+  frame.userData.sourceTriangles = frame.geometry.userData.sourceTriangles;
+  group.add(frame);
+  books.addTo(group, 'bookshelfBooks');
+  spines.addTo(group, 'bookshelfSpines');
   group.position.set(shelfX, 0, shelfZ);
   parent.add(group);
 }
 
 /**
  * 在书架层上填满字典
+ * @param {object} books 书的实例化批次（实例颜色为封面颜色）
+ * @param {object} spines 书脊标签的实例化批次
  */
-function fillShelfWithBooks(group, yPos, shelfW, shelfD) {
+function fillShelfWithBooks(books, spines, yPos, shelfW, shelfD) {
   const bookW = 0.06; // 字典比较厚
   const bookH = 0.28; // 高度
   const bookD = 0.22; // 深度
@@ -2166,38 +2585,21 @@ function fillShelfWithBooks(group, yPos, shelfW, shelfD) {
   
   for(let i=0; i<bookCount; i++) {
     const color = colors[Math.floor(Math.random() * colors.length)];
-    const bookMat = new THREE.MeshStandardMaterial({ 
-      color: color,
-      roughness: 0.7, // 降低反光，增加纸质感
-      metalness: 0.1 
-    });
-    const book = new THREE.Mesh(new THREE.BoxGeometry(bookW, bookH, bookD), bookMat);
     
     // 随机微调位置和轻微倾斜，模拟真实摆放
     const x = -availableW/2 + i * (bookW + 0.01) + bookW/2;
     const tilt = (Math.random() - 0.5) * 0.04;
     
-    book.position.set(x, yPos + bookH/2, 0.02);
-    book.rotation.z = tilt;
-    group.add(book);
-    
-    // 书脊加一个深金色的标签，模拟烫金工艺
-    const spineMat = new THREE.MeshStandardMaterial({ 
-      color: 0xc5a059, // 深金色/古铜色
-      metalness: 0.5,
-      roughness: 0.3
-    });
-    const spine = new THREE.Mesh(new THREE.BoxGeometry(bookW * 0.7, bookH * 0.15, 0.01), spineMat); 
-    spine.position.set(x, yPos + bookH * 0.75, bookD/2 + 0.006);
-    spine.rotation.z = tilt;
-    group.add(spine);
+    books.add(makePlacement([x, yPos + bookH/2, 0.02], [0, 0, tilt]), color);
+    spines.add(makePlacement([x, yPos + bookH * 0.75, bookD/2 + 0.006], [0, 0, tilt]));
   }
 }
 
 /**
  * 添加广播喇叭
+ * @param {object} [opts] { positions } 每个喇叭的 X 坐标
  */
-function addBroadcasters(parent, W, D) {
+function addBroadcasters(parent, W, D, opts = {}) {
   const group = new THREE.Group();
   const bodyMat = new THREE.MeshStandardMaterial({ color: 0xe0e0e0 }); // 浅灰色外壳
   const grillMat = new THREE.MeshStandardMaterial({ color: 0x444444 }); // 深灰色网罩
@@ -2226,17 +2628,18 @@ function addBroadcasters(parent, W, D) {
     group.add(sGroup);
   };
 
-  // 放在校训的两侧，距离稍远 (约 4m 处)
-  createSpeaker(-4.0);
-  createSpeaker(4.0);
+  // 默认放在校训的两侧，距离稍远 (约 4m 处)
+  const positions = opts.positions ?? [-4.0, 4.0];
+  positions.forEach(createSpeaker);
 
   parent.add(group);
 }
 
 /**
  * 饮水机 (放在黑板右侧空位)
+ * @param {object} [opts] { x, z } 饮水机位置
  */
-function createWaterDispenser(parent, D) {
+function createWaterDispenser(parent, D, opts = {}) {
   const group = new THREE.Group();
   
   // 1. 底座柜子
@@ -2292,6 +2695,6 @@ function createWaterDispenser(parent, D) {
   group.add(tap);
 
   // 放置位置：黑板右侧 (黑板右边缘约 3.9, 墙在 6.0)
-  group.position.set(5.0, 0, -D + 0.22); 
+  group.position.set(opts.x ?? 5.0, 0, opts.z ?? -D + 0.22); 
   parent.add(group);
 }
@@ -0,0 +1,219 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { createClassroom, createRuntimeFixtures, createSeatRegistry, RUNTIME_FIXTURES } from './classroom.js';
+import { createBlindController, createLampController } from './roomControls.js';
+import { assets } from './assets.js';
+
+/**
+ * 教室的 GLB 导出与加载：把 createClassroom 生成的教室写成 .glb（可在 Blender 中打开，也可以预先导出后随页面发布），
+ * 加载时直接使用 GLB，不再运行各陈设的构建函数
+ *
+ * 导出内容：
+ *   - 每个陈设是以布局 type 命名的节点（blackboard、desks、ceilingLamps……），其下保留 chair、windowGlass 等名称
+ *   - 画布贴图（黑板、校训、后黑板、值日表等）按导出时的画面嵌入为 PNG，KTX2 贴图解压后嵌入
+ *   - 实例化的课桌椅、书本使用 EXT_mesh_gpu_instancing，灯光使用 KHR_lights_punctual
+ *   - glTF 表达不了的状态（隐藏的物体、阴影设置、平行光的照射目标、重名节点的原名）以及座位表、布局
+ *     写在节点的 extras 中，加载时恢复
+ * RUNTIME_FIXTURES 中的陈设（窗户光束）不导出，加载后按布局重新创建。
+ * 加载的教室带有座位表、吊灯开关和卷帘控制器；黑板书写、一体机播放和时钟走时需要按布局生成教室
+ */
+
+// 导出贴图的最大边长（像素）
+const MAX_TEXTURE_SIZE = 4096;
+// 节点 extras 中记录 three.js 状态的字段
+const STATE_KEY = 'threeState';
+
+/**
+ * 复制教室并在各节点的 userData 中记下 glTF 表达不了的状态（导出为 extras）
+ * @param {THREE.Group} classroom
+ * @returns {THREE.Group}
+ */
+function prepareForExport(classroom) {
+  const copy = classroom.clone();
+  copy.children
+    .filter(child => RUNTIME_FIXTURES.includes(child.name))
+    .forEach(child => copy.remove(child));
+
+  copy.traverse((object) => {
+    const state = { name: object.name };
+    if (!object.visible) state.visible = false;
+    if (object.castShadow) state.castShadow = true;
+    if (object.receiveShadow) state.receiveShadow = true;
+    if (object.isLight && object.castShadow) {
+      const { shadow } = object;
+      state.shadow = { mapSize: shadow.mapSize.x, bias: shadow.bias, normalBias: shadow.normalBias, radius: shadow.radius };
+      if (shadow.camera.isOrthographicCamera) {
+        const { left, right, top, bottom } = shadow.camera;
+        state.shadow.bounds = [left, right, top, bottom];
+      }
+    }
+    // glTF 的平行光沿节点 -Z 方向照射，照射目标另行记下
+    if (object.isDirectionalLight) state.target = object.target.position.toArray();
+    object.userData[STATE_KEY] = state;
+  });
+
+  copy.userData.seats = classroom.seats.list.map(({ row, col, position, facing }) => ({
+    row, col, position: position.toArray(), facing
+  }));
+  return copy;
+}
+
+/**
+ * 释放教室（导出用的临时教室、重建时换下的教室）：几何体、实例化网格、材质，以及教室自己创建的贴图（画布贴图等）
+ * assets.js 缓存的贴图由各个教室共用，不释放
+ * @param {THREE.Group} classroom
+ */
+export function disposeClassroom(classroom) {
+  const geometries = new Set();
+  const materials = new Set();
+  const textures = new Set();
+  classroom.traverse((object) => {
+    if (object.isInstancedMesh) object.dispose();
+    if (object.geometry) geometries.add(object.geometry);
+    [object.material].flat().filter(Boolean).forEach(material => materials.add(material));
+  });
+  materials.forEach((material) => {
+    Object.values(material).forEach((value) => {
+      if (value?.isTexture) textures.add(value);
+    });
+    Object.values(material.uniforms ?? {}).forEach(({ value }) => {
+      if (value?.isTexture) textures.add(value);
+    });
+    material.dispose();
+  });
+  textures.forEach((texture) => {
+    if (!assets.isCachedTexture(texture)) texture.dispose();
+  });
+  geometries.forEach(geometry => geometry.dispose());
+}
+
+/**
+ * 按布局重新生成教室并导出为 GLB
+ * 新建的教室不含运行时的状态（时刻光照、板书、卷帘位置等），与按同一布局打开页面时相同
+ * @param {object} [layout] 教室布局，缺省为默认布局
+ * @param {object} [seating] 座位需求，见 getSeatingRequirements
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function exportClassroomGLB(layout, seating) {
+  const classroom = createClassroom(new THREE.Scene(), layout, seating);
+  try {
+    // 贴图加载完成后再导出，否则导出的是占位图
+    await assets.whenIdle();
+    return await new GLTFExporter().parseAsync(prepareForExport(classroom), {
+      binary: true,
+      onlyVisible: false,
+      maxTextureSize: MAX_TEXTURE_SIZE
+    });
+  } finally {
+    classroom.smartDisplay?.dispose();
+    disposeClassroom(classroom);
+  }
+}
+
+/**
+ * 恢复导出时记下的节点状态
+ * @param {THREE.Group} classroom
+ */
+function restoreState(classroom) {
+  classroom.traverse((object) => {
+    const state = object.userData[STATE_KEY];
+    if (!state) {
+      // 多材质网格在 glTF 中拆成多个图元，加载后是同一节点下的多个网格，沿用该节点的阴影设置
+      const parentState = object.isMesh ? object.parent?.userData[STATE_KEY] : null;
+      if (parentState) {
+        object.castShadow = !!parentState.castShadow;
+        object.receiveShadow = !!parentState.receiveShadow;
+      }
+      return;
+    }
+    // 加载器给重名节点加了后缀，改回原名以便按名称查找
+    object.name = state.name;
+    object.visible = state.visible !== false;
+    object.castShadow = !!state.castShadow;
+    object.receiveShadow = !!state.receiveShadow;
+    if (state.shadow && object.shadow) {
+      const { shadow } = object;
+      shadow.mapSize.set(state.shadow.mapSize, state.shadow.mapSize);
+      shadow.bias = state.shadow.bias;
+      shadow.normalBias = state.shadow.normalBias;
+      shadow.radius = state.shadow.radius;
+      if (state.shadow.bounds && shadow.camera.isOrthographicCamera) {
+        [shadow.camera.left, shadow.camera.right, shadow.camera.top, shadow.camera.bottom] = state.shadow.bounds;
+        shadow.camera.updateProjectionMatrix();
+      }
+    }
+    if (state.target && object.isDirectionalLight) {
+      // 与 classroom.js 中一样，照射目标不在场景中，位置即世界坐标
+      object.remove(object.target);
+      object.target = new THREE.Object3D();
+      object.target.position.fromArray(state.target);
+      object.target.updateMatrixWorld();
+    }
+  });
+  classroom.traverse((object) => {
+    delete object.userData[STATE_KEY];
+  });
+}
+
+/**
+ * 按节点上的排号 / 窗户序号重建吊灯开关和卷帘控制器
+ * @param {THREE.Group} classroom
+ */
+function restoreControllers(classroom) {
+  const lampRows = [];
+  const blinds = [];
+  classroom.traverse((object) => {
+    if (object.name === 'ceilingLight') {
+      (lampRows[object.userData.row] ??= { lights: [] }).lights.push(object);
+    } else if (object.name === 'ceilingLampPanel') {
+      // 同一排的灯管共用一个材质，按排开关
+      const row = (lampRows[object.userData.row] ??= { lights: [] });
+      row.material ??= object.material;
+      object.material = row.material;
+    } else if (object.name === 'lightSwitchButton') {
+      (lampRows[object.userData.row] ??= { lights: [] }).button = object;
+    } else if (object.name === 'windowBlind') {
+      const { index, top, length } = object.userData;
+      blinds[index] = {
+        cloth: object.getObjectByName('blindCloth'),
+        bar: object.getObjectByName('blindBar'),
+        top,
+        length
+      };
+    }
+  });
+  if (lampRows.length > 0 && lampRows.every(row => row?.material)) {
+    classroom.lamps = createLampController(lampRows);
+  }
+  classroom.blinds = createBlindController(blinds.filter(Boolean));
+}
+
+/**
+ * 加载 exportClassroomGLB 导出的教室
+ * @param {string} url
+ * @returns {Promise<THREE.Group>} 与 createClassroom 的返回值一样带有 seats 座位注册表、lamps、blinds，
+ *          userData.layout 为导出时的布局；尚未加入场景
+ */
+export async function loadClassroomGLB(url) {
+  const gltf = await new GLTFLoader(assets.manager).loadAsync(url);
+  let classroom = null;
+  gltf.scene.traverse((object) => {
+    if (!classroom && object.userData.layout && object.userData.seats) classroom = object;
+  });
+  if (!classroom) {
+    throw new Error(`${url} 不是导出的教室（缺少布局和座位信息）`);
+  }
+  classroom.removeFromParent();
+
+  restoreState(classroom);
+  restoreControllers(classroom);
+  classroom.seats = createSeatRegistry(classroom.userData.seats.map(seat => ({
+    ...seat,
+    position: new THREE.Vector3().fromArray(seat.position),
+    occupant: null
+  })));
+  delete classroom.userData.seats;
+  createRuntimeFixtures(classroom);
+  return classroom;
+}
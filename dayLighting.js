@@ -0,0 +1,570 @@
+import * as THREE from 'three';
+
+/**
+ * 一天中的时间与天气：按时刻移动太阳方向、给天空全景图染色（各时段配置了不同全景图时在其间混合）、调整各光源的颜色和强度，
+ * 淡入淡出窗口光束和尘埃，天色变暗时开灯、变亮时关灯；天气（晴 / 阴 / 雨）减弱直射光、让天空变灰，下雨时窗玻璃上有雨滴
+ *
+ * 时刻可以跟随系统时间，也可以手动设定（设定后从该时刻起继续走时，教室里的时钟同步显示）。
+ * 光照按 LIGHTING_KEYFRAMES 中相邻两个关键帧插值；17:00 的关键帧即原先固定的傍晚光照。
+ *
+ * 教室中的光源和陈设按名称查找（见 classroom.js）：sunLight 窗外阳光、windowLight 窗外补光、
+ * sunBeam / sunDust 光束和尘埃、windowGlass 窗玻璃，教室重建后需要调用 setClassroom。
+ * 画质预设（quality.js）负责这些光源的开关，这里只调整颜色和强度。
+ * 窗外补光和光束还按对应窗户卷帘的遮挡比例调暗；吊灯经教室的开关控制器开关（见 roomControls.js），
+ * 自动开关只在天色明暗变化时发生，之间手动开关的状态会保留
+ */
+
+export const WEATHER_TYPES = ['clear', 'overcast', 'rain'];
+
+export const WEATHER_LABELS = {
+  clear: '晴',
+  overcast: '阴',
+  rain: '雨'
+};
+
+/**
+ * 天气对光照的影响
+ *   direct      直射光（主光源、窗外阳光）的倍数
+ *   diffuse     散射光（环境光、半球光、补光、环境贴图）的倍数
+ *   daylight    室内亮度的倍数，决定是否开灯
+ *   beams       光束和尘埃的倍数
+ *   skyColor    天空全景图的染色
+ *   desaturate  天空去饱和的程度（0~1）
+ *   rain        窗上雨滴的强度（0~1）
+ */
+export const WEATHER_PRESETS = {
+  clear: { direct: 1, diffuse: 1, daylight: 1, beams: 1, skyColor: 0xffffff, desaturate: 0, rain: 0 },
+  overcast: { direct: 0.25, diffuse: 1.15, daylight: 0.6, beams: 0, skyColor: 0xc4cad2, desaturate: 0.75, rain: 0 },
+  rain: { direct: 0.12, diffuse: 1, daylight: 0.45, beams: 0, skyColor: 0x9aa2ac, desaturate: 0.85, rain: 1 }
+};
+
+/**
+ * 各时段使用的天空全景图（等距柱状投影，JPG / PNG 或 .hdr），通过 createDayLighting 的 skies 选项替换
+ * 默认三个时段都是同一张傍晚全景图，不会发生混合：白天、夜晚的天色只来自关键帧的 skyColor 染色和亮度。
+ * 给 day / night 配上不同的全景图后，关键帧之间才会在两张图之间混合
+ */
+export const DEFAULT_SKIES = {
+  day: '/textures/FullskiesSunset0001_1_L.jpg',
+  sunset: '/textures/FullskiesSunset0001_1_L.jpg',
+  night: '/textures/FullskiesSunset0001_1_L.jpg'
+};
+
+const NIGHT = {
+  sky: 'night', skyColor: 0x1c2740, skyIntensity: 0.35, env: 0.25, daylight: 0, beams: 0,
+  ambientColor: 0x8a9cc8, ambient: 0.08,
+  hemiSky: 0x3a4a78, hemiGround: 0x1a1a1a, hemi: 0.2,
+  fillColor: 0x9fb2ff, fill: 0.03,
+  keyColor: 0x9fb2ff, key: 0.12,
+  sunColor: 0x9fb2ff, sun: 0,
+  windowColor: 0x9fb2ff, window: 0.05
+};
+
+/**
+ * 光照关键帧（time 为小时，按时间升序，首尾都是午夜）
+ *   sky / skyColor / skyIntensity  天空全景图（DEFAULT_SKIES 中的名称）、染色和亮度
+ *   env          环境贴图强度
+ *   daylight     室内亮度（0~1），低于 LAMP_ON_DAYLIGHT 时开灯
+ *   beams        光束和尘埃的显示程度（0~1）
+ *   其余为各光源的颜色和强度：ambient 环境光、hemi 半球光、fill 窗侧补光、key 主光源、
+ *   sun 窗外阳光（sunLight）、window 窗外点光源（windowLight）
+ */
+export const LIGHTING_KEYFRAMES = [
+  { time: 0, ...NIGHT },
+  { time: 5, ...NIGHT },
+  {
+    time: 6.5, sky: 'sunset', skyColor: 0xffc4a0, skyIntensity: 0.7, env: 0.6, daylight: 0.4, beams: 0.6,
+    ambientColor: 0xffe0cc, ambient: 0.14,
+    hemiSky: 0xffd2b0, hemiGround: 0x3a3430, hemi: 0.4,
+    fillColor: 0xffd0a8, fill: 0.2,
+    keyColor: 0xffc090, key: 0.6,
+    sunColor: 0xffb070, sun: 0.3,
+    windowColor: 0xffe0c0, window: 0.25
+  },
+  {
+    time: 8.5, sky: 'day', skyColor: 0xffffff, skyIntensity: 1, env: 1, daylight: 0.9, beams: 0.8,
+    ambientColor: 0xffffff, ambient: 0.2,
+    hemiSky: 0xffffff, hemiGround: 0x444444, hemi: 0.6,
+    fillColor: 0xfff6ea, fill: 0.3,
+    keyColor: 0xfff8ef, key: 1.2,
+    sunColor: 0xfff8e8, sun: 0.45,
+    windowColor: 0xffffee, window: 0.4
+  },
+  {
+    time: 12, sky: 'day', skyColor: 0xffffff, skyIntensity: 1.1, env: 1.05, daylight: 1, beams: 0.7,
+    ambientColor: 0xffffff, ambient: 0.22,
+    hemiSky: 0xffffff, hemiGround: 0x444444, hemi: 0.65,
+    fillColor: 0xfff8f0, fill: 0.32,
+    keyColor: 0xffffff, key: 1.3,
+    sunColor: 0xffffff, sun: 0.5,
+    windowColor: 0xffffee, window: 0.45
+  },
+  {
+    // 原先固定的傍晚光照
+    time: 17, sky: 'sunset', skyColor: 0xffffff, skyIntensity: 1, env: 1, daylight: 0.55, beams: 1,
+    ambientColor: 0xffffff, ambient: 0.2,
+    hemiSky: 0xffffff, hemiGround: 0x444444, hemi: 0.6,
+    fillColor: 0xfff0dd, fill: 0.3,
+    keyColor: 0xffffff, key: 1.2,
+    sunColor: 0xfff5e1, sun: 0.4,
+    windowColor: 0xffffee, window: 0.4
+  },
+  {
+    time: 18.5, sky: 'sunset', skyColor: 0xff9a70, skyIntensity: 0.6, env: 0.55, daylight: 0.35, beams: 0.3,
+    ambientColor: 0xffd0b0, ambient: 0.14,
+    hemiSky: 0xffb890, hemiGround: 0x302820, hemi: 0.4,
+    fillColor: 0xffb080, fill: 0.15,
+    keyColor: 0xff9a60, key: 0.45,
+    sunColor: 0xff8a50, sun: 0.15,
+    windowColor: 0xffc090, window: 0.2
+  },
+  { time: 20, ...NIGHT },
+  { time: 24, ...NIGHT }
+];
+
+const COLOR_KEYS = ['skyColor', 'ambientColor', 'hemiSky', 'hemiGround', 'fillColor', 'keyColor', 'sunColor', 'windowColor'];
+const NUMBER_KEYS = ['skyIntensity', 'env', 'daylight', 'beams', 'ambient', 'hemi', 'fill', 'key', 'sun', 'window'];
+
+const STORAGE_KEY = 'qiming-classroom.lighting';
+// 手动设定时刻时的默认值（即原先的傍晚光照）
+const DEFAULT_TIME = 17;
+// 日出、日落时刻（小时）和正午时太阳的最大高度角
+const SUNRISE = 6;
+const SUNSET = 19;
+const MAX_SUN_ELEVATION = THREE.MathUtils.degToRad(55);
+// 夜间主光源（月光）的方向
+const MOON_DIRECTION = new THREE.Vector3(4, 12, 6).normalize();
+// 主光源、窗外阳光离原点的距离（米）
+const KEY_LIGHT_DISTANCE = 15;
+const SUN_LIGHT_DISTANCE = 18;
+// 室内亮度低于此值时开灯
+const LAMP_ON_DAYLIGHT = 0.6;
+// 换天气的过渡速度（越大越快）
+const WEATHER_FADE_SPEED = 1.5;
+// 天空球半径（在相机远裁剪面 100m 以内）和球心
+const SKY_RADIUS = 90;
+const SKY_CENTER = new THREE.Vector3(0, 0, -5);
+
+const skyVertexShader = `
+  varying vec3 vWorldDirection;
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vWorldDirection = worldPosition.xyz - cameraPosition;
+    gl_Position = projectionMatrix * viewMatrix * worldPosition;
+  }
+`;
+
+// 按视线方向在两张等距柱状全景图间混合，再染色、去饱和
+const skyFragmentShader = `
+  uniform sampler2D skyA;
+  uniform sampler2D skyB;
+  uniform float blend;
+  uniform float lod;
+  uniform vec3 tint;
+  uniform float desaturate;
+  varying vec3 vWorldDirection;
+  #include <common>
+  void main() {
+    vec3 direction = normalize(vWorldDirection);
+    vec2 uv = equirectUv(direction);
+    // 指定 mip 级别采样：既实现背景模糊，也避免经度接缝处按导数选到最低级别
+    vec3 color = mix(textureLod(skyA, uv, lod).rgb, textureLod(skyB, uv, lod).rgb, blend);
+    float gray = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    color = mix(color, vec3(gray), desaturate) * tint;
+    gl_FragColor = vec4(color, 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+const rainVertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// 窗玻璃上的雨滴：静止的水珠 + 沿玻璃流下的水痕
+const rainFragmentShader = `
+  uniform float time;
+  uniform float intensity;
+  uniform vec2 size;
+  varying vec2 vUv;
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+  void main() {
+    // 以米为单位划分格子，窗户大小不同时水珠大小一致
+    vec2 p = vUv * size;
+
+    // 水珠：每个 4cm 的格子里随机放一颗
+    vec2 cell = floor(p * 25.0);
+    vec2 local = fract(p * 25.0) - 0.5;
+    float seed = hash(cell);
+    vec2 offset = vec2(hash(cell + 1.7), hash(cell + 3.1)) - 0.5;
+    float radius = 0.12 + 0.18 * hash(cell + 5.3);
+    float drop = step(0.55, seed) * smoothstep(radius, radius * 0.4, length(local - offset * 0.5));
+
+    // 水痕：每 5cm 一列，各列速度和起点不同
+    float column = floor(p.x * 20.0);
+    float speed = 0.15 + 0.35 * hash(vec2(column, 7.0));
+    float head = fract(p.y / size.y + time * speed + hash(vec2(column, 11.0)));
+    float trail = smoothstep(0.0, 0.02, head) * (1.0 - smoothstep(0.02, 0.25, head));
+    float x = fract(p.x * 20.0) - 0.5;
+    float streak = step(0.7, hash(vec2(column, 13.0))) * trail * smoothstep(0.12, 0.0, abs(x));
+
+    float alpha = max(drop, streak) * intensity * 0.45;
+    gl_FragColor = vec4(vec3(0.85, 0.9, 0.95), alpha);
+  }
+`;
+
+/**
+ * 按时刻计算太阳方向（日出在 +Z 即教室后方，正午在 -X 即窗户一侧，日落在 -Z 即黑板一侧）
+ * @param {number} hours
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3} 指向太阳的单位向量，夜间 y 为负
+ */
+export function getSunDirection(hours, target = new THREE.Vector3()) {
+  const theta = ((hours - SUNRISE) / (SUNSET - SUNRISE)) * Math.PI;
+  const elevation = MAX_SUN_ELEVATION * Math.sin(theta);
+  const horizontal = Math.cos(elevation);
+  return target.set(-Math.sin(theta) * horizontal, Math.sin(elevation), Math.cos(theta) * horizontal).normalize();
+}
+
+/**
+ * 当前时刻的光照（两个关键帧之间插值）
+ * @param {number} hours 0~24
+ */
+function sampleKeyframes(hours) {
+  const index = LIGHTING_KEYFRAMES.findIndex(frame => frame.time > hours);
+  const b = LIGHTING_KEYFRAMES[index === -1 ? LIGHTING_KEYFRAMES.length - 1 : index];
+  const a = LIGHTING_KEYFRAMES[index <= 0 ? 0 : index - 1];
+  const t = b.time > a.time ? (hours - a.time) / (b.time - a.time) : 0;
+  const state = { skyA: a.sky, skyB: b.sky, blend: t };
+  NUMBER_KEYS.forEach((key) => {
+    state[key] = THREE.MathUtils.lerp(a[key], b[key], t);
+  });
+  COLOR_KEYS.forEach((key) => {
+    state[key] = new THREE.Color(a[key]).lerp(new THREE.Color(b[key]), t);
+  });
+  return state;
+}
+
+const wrapHours = hours => ((hours % 24) + 24) % 24;
+
+/**
+ * 创建时间与天气光照控制器
+ * @param {object} options
+ * @param {THREE.Scene} options.scene
+ * @param {object} options.lights main.js 中的全局光源
+ * @param {THREE.AmbientLight} options.lights.ambient
+ * @param {THREE.HemisphereLight} options.lights.hemi
+ * @param {THREE.DirectionalLight} options.lights.fill 窗侧补光
+ * @param {THREE.DirectionalLight} options.lights.key 主光源（投射阴影）
+ * @param {{ loadTexture: Function }} options.assets 资源管理器（见 assets.js）
+ * @param {object} [options.skies] 各时段的天空全景图，缺省为 DEFAULT_SKIES
+ * @param {Storage|null} [options.storage] 持久化存储，缺省为 localStorage
+ */
+export function createDayLighting({ scene, lights, assets, skies = DEFAULT_SKIES, storage = window.localStorage }) {
+  const listeners = new Set();
+  let followClock = false;
+  let time = DEFAULT_TIME;
+  let weather = 'clear';
+  let classroom = null;
+  let lampsWanted = null; // 按天色应否开灯，变化时才自动开关（null 表示教室刚创建）
+  let elapsed = 0;   // 雨滴动画时间
+  const current = { ...WEATHER_PRESETS.clear }; // 过渡中的天气参数
+  const currentSkyColor = new THREE.Color(WEATHER_PRESETS.clear.skyColor);
+
+  // 教室中按名称找到的对象（setClassroom 时收集）
+  let found = { sunLights: [], windowLights: [], beams: [], dust: [], rain: [] };
+
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null');
+    if (saved) {
+      followClock = !!saved.followClock;
+      if (Number.isFinite(saved.time)) time = wrapHours(saved.time);
+      if (WEATHER_TYPES.includes(saved.weather)) weather = saved.weather;
+    }
+  } catch (error) {
+    console.warn('读取光照设置失败:', error);
+  }
+  Object.assign(current, WEATHER_PRESETS[weather]);
+  currentSkyColor.set(WEATHER_PRESETS[weather].skyColor);
+
+  const persist = () => {
+    try {
+      storage?.setItem(STORAGE_KEY, JSON.stringify({ followClock, time, weather }));
+    } catch (error) {
+      console.warn('保存光照设置失败:', error);
+    }
+  };
+
+  const notify = () => listeners.forEach(fn => fn({ time: api.getTime(), followClock, weather }));
+
+  // 天空：包住教室的大球，代替 scene.background 以便在两张全景图间混合；按 scene.backgroundBlurriness 模糊
+  const skyTextures = Object.fromEntries(Object.entries(skies).map(([name, url]) => [
+    name,
+    assets.loadTexture(url, {
+      colorSpace: url.toLowerCase().endsWith('.hdr') ? THREE.LinearSRGBColorSpace : THREE.SRGBColorSpace,
+      mapping: THREE.EquirectangularReflectionMapping
+    })
+  ]));
+  const skyMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      skyA: { value: null },
+      skyB: { value: null },
+      blend: { value: 0 },
+      lod: { value: 0 },
+      tint: { value: new THREE.Color() },
+      desaturate: { value: 0 }
+    },
+    vertexShader: skyVertexShader,
+    fragmentShader: skyFragmentShader,
+    side: THREE.BackSide,
+    depthWrite: false
+  });
+  const sky = new THREE.Mesh(new THREE.SphereGeometry(SKY_RADIUS, 48, 24), skyMaterial);
+  sky.name = 'sky';
+  sky.position.copy(SKY_CENTER);
+  sky.renderOrder = -1;
+  sky.frustumCulled = false;
+  scene.add(sky);
+  scene.background = null;
+
+  const rainMaterial = new THREE.ShaderMaterial({
+    uniforms: {
+      time: { value: 0 },
+      intensity: { value: 0 }
+    },
+    vertexShader: rainVertexShader,
+    fragmentShader: rainFragmentShader,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide
+  });
+
+  const sunDirection = new THREE.Vector3();
+  const keyDirection = new THREE.Vector3();
+
+  const api = {
+    /** @returns {number} 当前时刻（小时，0~24） */
+    getTime() {
+      if (followClock) {
+        const now = new Date();
+        return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+      }
+      return time;
+    },
+
+    /**
+     * 当前时刻对应的日期（供教室时钟显示）
+     * @returns {Date}
+     */
+    getDate() {
+      if (followClock) return new Date();
+      const date = new Date();
+      date.setHours(0, 0, 0, 0);
+      return new Date(date.getTime() + time * 3600 * 1000);
+    },
+
+    /**
+     * 设定时刻（同时停止跟随系统时间），之后从该时刻继续走时
+     * @param {number} hours 0~24，如 8.5 为 8:30
+     */
+    setTime(hours) {
+      if (!Number.isFinite(hours)) throw new Error(`无效的时刻: ${hours}`);
+      time = wrapHours(hours);
+      followClock = false;
+      persist();
+      notify();
+    },
+
+    isFollowingClock() {
+      return followClock;
+    },
+
+    /**
+     * 是否跟随系统时间；停止跟随时从当前时刻继续走时
+     * @param {boolean} value
+     */
+    setFollowClock(value) {
+      if (!value && followClock) time = api.getTime();
+      followClock = !!value;
+      persist();
+      notify();
+    },
+
+    getWeather() {
+      return weather;
+    },
+
+    /**
+     * 切换天气（光照在几秒内过渡）
+     * @param {'clear'|'overcast'|'rain'} value
+     */
+    setWeather(value) {
+      if (!WEATHER_TYPES.includes(value)) {
+        throw new Error(`未知的天气: ${value}，可用天气为 ${WEATHER_TYPES.join(' / ')}`);
+      }
+      weather = value;
+      persist();
+      notify();
+    },
+
+    /**
+     * 订阅时刻 / 天气设置变化（不含走时）
+     * @param {(state: { time: number, followClock: boolean, weather: string }) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * 教室创建或重建后调用：收集教室中的光源和陈设，给窗玻璃加上雨滴层，教室时钟改为显示这里的时刻
+     * @param {THREE.Object3D} room createClassroom 返回的教室分组
+     */
+    setClassroom(room) {
+      classroom = room;
+      found = { sunLights: [], windowLights: [], beams: [], dust: [], rain: [] };
+      const glasses = [];
+      room.traverse((object) => {
+        if (object.name === 'sunLight') found.sunLights.push(object);
+        else if (object.name === 'windowLight') found.windowLights.push(object);
+        else if (object.name === 'sunBeam') found.beams.push(object);
+        else if (object.name === 'sunDust') found.dust.push(object);
+        else if (object.name === 'windowGlass') glasses.push(object);
+      });
+      // 记下各材质原来的不透明度，按比例淡入淡出
+      found.beams.forEach(({ material }) => {
+        material.userData.baseOpacity ??= material.uniforms.opacity.value;
+      });
+      found.dust.forEach(({ material }) => {
+        material.userData.baseOpacity ??= material.opacity;
+      });
+      glasses.forEach((glass) => {
+        // 按包围盒取尺寸（从 GLB 加载的几何体没有 parameters）
+        if (!glass.geometry.boundingBox) glass.geometry.computeBoundingBox();
+        const { x: width, y: height } = glass.geometry.boundingBox.getSize(new THREE.Vector3());
+        const material = rainMaterial.clone();
+        material.uniforms = {
+          time: rainMaterial.uniforms.time, // 共用动画时间和强度
+          intensity: rainMaterial.uniforms.intensity,
+          size: { value: new THREE.Vector2(width, height) }
+        };
+        const rain = new THREE.Mesh(glass.geometry, material);
+        rain.name = 'windowRain';
+        rain.position.z = -0.01; // 玻璃外侧（玻璃的法线朝向室内）
+        rain.renderOrder = 1;
+        glass.add(rain);
+        found.rain.push(rain);
+      });
+      room.clock?.setTimeSource(() => api.getDate());
+      lampsWanted = null;
+      api.update(0);
+    },
+
+    /**
+     * 每帧调用：走时，天气过渡，更新光源、天空、光束和雨滴
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      if (!followClock) time = wrapHours(time + delta / 3600);
+      const hours = api.getTime();
+      const state = sampleKeyframes(hours);
+
+      // 天气参数渐变到目标天气
+      const target = WEATHER_PRESETS[weather];
+      const k = delta > 0 ? 1 - Math.exp(-delta * WEATHER_FADE_SPEED) : 0;
+      ['direct', 'diffuse', 'daylight', 'beams', 'desaturate', 'rain'].forEach((key) => {
+        current[key] = THREE.MathUtils.lerp(current[key], target[key], k);
+      });
+      currentSkyColor.lerp(new THREE.Color(target.skyColor), k);
+
+      // 太阳方向；夜间主光源改为月光方向，在地平线附近过渡
+      getSunDirection(hours, sunDirection);
+      const daylightBlend = THREE.MathUtils.smoothstep(sunDirection.y, -0.05, 0.1);
+      keyDirection.copy(MOON_DIRECTION).lerp(sunDirection, daylightBlend).normalize();
+      lights.key.position.copy(keyDirection).multiplyScalar(KEY_LIGHT_DISTANCE);
+      lights.key.color.copy(state.keyColor);
+      lights.key.intensity = state.key * THREE.MathUtils.lerp(1, current.direct, daylightBlend);
+
+      lights.ambient.color.copy(state.ambientColor);
+      lights.ambient.intensity = state.ambient * current.diffuse;
+      lights.hemi.color.copy(state.hemiSky);
+      lights.hemi.groundColor.copy(state.hemiGround);
+      lights.hemi.intensity = state.hemi * current.diffuse;
+      lights.fill.color.copy(state.fillColor);
+      lights.fill.intensity = state.fill * current.diffuse;
+
+      // 卷帘挡住的光线：窗外补光、光束按各自窗户，窗外阳光按所有窗户的平均值
+      const blinds = classroom?.blinds;
+      const shade = object => blinds?.getLightFactor(object.userData.windowIndex) ?? 1;
+      found.sunLights.forEach((light) => {
+        // 阳光只从窗户一侧（-X）照进来
+        light.position.copy(sunDirection).multiplyScalar(SUN_LIGHT_DISTANCE);
+        light.position.x = -Math.abs(light.position.x);
+        light.position.y = Math.max(light.position.y, 1);
+        light.color.copy(state.sunColor);
+        light.intensity = state.sun * current.direct * (blinds?.getAverageLightFactor() ?? 1);
+      });
+      found.windowLights.forEach((light) => {
+        light.color.copy(state.windowColor);
+        light.intensity = state.window * (current.direct + current.diffuse) / 2 * shade(light);
+      });
+
+      // 光束和尘埃
+      const beams = state.beams * current.beams;
+      found.beams.forEach((beam) => {
+        const opacity = beams * shade(beam);
+        beam.material.uniforms.opacity.value = beam.material.userData.baseOpacity * opacity;
+        beam.visible = opacity > 0.01;
+      });
+      found.dust.forEach((dust) => {
+        dust.material.opacity = dust.material.userData.baseOpacity * beams * shade(dust);
+      });
+
+      // 天色变暗时开灯、变亮时关灯；教室刚创建时直接套用，不渐变
+      const lampsOn = state.daylight * current.daylight < LAMP_ON_DAYLIGHT;
+      if (lampsOn !== lampsWanted) {
+        classroom?.lamps?.setAll(lampsOn, { immediate: lampsWanted === null });
+        lampsWanted = lampsOn;
+      }
+
+      // 天空和环境贴图（环境贴图用混合中占比较大的一张）
+      skyMaterial.uniforms.skyA.value = skyTextures[state.skyA];
+      skyMaterial.uniforms.skyB.value = skyTextures[state.skyB];
+      skyMaterial.uniforms.blend.value = state.blend;
+      // 模糊程度 0~1 对应全景图的 mip 级别（与 scene.background 的模糊大致相当）
+      const skyWidth = skyTextures[state.skyA]?.image?.width ?? 1;
+      skyMaterial.uniforms.lod.value = scene.backgroundBlurriness * Math.log2(Math.max(skyWidth, 1));
+      skyMaterial.uniforms.tint.value.copy(state.skyColor).multiply(currentSkyColor).multiplyScalar(state.skyIntensity);
+      skyMaterial.uniforms.desaturate.value = current.desaturate;
+      scene.environment = skyTextures[state.blend < 0.5 ? state.skyA : state.skyB];
+      scene.environmentIntensity = state.env * current.diffuse * (0.5 + 0.5 * current.daylight);
+
+      // 窗上的雨滴
+      elapsed += delta;
+      rainMaterial.uniforms.time.value = elapsed;
+      rainMaterial.uniforms.intensity.value = current.rain;
+      found.rain.forEach((rain) => {
+        rain.visible = current.rain > 0.01;
+      });
+    },
+
+    dispose() {
+      scene.remove(sky);
+      sky.geometry.dispose();
+      skyMaterial.dispose();
+      found.rain.forEach((rain) => {
+        rain.parent?.remove(rain);
+        rain.material.dispose();
+      });
+      classroom?.clock?.setTimeSource(() => new Date());
+    }
+  };
+
+  return api;
+}
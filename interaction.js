@@ -0,0 +1,338 @@
+import * as THREE from 'three';
+
+/**
+ * 场景交互层：射线拾取已注册的物体，处理悬停 / 点击，并通过事件总线广播
+ *
+ * 用法：
+ *   const interaction = createInteractionLayer({ scene, camera, domElement, outlinePass });
+ *   interaction.register(clockGroup, { kind: 'clock', onClick: (e) => ... });
+ *   interaction.events.on('click', (e) => console.log(e.kind, e.id));
+ *
+ * 只有注册过的物体能被拾取；命中子网格时向上查找最近的已注册祖先。射线检测整个场景，
+ * 墙、课桌、人物等不透明网格挡在前面时，后面的物体不会被悬停或点中（透明的玻璃、光束不遮挡）
+ */
+
+/**
+ * 交互事件类型
+ * @typedef {'hover'|'hoverend'|'click'} InteractionEventType
+ */
+
+/**
+ * 交互事件
+ * @typedef {object} InteractionEvent
+ * @property {InteractionEventType} type
+ * @property {string} kind 物体类别，如 'blackboard'、'door'、'student'
+ * @property {string} id 物体标识，缺省为 kind
+ * @property {THREE.Object3D} object 注册的物体
+ * @property {THREE.Vector3|null} point 射线命中点（世界坐标），hoverend 时为 null
+ * @property {object} data 注册时附带的数据
+ * @property {PointerEvent|null} originalEvent
+ */
+
+export const INTERACTION_EVENTS = ['hover', 'hoverend', 'click'];
+
+// 按下到抬起移动超过该像素数视为拖动视角，不算点击
+const CLICK_MOVE_TOLERANCE = 5;
+// 遮挡物与可交互物体的命中距离相差不超过该值（米）时不算遮挡（如与实例化椅子重合的拾取代理）
+const OCCLUSION_TOLERANCE = 0.01;
+
+/**
+ * 创建只接受固定事件类型的事件总线，订阅或派发未声明的类型会直接报错，避免拼写错误悄悄失效
+ * @param {Array<string>} types 允许的事件类型
+ */
+export function createEventBus(types) {
+  const handlers = new Map(types.map(type => [type, new Set()]));
+  const getHandlers = (type) => {
+    const set = handlers.get(type);
+    if (!set) throw new Error(`未知的事件类型: ${type}，可用类型为 ${types.join(' / ')}`);
+    return set;
+  };
+
+  return {
+    types: [...types],
+
+    /**
+     * 订阅事件
+     * @param {string} type
+     * @param {(event: object) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    on(type, fn) {
+      getHandlers(type).add(fn);
+      return () => getHandlers(type).delete(fn);
+    },
+
+    /** 订阅一次 */
+    once(type, fn) {
+      const off = this.on(type, (event) => {
+        off();
+        fn(event);
+      });
+      return off;
+    },
+
+    off(type, fn) {
+      getHandlers(type).delete(fn);
+    },
+
+    emit(type, event) {
+      getHandlers(type).forEach((fn) => {
+        try {
+          fn(event);
+        } catch (error) {
+          console.error(`事件 ${type} 的处理函数出错:`, error);
+        }
+      });
+    }
+  };
+}
+
+/**
+ * 创建交互层
+ * @param {object} options
+ * @param {THREE.Scene} options.scene 射线检测的场景（其中的不透明网格遮挡后面的可交互物体）
+ * @param {THREE.Camera} options.camera
+ * @param {HTMLElement} options.domElement
+ * @param {import('three/addons/postprocessing/OutlinePass.js').OutlinePass} [options.outlinePass] 悬停描边
+ */
+export function createInteractionLayer({ scene, camera, domElement, outlinePass }) {
+  const events = createEventBus(INTERACTION_EVENTS);
+  const raycaster = new THREE.Raycaster();
+  const pointer = new THREE.Vector2();
+  const registry = new Map(); // object -> { kind, id, data, cursor, highlight, onHover, onHoverEnd, onClick }
+
+  let enabled = true;
+  let pointerInside = false;
+  let pointerDirty = false; // 指针移动后在下一帧重新拾取
+  let hovered = null;       // { object, entry, point }
+  let pressed = null;       // { x, y, pointerId }
+  const lastCameraMatrix = new THREE.Matrix4();
+
+  const makeEvent = (type, object, entry, point, originalEvent = null) => ({
+    type,
+    kind: entry.kind,
+    id: entry.id,
+    object,
+    point,
+    data: entry.data,
+    originalEvent
+  });
+
+  const setPointer = (event) => {
+    const rect = domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  };
+
+  // 物体是否仍在场景中且可见（被移除或隐藏的物体不参与拾取）
+  const isLive = (object) => {
+    let node = object;
+    while (node) {
+      if (!node.visible) return false;
+      if (node.isScene) return true;
+      node = node.parent;
+    }
+    return false;
+  };
+
+  // 从命中的网格向上找到最近的已注册物体
+  const findRegistered = (object) => {
+    let node = object;
+    while (node) {
+      if (registry.has(node)) return node;
+      node = node.parent;
+    }
+    return null;
+  };
+
+  // 命中的网格是否挡住后面的物体：可见的不透明网格才算（线框、透明的玻璃和光束不算）
+  const occludes = (hit) => {
+    if (!hit.object.isMesh || !isLive(hit.object)) return false;
+    const { material } = hit.object;
+    const hitMaterial = Array.isArray(material) ? material[hit.face?.materialIndex ?? 0] : material;
+    return !!hitMaterial && hitMaterial.visible && !hitMaterial.transparent;
+  };
+
+  // 缺省用鼠标指针拾取，也可以传入已设置好的射线（如 VR 手柄）
+  // 沿射线由近到远，取第一个可交互物体；它之前已有遮挡物时不算命中
+  const pick = (caster = null) => {
+    if (![...registry.keys()].some(isLive)) return null;
+    if (!caster) {
+      raycaster.setFromCamera(pointer, camera);
+    }
+    let blockedAt = Infinity;
+    for (const hit of (caster ?? raycaster).intersectObject(scene, true)) {
+      if (hit.distance > blockedAt + OCCLUSION_TOLERANCE) break;
+      const object = findRegistered(hit.object);
+      if (object && isLive(object)) return { object, entry: registry.get(object), point: hit.point.clone() };
+      if (blockedAt === Infinity && occludes(hit)) blockedAt = hit.distance;
+    }
+    return null;
+  };
+
+  const click = (hit, originalEvent) => {
+    const clickEvent = makeEvent('click', hit.object, hit.entry, hit.point, originalEvent);
+    hit.entry.onClick?.(clickEvent);
+    events.emit('click', clickEvent);
+  };
+
+  const endHover = (originalEvent = null) => {
+    if (!hovered) return;
+    const { object, entry } = hovered;
+    hovered = null;
+    if (entry.highlight) entry.highlight.visible = false;
+    if (outlinePass) outlinePass.selectedObjects = [];
+    domElement.style.cursor = '';
+    const event = makeEvent('hoverend', object, entry, null, originalEvent);
+    entry.onHoverEnd?.(event);
+    events.emit('hoverend', event);
+  };
+
+  const startHover = (hit) => {
+    hovered = hit;
+    const { highlight } = hit.entry;
+    if (highlight) highlight.visible = true;
+    if (outlinePass) outlinePass.selectedObjects = [highlight ?? hit.object];
+    domElement.style.cursor = hit.entry.cursor;
+    const event = makeEvent('hover', hit.object, hit.entry, hit.point);
+    hit.entry.onHover?.(event);
+    events.emit('hover', event);
+  };
+
+  const onPointerMove = (event) => {
+    pointerInside = true;
+    pointerDirty = true;
+    setPointer(event);
+  };
+
+  const onPointerLeave = () => {
+    pointerInside = false;
+    endHover();
+  };
+
+  const onPointerDown = (event) => {
+    // 黑板书写等在捕获阶段处理过的按下不算点击
+    if (!enabled || event.button !== 0 || event.defaultPrevented) return;
+    pressed = { x: event.clientX, y: event.clientY, pointerId: event.pointerId };
+  };
+
+  const onPointerUp = (event) => {
+    if (!pressed || event.pointerId !== pressed.pointerId) return;
+    const moved = Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y);
+    pressed = null;
+    if (!enabled || moved > CLICK_MOVE_TOLERANCE) return;
+    setPointer(event);
+    const hit = pick();
+    if (hit) click(hit, event);
+  };
+
+  domElement.addEventListener('pointermove', onPointerMove);
+  domElement.addEventListener('pointerleave', onPointerLeave);
+  domElement.addEventListener('pointerdown', onPointerDown);
+  domElement.addEventListener('pointerup', onPointerUp);
+
+  return {
+    events,
+
+    /**
+     * 注册可交互物体
+     * @param {THREE.Object3D} object 物体或分组，命中其任一子网格都算命中
+     * @param {object} options
+     * @param {string} options.kind 物体类别
+     * @param {string} [options.id] 物体标识，缺省为 kind
+     * @param {object} [options.data] 随事件传递的附加数据
+     * @param {string} [options.cursor] 悬停时的鼠标样式，默认 'pointer'
+     * @param {THREE.Object3D} [options.highlight] 悬停时显示并描边的代理物体（物体本身由实例化网格绘制、
+     *        平时隐藏时使用，见 classroom.js 的椅子）；隐藏的网格仍会被射线命中
+     * @param {(event: InteractionEvent) => void} [options.onHover]
+     * @param {(event: InteractionEvent) => void} [options.onHoverEnd]
+     * @param {(event: InteractionEvent) => void} [options.onClick]
+     * @returns {() => void} 取消注册
+     */
+    register(object, { kind, id = kind, data = {}, cursor = 'pointer', highlight, onHover, onHoverEnd, onClick }) {
+      registry.set(object, { kind, id, data, cursor, highlight, onHover, onHoverEnd, onClick });
+      return () => this.unregister(object);
+    },
+
+    unregister(object) {
+      if (hovered?.object === object) endHover();
+      registry.delete(object);
+    },
+
+    /**
+     * 取消注册 root 自身及其下的所有物体（移除教室或学生前调用）
+     * @param {THREE.Object3D} root
+     */
+    unregisterWithin(root) {
+      [...registry.keys()].forEach((object) => {
+        let node = object;
+        while (node && node !== root) node = node.parent;
+        if (node === root) this.unregister(object);
+      });
+    },
+
+    /** 暂停交互（如黑板书写时） */
+    setEnabled(value) {
+      enabled = value;
+      if (!enabled) {
+        endHover();
+        pressed = null;
+      } else {
+        pointerDirty = true;
+      }
+    },
+
+    /**
+     * 沿射线拾取已注册的物体（如 VR 手柄的指向），不改变悬停状态
+     * @param {THREE.Raycaster} caster
+     * @returns {InteractionEvent|null} type 为 'hover' 的事件，未命中时为 null
+     */
+    raycast(caster) {
+      const hit = pick(caster);
+      return hit ? makeEvent('hover', hit.object, hit.entry, hit.point) : null;
+    },
+
+    /**
+     * 沿射线点击（如 VR 手柄扳机），与鼠标点击派发同样的事件
+     * @param {THREE.Raycaster} caster
+     * @returns {boolean} 是否点中了已注册的物体
+     */
+    clickRay(caster) {
+      if (!enabled) return false;
+      const hit = pick(caster);
+      if (hit) click(hit, null);
+      return !!hit;
+    },
+
+    /** @returns {InteractionEvent|null} 当前悬停的物体 */
+    getHovered() {
+      return hovered ? makeEvent('hover', hovered.object, hovered.entry, hovered.point) : null;
+    },
+
+    /**
+     * 每帧调用：指针移动或相机转动（指针下的物体也会变化）后重新拾取悬停物体
+     */
+    update() {
+      const cameraMoved = !lastCameraMatrix.equals(camera.matrixWorld);
+      if (cameraMoved) lastCameraMatrix.copy(camera.matrixWorld);
+      if (!enabled || !pointerInside || (!pointerDirty && !cameraMoved)) return;
+      pointerDirty = false;
+      const hit = pick();
+      if (hit?.object === hovered?.object) {
+        if (hit) hovered.point = hit.point;
+        return;
+      }
+      endHover();
+      if (hit) startHover(hit);
+    },
+
+    dispose() {
+      endHover();
+      registry.clear();
+      domElement.removeEventListener('pointermove', onPointerMove);
+      domElement.removeEventListener('pointerleave', onPointerLeave);
+      domElement.removeEventListener('pointerdown', onPointerDown);
+      domElement.removeEventListener('pointerup', onPointerUp);
+    }
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * 课程时间轴：按时间点向黑板、一体机、人物和相机派发提示（cue），支持播放 / 暂停 / 跳转
+ *
+ * 时间轴文件（如 public/lessons/ai-intro/timeline.json）：
+ *   {
+ *     "duration": "40:00",
+ *     "cues": [
+ *       { "at": "0:00", "action": "slide", "index": 0 },
+ *       { "at": "0:30", "action": "speak", "audio": "/lessons/ai-intro/voice-sample.wav" },
+ *       { "at": "2:00", "action": "board", "side": "left", "markdown": "# 第一节" },
+ *       { "at": "5:00", "action": "student", "index": 2, "do": "raiseHand" },
+ *       { "at": "5:10", "action": "camera", "view": "front", "duration": 2 },
+ *       { "at": "6:00", "action": "cameraPath", "path": ["back", "windowSide", "front"], "duration": 8 }
+ *     ]
+ *   }
+ * at / duration 可以写秒数，或 "m:ss"、"h:mm:ss"、"1m30s" 这样的时间
+ *
+ * 每种 action 由调用方注册的处理器执行。带 stateKey 的处理器表示“状态型”提示（如当前幻灯片、
+ * 相机位置）：跳转时先用处理器的 reset 恢复默认状态，再按顺序重放目标时间之前的所有状态型提示
+ * （同一块黑板先加载提纲再翻页，两条都要重放）；其余提示（说话、举手）只在播放经过时触发
+ */
+
+// 时间轴没写总时长时，在最后一条提示后留出的时间（秒）
+const DEFAULT_TAIL = 10;
+
+/**
+ * 解析时间：数字为秒，字符串支持 "h:mm:ss"、"m:ss"、"90s"、"2m"、"1m30s"、"1h"
+ * @param {number|string} value
+ * @returns {number} 秒
+ */
+export function parseTimecode(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+  if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(text)) {
+    return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  }
+  const m = text.match(/^(?:(\d+(?:\.\d+)?)h)?\s*(?:(\d+(?:\.\d+)?)m)?\s*(?:(\d+(?:\.\d+)?)s)?$/i);
+  if (m && (m[1] || m[2] || m[3])) {
+    return (parseFloat(m[1] ?? 0) * 3600) + (parseFloat(m[2] ?? 0) * 60) + parseFloat(m[3] ?? 0);
+  }
+  throw new Error(`无法解析时间: ${value}`);
+}
+
+/**
+ * 把秒数格式化为 "m:ss"（超过一小时为 "h:mm:ss"）
+ * @param {number} seconds
+ */
+export function formatTimecode(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * 加载时间轴文件
+ * @param {string} url
+ */
+export async function loadLessonTimeline(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`无法加载课程时间轴 ${url}: ${res.status}`);
+  }
+  return res.json();
+}
+
+/**
+ * 创建时间轴播放器
+ * @param {object} [options]
+ * @param {object} [options.handlers] { action: { run(cue, context), stateKey?(cue), reset?() } }
+ * @param {() => void} [options.onPlay] 开始 / 继续播放时调用（如恢复音频）
+ * @param {() => void} [options.onPause] 暂停时调用
+ * @param {(time: number) => void} [options.onSeek] 跳转前调用（如停止正在播放的语音）
+ */
+export function createLessonTimeline({ handlers = {}, onPlay, onPause, onSeek } = {}) {
+  let cues = [];       // 按时间排序的提示，at 已换算为秒
+  let duration = 0;
+  let time = 0;
+  let playing = false;
+  let nextIndex = 0;   // 下一条待触发的提示
+  let seekRun = 0;     // 每次跳转 / 载入加一，让上一次跳转还没重放完的提示停下
+  const listeners = new Set();
+
+  const emit = () => listeners.forEach(fn => fn(api.getState()));
+
+  /**
+   * 执行一条提示
+   * @returns {Promise<void>|undefined} 异步处理器完成（出错也算完成）的 Promise，同步处理器为 undefined
+   */
+  const dispatch = (cue, context) => {
+    const handler = handlers[cue.action];
+    if (!handler) {
+      console.warn('未知的时间轴动作:', cue.action, cue);
+      return undefined;
+    }
+    try {
+      const result = handler.run(cue, context);
+      // 异步处理器的错误不打断时间轴
+      if (result && typeof result.then === 'function') {
+        return Promise.resolve(result).then(
+          () => {},
+          error => console.error(`时间轴动作 ${cue.action} 出错:`, error)
+        );
+      }
+    } catch (error) {
+      console.error(`时间轴动作 ${cue.action} 出错:`, error);
+    }
+    return undefined;
+  };
+
+  /**
+   * 按顺序重放跳转前的状态型提示：同步的连续执行，遇到异步的（如加载板书）等它完成再继续，
+   * 保证后面的翻页、清空落在加载好的内容上
+   * @param {Array<object>} list
+   * @param {number} run 发起重放时的 seekRun
+   */
+  const replay = (list, run) => {
+    for (let i = 0; i < list.length; i++) {
+      if (run !== seekRun) return;
+      const pending = dispatch(list[i], { seeking: true });
+      if (pending) {
+        pending.then(() => replay(list.slice(i + 1), run));
+        return;
+      }
+    }
+  };
+
+  /** 时间轴用到的状态型处理器恢复默认状态 */
+  const resetStates = () => {
+    const actions = new Set(cues.map(cue => cue.action));
+    actions.forEach((action) => {
+      const handler = handlers[action];
+      if (!handler?.stateKey || !handler.reset) return;
+      try {
+        handler.reset();
+      } catch (error) {
+        console.error(`时间轴动作 ${action} 复位出错:`, error);
+      }
+    });
+  };
+
+  const api = {
+    /**
+     * 载入时间轴（会回到开头并暂停）
+     * @param {{ duration?: number|string, cues: Array<object> }} timeline
+     */
+    load(timeline) {
+      cues = (timeline.cues ?? [])
+        .map((cue, order) => ({ ...cue, at: parseTimecode(cue.at ?? 0), order }))
+        .sort((a, b) => a.at - b.at || a.order - b.order);
+      const lastCue = cues.length > 0 ? cues[cues.length - 1].at : 0;
+      duration = timeline.duration !== undefined ? parseTimecode(timeline.duration) : lastCue + DEFAULT_TAIL;
+      playing = false;
+      time = 0;
+      nextIndex = 0;
+      seekRun++;
+      emit();
+    },
+
+    /**
+     * 注册或替换某种动作的处理器
+     * @param {string} action
+     * @param {{ run: (cue: object, context: { seeking: boolean }) => any, stateKey?: (cue: object) => string, reset?: () => void }} handler
+     */
+    setHandler(action, handler) {
+      handlers[action] = handler;
+    },
+
+    play() {
+      if (playing || duration === 0) return;
+      if (time >= duration) api.seek(0);
+      playing = true;
+      onPlay?.();
+      emit();
+    },
+
+    pause() {
+      if (!playing) return;
+      playing = false;
+      onPause?.();
+      emit();
+    },
+
+    toggle() {
+      if (playing) {
+        api.pause();
+      } else {
+        api.play();
+      }
+    },
+
+    /**
+     * 跳转到指定时间：状态恢复默认后按顺序重放此前的状态型提示，后面的提示从该时间继续触发
+     * 向前、向后跳转结果相同，都与从头播放到该时间一致
+     * @param {number|string} target 秒或时间字符串
+     */
+    seek(target) {
+      time = Math.min(Math.max(parseTimecode(target), 0), duration);
+      onSeek?.(time);
+      // 恰好在目标时间的提示留给继续播放时触发
+      nextIndex = cues.findIndex(cue => cue.at >= time);
+      if (nextIndex === -1) nextIndex = cues.length;
+
+      const run = ++seekRun;
+      resetStates();
+      replay(cues.slice(0, nextIndex).filter(cue => handlers[cue.action]?.stateKey?.(cue)), run);
+      emit();
+    },
+
+    getState() {
+      return { time, duration, playing, cueCount: cues.length, nextIndex };
+    },
+
+    /**
+     * 订阅状态变化（播放、暂停、跳转，以及播放中每帧的进度）
+     * @param {(state: object) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * 每帧调用：推进时间并触发经过的提示
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      if (!playing) return;
+      time = Math.min(time + delta, duration);
+      while (nextIndex < cues.length && cues[nextIndex].at <= time) {
+        dispatch(cues[nextIndex], { seeking: false });
+        nextIndex++;
+      }
+      if (time >= duration) {
+        playing = false;
+        onPause?.();
+      }
+      emit();
+    }
+  };
+  return api;
+}
@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+
+/**
+ * 老师口型同步：用 WebAudio 分析讲课音频，驱动 VRM 的口型表情（aa / ih / ou / ee / oh）
+ * 播放期间老师会眨眼，视线跟随相机
+ *
+ * 口型按频谱估算：把 150–4000Hz 分成几段，元音的共振峰落在不同频段——
+ *   ou（嘴唇收圆）能量集中在低频，oh 在中低频，aa（张大嘴）在中频，
+ *   ih / ee（嘴角拉开）有明显的高频第二共振峰
+ * 各口型的权重再乘以音量，静音时嘴自然闭合
+ */
+
+// 频谱分析
+const FFT_SIZE = 1024;
+const SMOOTHING_TIME_CONSTANT = 0.5;
+// 频段划分（Hz）
+const BANDS = {
+  low: [150, 500],
+  midLow: [500, 900],
+  mid: [900, 1500],
+  high: [1500, 2500],
+  top: [2500, 4000]
+};
+// 音量：RMS 低于门限视为静音，达到 VOLUME_FULL 时嘴张到最大
+const VOLUME_GATE = 0.02;
+const VOLUME_FULL = 0.25;
+// 口型的最大权重（张到 1 看起来过于夸张）
+const MOUTH_MAX = 0.85;
+// 口型变化的平滑速度（越大越跟手）
+const MOUTH_SMOOTHING = 18;
+// 眨眼：间隔随机在 MIN~MAX 秒之间，一次眨眼持续 BLINK_DURATION 秒
+const BLINK_INTERVAL_MIN = 2;
+const BLINK_INTERVAL_MAX = 6;
+const BLINK_DURATION = 0.15;
+
+export const MOUTH_SHAPES = ['aa', 'ih', 'ou', 'ee', 'oh'];
+
+let audioContext = null;
+
+/**
+ * 共用的 AudioContext（浏览器要求在用户操作后创建或恢复）
+ */
+function getAudioContext() {
+  if (!audioContext) audioContext = new AudioContext();
+  if (audioContext.state === 'suspended') audioContext.resume();
+  return audioContext;
+}
+
+/**
+ * 把各种音频来源解码为 AudioBuffer
+ * @param {string|Blob|ArrayBuffer|AudioBuffer} source 音频地址、文件、TTS 返回的数据
+ * @returns {Promise<AudioBuffer>}
+ */
+async function decodeAudio(source) {
+  if (source instanceof AudioBuffer) return source;
+  let data = source;
+  if (typeof source === 'string') {
+    const res = await fetch(source);
+    if (!res.ok) throw new Error(`无法加载音频 ${source}: ${res.status}`);
+    data = await res.arrayBuffer();
+  } else if (source instanceof Blob) {
+    data = await source.arrayBuffer();
+  }
+  // decodeAudioData 会转移 ArrayBuffer，复制一份以免调用方的数据被清空
+  return getAudioContext().decodeAudioData(data.slice(0));
+}
+
+/**
+ * 创建口型同步控制器
+ * @param {object} [options]
+ * @param {THREE.Object3D} [options.lookAtTarget] 说话时视线跟随的物体（通常是相机）
+ */
+export function createLipSync({ lookAtTarget } = {}) {
+  let vrm = null;
+  let playing = null;       // { source, analyser, resolve }
+  let speakRun = 0;         // 每次 speak / stop 加一，加载中被打断的音频不再播放
+  let timeData = null;
+  let freqData = null;
+  let blinkTimer = 0;
+  let blinkElapsed = -1;    // 眨眼进行中的时间，-1 表示未在眨眼
+  const weights = Object.fromEntries(MOUTH_SHAPES.map(shape => [shape, 0]));
+  const targets = { ...weights };
+
+  const scheduleBlink = () => {
+    blinkTimer = THREE.MathUtils.randFloat(BLINK_INTERVAL_MIN, BLINK_INTERVAL_MAX);
+  };
+  scheduleBlink();
+
+  const setExpression = (name, value) => {
+    vrm?.expressionManager?.setValue(name, value);
+  };
+
+  // 某频段的平均能量（0~1）
+  const bandEnergy = ([from, to], binHz) => {
+    const start = Math.max(0, Math.floor(from / binHz));
+    const end = Math.min(freqData.length - 1, Math.ceil(to / binHz));
+    let sum = 0;
+    for (let i = start; i <= end; i++) sum += freqData[i];
+    return sum / ((end - start + 1) * 255);
+  };
+
+  // 根据当前音频帧估算各口型的目标权重
+  const analyse = () => {
+    const { analyser } = playing;
+    analyser.getFloatTimeDomainData(timeData);
+    analyser.getByteFrequencyData(freqData);
+
+    let sumSquares = 0;
+    for (let i = 0; i < timeData.length; i++) sumSquares += timeData[i] * timeData[i];
+    const rms = Math.sqrt(sumSquares / timeData.length);
+    const volume = THREE.MathUtils.clamp((rms - VOLUME_GATE) / (VOLUME_FULL - VOLUME_GATE), 0, 1);
+
+    if (volume === 0) {
+      MOUTH_SHAPES.forEach((shape) => { targets[shape] = 0; });
+      return;
+    }
+
+    const binHz = analyser.context.sampleRate / analyser.fftSize;
+    const low = bandEnergy(BANDS.low, binHz);
+    const midLow = bandEnergy(BANDS.midLow, binHz);
+    const mid = bandEnergy(BANDS.mid, binHz);
+    const high = bandEnergy(BANDS.high, binHz);
+    const top = bandEnergy(BANDS.top, binHz);
+
+    const raw = {
+      aa: midLow * 0.5 + mid,
+      oh: midLow,
+      ou: low,
+      ih: high,
+      ee: high * 0.5 + top
+    };
+    // 平方后归一化，突出占优的口型，避免五个表情平均混合成“半张嘴”
+    const sharpened = MOUTH_SHAPES.map(shape => raw[shape] * raw[shape]);
+    const total = sharpened.reduce((a, b) => a + b, 0) || 1;
+    MOUTH_SHAPES.forEach((shape, i) => {
+      targets[shape] = (sharpened[i] / total) * volume * MOUTH_MAX;
+    });
+  };
+
+  const updateBlink = (delta) => {
+    if (blinkElapsed >= 0) {
+      blinkElapsed += delta;
+      const t = blinkElapsed / BLINK_DURATION;
+      if (t >= 1) {
+        blinkElapsed = -1;
+        setExpression('blink', 0);
+        scheduleBlink();
+      } else {
+        setExpression('blink', Math.sin(t * Math.PI));
+      }
+      return;
+    }
+    if (!playing) return;
+    blinkTimer -= delta;
+    if (blinkTimer <= 0) blinkElapsed = 0;
+  };
+
+  const resetFace = () => {
+    MOUTH_SHAPES.forEach((shape) => {
+      weights[shape] = 0;
+      targets[shape] = 0;
+      setExpression(shape, 0);
+    });
+    if (vrm?.lookAt) {
+      vrm.lookAt.target = null;
+      vrm.lookAt.reset();
+    }
+  };
+
+  const finish = () => {
+    if (!playing) return;
+    const { resolve } = playing;
+    playing = null;
+    MOUTH_SHAPES.forEach((shape) => { targets[shape] = 0; });
+    if (vrm?.lookAt) {
+      vrm.lookAt.target = null;
+      vrm.lookAt.reset();
+    }
+    resolve();
+  };
+
+  return {
+    /**
+     * 切换驱动的 VRM（老师换形象时调用）
+     * @param {import('@pixiv/three-vrm').VRM|null} value
+     */
+    setVRM(value) {
+      resetFace();
+      vrm = value;
+      if (vrm?.lookAt && playing && lookAtTarget) vrm.lookAt.target = lookAtTarget;
+    },
+
+    /**
+     * 播放讲课音频并同步口型；再次调用会打断上一段
+     * @param {string|Blob|ArrayBuffer|AudioBuffer} source 音频地址、文件或 TTS 返回的音频
+     * @returns {Promise<void>} 播放结束（或被打断）时完成
+     */
+    async speak(source) {
+      // 加载、解码期间又调用了 speak 或 stop 时，这段音频不再播放
+      const run = ++speakRun;
+      const buffer = await decodeAudio(source);
+      if (run !== speakRun) return;
+      this.stop();
+
+      const ctx = getAudioContext();
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = FFT_SIZE;
+      analyser.smoothingTimeConstant = SMOOTHING_TIME_CONSTANT;
+      timeData = new Float32Array(analyser.fftSize);
+      freqData = new Uint8Array(analyser.frequencyBinCount);
+
+      const node = ctx.createBufferSource();
+      node.buffer = buffer;
+      node.connect(analyser);
+      analyser.connect(ctx.destination);
+
+      return new Promise((resolve) => {
+        playing = { source: node, analyser, resolve };
+        node.onended = () => {
+          if (playing?.source === node) finish();
+          analyser.disconnect();
+        };
+        if (vrm?.lookAt && lookAtTarget) vrm.lookAt.target = lookAtTarget;
+        scheduleBlink();
+        node.start();
+      });
+    },
+
+    /** 停止播放（也取消还在加载的音频） */
+    stop() {
+      speakRun++;
+      if (!playing) return;
+      const { source } = playing;
+      finish();
+      source.stop();
+    },
+
+    /** 暂停讲话（挂起音频，口型随静音闭合） */
+    pause() {
+      if (playing) audioContext.suspend();
+    },
+
+    /** 继续讲话 */
+    resume() {
+      if (audioContext?.state === 'suspended') audioContext.resume();
+    },
+
+    isSpeaking() {
+      return !!playing;
+    },
+
+    /**
+     * 每帧调用（在 vrm.update 之前，表情和视线在 vrm.update 中生效）
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      if (!vrm) return;
+      // 暂停时分析器停在最后一帧，不再分析，嘴闭上
+      if (playing && audioContext?.state === 'running') {
+        analyse();
+      } else if (playing) {
+        MOUTH_SHAPES.forEach((shape) => { targets[shape] = 0; });
+      }
+      const k = 1 - Math.exp(-delta * MOUTH_SMOOTHING);
+      MOUTH_SHAPES.forEach((shape) => {
+        weights[shape] = THREE.MathUtils.lerp(weights[shape], targets[shape], k);
+        setExpression(shape, weights[shape] < 1e-3 ? 0 : weights[shape]);
+      });
+      updateBlink(delta);
+    }
+  };
+}
@@ -8,22 +8,33 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
 import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
 import { SAOPass } from 'three/addons/postprocessing/SAOPass.js';
-import { createClassroom } from './classroom.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { createClassroom, loadClassroomLayout } from './classroom.js';
+import { bindBlackboardInput } from './blackboard.js';
+import { createInteractionLayer } from './interaction.js';
+import { createLipSync } from './lipSync.js';
+import { createAvatarAnimator, loadAnimationManifest } from './avatarAnimation.js';
+import { createStudentBehavior } from './studentBehavior.js';
+import { createLessonTimeline, loadLessonTimeline, formatTimecode } from './lessonTimeline.js';
+import { createMultiplayerSession } from './multiplayer.js';
+import { ROLES, createRoleManager } from './roles.js';
+import { buildColliders, createWalkController } from './walkMode.js';
+import { createCameraDirector, CAMERA_EASINGS } from './cameraDirector.js';
+import { createVRMode } from './vrMode.js';
+import { createQualityManager, QUALITY_LABELS } from './quality.js';
+import { createRenderStatsOverlay } from './renderStats.js';
+import { assets, ASSET_KIND_LABELS } from './assets.js';
+import { createDayLighting, WEATHER_LABELS } from './dayLighting.js';
+import { disposeClassroom, exportClassroomGLB, loadClassroomGLB } from './classroomGLB.js';
+import {
+  parseRoster, loadRoster, getSeatingRequirements, assignSeats,
+  createNameTag, createPlaceholderStudent
+} from './roster.js';
 
 // --- 1.基础场景初始化 ---
 
 const scene = new THREE.Scene();
 
-// 加载环境纹理
-const textureLoader = new THREE.TextureLoader();
-const envTexture = textureLoader.load('/textures/FullskiesSunset0001_1_L.jpg', (tex) => {
-  tex.mapping = THREE.EquirectangularReflectionMapping;
-  tex.colorSpace = THREE.SRGBColorSpace;
-  scene.background = tex;
-  scene.environment = tex;
-  scene.backgroundBlurriness = 0.05; // 轻微模糊背景突出主体
-});
-
 const camera = new THREE.PerspectiveCamera(
   65, // 增大 FOV 从 45 到 65，获得更宽广的视野
   window.innerWidth / window.innerHeight,
@@ -35,7 +46,7 @@ camera.position.set(0, 1.15, -4.9);
 
 const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
 renderer.setSize(window.innerWidth, window.innerHeight);
-// 限制像素比最大为 2，防止高分屏下过度锐化导致远端闪烁
+// 限制像素比最大为 2，防止高分屏下过度锐化导致远端闪烁（画质预设会按档位再调整，见 quality.js）
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 renderer.outputColorSpace = THREE.SRGBColorSpace;
 renderer.shadowMap.enabled = true;
@@ -56,10 +67,125 @@ controls.enableRotate = false; // 初始锁定状态
 controls.rotateSpeed = 0.5;
 controls.update();
 
-// 锁定的相机坐标 (站在第二排课桌椅处观察教室)
+// 锁定的相机座点：自己的座位（默认第二排中间），选座或切换机位时由 moveCamera 移动
 const fixedCameraPos = new THREE.Vector3(0, 1.2, -4.4);
+// 锁定模式下的观察点（看向黑板）
+const lockedTarget = new THREE.Vector3(0, 1.15, -10);
+// 默认 FOV；锁定模式的 FOV 可由导演视角指定（如老师特写）
+const DEFAULT_FOV = 65;
+// 相机到观察点的默认距离（解锁模式下这个距离对应不缩放）
+const CAMERA_TARGET_DISTANCE = 5;
+let lockedFov = DEFAULT_FOV;
 let isLocked = true; // 视角锁定状态
 
+// 未选座时的默认座位视角（第二排中间）
+const DEFAULT_SEAT_VIEW = { position: [0, 1.2, -4.4], target: [0, 1.15, -10] };
+
+let cameraTween = null; // { from, to, elapsed, duration }
+let cameraPathRun = 0;  // 镜头路径的播放序号，被新的路径或 moveCamera 打断后旧路径不再收尾
+
+// 第一人称漫游（第三种视角模式）：碰撞体随教室重建
+const walk = createWalkController({ camera, domElement: renderer.domElement });
+
+// VR 模式：相机挂到 VR 平台下，进入 VR 时坐到自己的座位；手柄射线停在指向的可交互物体（含黑板）上
+const vr = createVRMode({
+  renderer,
+  scene,
+  camera,
+  getSeatView: () => getOwnSeatView(),
+  pick: raycaster => interaction.raycast(raycaster)?.point.distanceTo(raycaster.ray.origin) ?? null
+});
+
+/**
+ * 平滑移动相机机位（锁定模式的座点、观察点和 FOV；解锁模式下保持当前缩放）
+ * 正在播放的镜头路径会被打断
+ * @param {{ position: Array<number>|THREE.Vector3, target: Array<number>|THREE.Vector3, fov?: number }} view
+ * @param {number} [duration] 过渡秒数，0 为立即切换
+ */
+function moveCamera(view, duration = 0) {
+  if (director.isPlaying()) stopCameraPath();
+  const toVector = v => (Array.isArray(v) ? new THREE.Vector3().fromArray(v) : v.clone());
+  cameraTween = {
+    from: { position: fixedCameraPos.clone(), target: lockedTarget.clone(), fov: lockedFov },
+    to: { position: toVector(view.position), target: toVector(view.target), fov: view.fov ?? DEFAULT_FOV },
+    elapsed: 0,
+    duration
+  };
+  updateCameraTween(0);
+}
+
+/**
+ * 相机当前的视角（观察点取视线方向上 CAMERA_TARGET_DISTANCE 处）
+ * @returns {{ position: THREE.Vector3, target: THREE.Vector3, fov: number }}
+ */
+function getCameraView() {
+  const direction = camera.getWorldDirection(new THREE.Vector3());
+  return {
+    position: camera.position.clone(),
+    target: camera.position.clone().addScaledVector(direction, CAMERA_TARGET_DISTANCE),
+    fov: camera.fov
+  };
+}
+
+// 导演机位：命名视角和镜头路径，保存在 localStorage
+const director = createCameraDirector({ getCurrentView: getCameraView });
+
+/**
+ * 按名称取机位："seat" 为自己的座位，其余见导演机位的视角（内置或保存的）
+ * @param {string} name
+ */
+function resolveCameraView(name) {
+  if (name === 'seat') return getOwnSeatView();
+  const view = director.getViewpoint(name);
+  if (!view) throw new Error(`未知的机位: ${name}`);
+  return view;
+}
+
+/**
+ * 播放镜头路径，结束（或被停止）后相机停在最后的镜头上
+ * @param {string|Array|object} path 见 cameraDirector.js 的 playPath
+ * @param {object} [options]
+ */
+function playCameraPath(path, options) {
+  const run = ++cameraPathRun;
+  walk.exit();
+  return director.playPath(path, options).then(() => {
+    if (run === cameraPathRun) moveCamera(getCameraView(), 0);
+  });
+}
+
+/**
+ * 停止正在播放的镜头路径，相机停在当前镜头上：先把当前镜头记为锁定的座点、观察点和 FOV，
+ * 下一帧不会跳回路径开始前的机位，随后的 moveCamera 也从这里开始过渡
+ */
+function stopCameraPath() {
+  cameraPathRun++;
+  if (!director.isPlaying()) return;
+  const { position, target, fov } = getCameraView();
+  fixedCameraPos.copy(position);
+  lockedTarget.copy(target);
+  lockedFov = fov;
+  cameraTween = null;
+  director.stop();
+}
+
+function updateCameraTween(delta) {
+  if (!cameraTween) return;
+  cameraTween.elapsed += delta;
+  const t = cameraTween.duration > 0 ? Math.min(cameraTween.elapsed / cameraTween.duration, 1) : 1;
+  const k = t * t * (3 - 2 * t); // smoothstep 缓入缓出
+  fixedCameraPos.lerpVectors(cameraTween.from.position, cameraTween.to.position, k);
+  lockedTarget.lerpVectors(cameraTween.from.target, cameraTween.to.target, k);
+  lockedFov = THREE.MathUtils.lerp(cameraTween.from.fov, cameraTween.to.fov, k);
+  if (!isLocked && !walk.isActive()) {
+    // 解锁模式：朝向转到新的观察点，保持与目标的距离（即 FOV 缩放）不变
+    const dist = camera.position.distanceTo(controls.target);
+    camera.position.copy(fixedCameraPos);
+    controls.target.subVectors(lockedTarget, fixedCameraPos).setLength(dist).add(fixedCameraPos);
+  }
+  if (t >= 1) cameraTween = null;
+}
+
 // 灯光设置
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.2); // 大幅降低环境光强度，改用半球光
 scene.add(ambientLight);
@@ -83,7 +209,7 @@ const directionalLight = new THREE.DirectionalLight(0xffffff, 1.2); // 增强主
 directionalLight.position.set(5, 12, 8);
 directionalLight.castShadow = true;
 // 优化阴影质量
-directionalLight.shadow.mapSize.set(4096, 4096); // 提升阴影分辨率
+directionalLight.shadow.mapSize.set(4096, 4096); // 提升阴影分辨率（按画质档位调整）
 directionalLight.shadow.camera.left = -15;
 directionalLight.shadow.camera.right = 15;
 directionalLight.shadow.camera.top = 15;
@@ -93,14 +219,205 @@ directionalLight.shadow.normalBias = 0.02; // 防止阴影条纹
 directionalLight.shadow.radius = 3; // 软阴影模糊半径
 scene.add(directionalLight);
 
+// 时间与天气：按时刻移动主光源、调整上面各光源并给天空全景图染色（代替固定的背景和环境贴图），天暗时开吊灯
+// 在启用 KTX2 之前创建，天空全景图始终加载原图
+const lighting = createDayLighting({
+  scene,
+  assets,
+  lights: { ambient: ambientLight, hemi: hemiLight, fill: fillLight, key: directionalLight }
+});
+scene.backgroundBlurriness = 0.05; // 轻微模糊背景突出主体（天空球按此模糊）
+
 // --- 创建教室背景 ---
-createClassroom(scene);
+// 通过 ?layout=lab 加载 public/layouts/lab.json 中的教室布局，缺省或加载失败时使用默认布局
+const urlParams = new URLSearchParams(window.location.search);
+const layoutName = urlParams.get('layout');
+const layoutReady = layoutName
+  ? loadClassroomLayout(`/layouts/${layoutName}.json`).catch((error) => {
+      assets.reportError({ url: `/layouts/${layoutName}.json`, kind: 'file', error, fallback: '改用默认布局' });
+      return undefined;
+    })
+  : Promise.resolve(undefined);
+
+// 课堂角色：?role=teacher / student / observer；缺省时单机为老师，多人课堂中为学生
+const requestedRole = urlParams.get('role');
+if (requestedRole && !ROLES.includes(requestedRole)) {
+  console.warn(`未知的角色 ${requestedRole}，可用角色为 ${ROLES.join(' / ')}`);
+}
+const roles = createRoleManager(ROLES.includes(requestedRole) ? requestedRole : urlParams.has('room') ? 'student' : 'teacher');
+
+/**
+ * 包装课程脚本接口：调用前检查当前角色的权限
+ * @param {string} permission 见 roles.js 的 PERMISSIONS
+ * @param {Function} fn
+ */
+function withPermission(permission, fn) {
+  return (...args) => {
+    roles.check(permission);
+    return fn(...args);
+  };
+}
+
+let classroom = null;
+let blackboardInput = null;
+let lessonOutline = null; // 当前课程的板书提纲 { left, right }（Markdown）
+let lessonSlides = null;  // 当前课程的一体机课件列表，见 createSmartDisplayController 的 setSlides
+// 黑板书写工具状态：tool 为 null 时不书写
+const chalkState = { tool: null, color: 'white' };
+
+/**
+ * 创建（或按新的座位需求重建）教室
+ * @param {object} [layout] 教室布局
+ * @param {object} [seating] 座位需求，见 getSeatingRequirements
+ * @param {THREE.Group} [prebuilt] 从 GLB 加载的教室（见 classroomGLB.js），给出时不再按布局生成
+ */
+function buildClassroom(layout, seating, prebuilt) {
+  if (classroom) {
+    interaction.unregisterWithin(classroom);
+    classroom.smartDisplay?.dispose();
+    scene.remove(classroom);
+    disposeClassroom(classroom);
+  }
+  if (prebuilt) {
+    classroom = prebuilt;
+    scene.add(classroom);
+  } else {
+    classroom = createClassroom(scene, layout, seating);
+  }
+  walk.setColliders(buildColliders(classroom));
+  // 新教室的吊灯、窗外光源按当前画质开关，按当前时刻和天气调整亮度
+  quality.apply();
+  lighting.setClassroom(classroom);
+
+  // 灯光开关和卷帘：同步控制栏
+  classroom.lamps?.onChange(updateLampSwitches);
+  updateLampSwitches();
+
+  // 重建时保留板书提纲
+  if (lessonOutline && classroom.blackboard) {
+    Object.entries(lessonOutline).forEach(([side, markdown]) => classroom.blackboard.setContent(side, markdown));
+  }
+
+  // 黑板书写输入随教室一起重建
+  blackboardInput?.dispose();
+  blackboardInput = null;
+  if (classroom.blackboard) {
+    blackboardInput = bindBlackboardInput(classroom.blackboard, {
+      camera, domElement: renderer.domElement, controls
+    });
+    applyChalkState();
+  }
+
+  // 一体机：同步控制栏，重建时重新打开课件
+  if (classroom.smartDisplay) {
+    classroom.smartDisplay.onChange(updateDisplayToolbar);
+    if (lessonSlides) classroom.smartDisplay.setSlides(lessonSlides);
+  }
+  updateDisplayToolbar(classroom.smartDisplay?.getState());
+
+  registerClassroomInteractables(classroom);
+  renderSeatMap();
+  return classroom;
+}
+
+// KTX2 压缩贴图：有转换脚本生成的清单时启用，?ktx2=0 可关闭以便对比；需在创建教室前完成
+const compressedTexturesReady = urlParams.get('ktx2') === '0'
+  ? Promise.resolve(0)
+  : assets.enableCompressedTextures(renderer);
+
+// 预先导出的教室：?glb=classroom 加载 public/layouts/classroom.glb，代替按布局生成；加载失败时按布局生成
+const prebuiltName = urlParams.get('glb');
+const prebuiltReady = prebuiltName
+  ? loadClassroomGLB(`/layouts/${prebuiltName}.glb`).catch((error) => {
+      assets.reportError({ url: `/layouts/${prebuiltName}.glb`, kind: 'model', error, fallback: '按布局生成教室' });
+      return undefined;
+    })
+  : Promise.resolve(undefined);
+
+// 教室就绪的 Promise；导入名单重建教室时会被替换
+let classroomReady = Promise.all([layoutReady, compressedTexturesReady, prebuiltReady])
+  .then(([layout, , prebuilt]) => buildClassroom(layout, undefined, prebuilt));
+
+/**
+ * 按当前教室的布局和课桌排列重新生成教室，导出为 GLB 下载
+ * @param {string} [filename]
+ */
+async function exportClassroom(filename = `${layoutName ?? 'classroom'}.glb`) {
+  const current = await classroomReady;
+  const buffer = await exportClassroomGLB(current.userData.layout, {
+    minRows: current.seats.rows,
+    minColumns: current.seats.columns
+  });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([buffer], { type: 'model/gltf-binary' }));
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * 加载课程的板书提纲：public/lessons/<name>/left.md 和 right.md，缺失的一侧保留默认板书
+ * @param {string} name 课程目录名
+ */
+async function loadLessonOutline(name) {
+  const fetchText = async (url) => {
+    const res = await fetch(url);
+    return res.ok ? res.text() : null;
+  };
+  const [left, right] = await Promise.all([
+    fetchText(`/lessons/${name}/left.md`),
+    fetchText(`/lessons/${name}/right.md`)
+  ]);
+  lessonOutline = {};
+  if (left) lessonOutline.left = left;
+  if (right) lessonOutline.right = right;
+
+  const room = await classroomReady;
+  if (room.blackboard) {
+    Object.entries(lessonOutline).forEach(([side, markdown]) => room.blackboard.setContent(side, markdown));
+  }
+}
+
+/**
+ * 加载课程的一体机课件：public/lessons/<name>/slides.json，文件不存在时保留默认画面
+ * （开发服务器对不存在的文件返回 index.html，按 Content-Type 判断，不当作课件解析）
+ * slides.json 为课件数组（或 { "slides": [...] }），每项是图片 / 视频 / PDF 地址，
+ * 或 { type, url, page?, loop?, muted? }
+ * @param {string} name 课程目录名
+ */
+async function loadLessonSlides(name) {
+  // 换课时先清掉上一课的课件，新课没有课件时重建教室也不会再放旧课件
+  lessonSlides = null;
+  const res = await fetch(`/lessons/${name}/slides.json`);
+  if (!res.ok || !res.headers.get('content-type')?.includes('json')) return;
+  const data = await res.json();
+  lessonSlides = Array.isArray(data) ? data : data.slides ?? [];
+
+  const room = await classroomReady;
+  await room.smartDisplay?.setSlides(lessonSlides);
+}
+
+// 通过 ?lesson=ai-intro 加载 public/lessons/ai-intro 下的板书提纲和一体机课件
+const lessonName = urlParams.get('lesson');
+if (lessonName) {
+  loadLessonOutline(lessonName).catch((error) => console.error('加载板书提纲出错:', error));
+  loadLessonSlides(lessonName).catch((error) => console.error('加载一体机课件出错:', error));
+}
 
 // --- 2. VRM 加载逻辑 ---
 
 let teacherVRM = null;
+let teacherAnimator = null;
+const studentAnimators = new Map(); // 学生 VRM -> 动画控制器
+// 老师讲课语音：口型同步、眨眼、视线跟随相机
+const teacherVoice = createLipSync({ lookAtTarget: camera });
 const studentVRMs = [];
-const loader = new GLTFLoader();
+const studentPlaceholders = []; // 没有头像模型的学生占位人偶
+// 学生行为控制器，按座位从前到后、从左到右排列（students[0] 为第一排最左侧）
+const students = [];
+const nameTags = [];
+// 模型加载计入加载界面的进度
+const loader = new GLTFLoader(assets.manager);
 
 // 注册 VRM 插件
 loader.register((parser) => {
@@ -181,38 +498,75 @@ function setSittingPose(vrm, armAngle = 1.2) {
   if (rightLowerArm) rightLowerArm.rotation.y = sign * 0.3;
 }
 
+/**
+ * 学生坐姿：VRM 1.0 模型需要更大的 armAngle 才能让胳膊看起来和 0.x 一样高
+ * @param {VRM} vrm
+ */
+function setStudentSittingPose(vrm) {
+  const isV0 = vrm.meta?.metaVersion === '0';
+  setSittingPose(vrm, isV0 ? 1.2 : 1.30);
+}
+
+// 人物动作清单：public/animations/manifest.json，格式见 avatarAnimation.js 的 loadAnimationManifest
+// 缺失时所有人物使用程序化姿势
+const animationManifestReady = loadAnimationManifest('/animations/manifest.json').catch(() => {
+  console.info('未找到动作清单，使用程序化动画');
+  return {};
+});
+
+/**
+ * 让人物交叉淡入到某个动作（idle / writing / pointing / raiseHand / sitting）
+ * 没有该动作片段时回到程序化姿势
+ * @param {VRM} vrm 老师或学生的 VRM
+ * @param {string} name 动作名
+ * @param {object} [options] 见 createAvatarAnimator 的 play
+ * @returns {boolean} 是否播放了片段
+ */
+function playAvatarAnimation(vrm, name, options) {
+  const animator = vrm === teacherVRM ? teacherAnimator : studentAnimators.get(vrm);
+  return animator ? animator.play(name, options) : false;
+}
+
 /**
  * 通用加载 VRM 模型的函数
  * @param {string} url 模型路径
  * @param {THREE.Vector3} pos 位置
- * @param {number} rotationY 旋转
+ * @param {number} rotationY 旋转（按 VRM 1.0 约定：0 为面向 +Z 即面向学生，Math.PI 为面向黑板）
  * @param {boolean} isTeacher 是否是老师
+ * @returns {Promise<VRM>} 加载完成后的 VRM
  */
 function loadVRM(url, pos = new THREE.Vector3(0, 0.15, -9.0), rotationY = 0, isTeacher = true) {
   console.log('正在加载模型:', url, isTeacher ? '(老师)' : '(学生)');
   
   if (isTeacher && teacherVRM) {
+    interaction.unregisterWithin(teacherVRM.scene);
+    teacherVoice.setVRM(null);
+    teacherAnimator?.dispose();
+    teacherAnimator = null;
     scene.remove(teacherVRM.scene);
     VRMUtils.deepDispose(teacherVRM.scene);
     teacherVRM = null;
   }
 
-  loader.load(
+  return new Promise((resolve, reject) => loader.load(
     url,
     (gltf) => {
       const vrm = gltf.userData.vrm;
       if (isTeacher) {
         teacherVRM = vrm;
+        teacherVoice.setVRM(vrm);
+        interaction.register(vrm.scene, { kind: 'teacher' });
       } else {
         studentVRMs.push(vrm);
       }
       scene.add(vrm.scene);
 
       // 针对 VRM 0.x 的旋转修正：将其统一到 1.0 的 Z-forward 朝向
+      // 之后在此基础上叠加 rotationY，因此调用方无需区分模型版本
       VRMUtils.rotateVRM0(vrm);
 
       vrm.scene.position.copy(pos);
-      vrm.scene.rotation.y = rotationY;
+      vrm.scene.rotation.y += rotationY;
 
       // 贴图优化
       vrm.scene.traverse((obj) => {
@@ -227,38 +581,1014 @@ function loadVRM(url, pos = new THREE.Vector3(0, 0.15, -9.0), rotationY = 0, isT
         }
       });
 
+      const restorePose = isTeacher ? setBasePose : setStudentSittingPose;
+      restorePose(vrm);
+
+      // 动画片段：清单中配置了动作时播放，否则保持程序化待机
+      // 学生的程序化动作和片段切换由学生行为（studentBehavior.js）负责
+      const animator = createAvatarAnimator(vrm, {
+        fallback: isTeacher ? applyIdleAnimation : undefined,
+        restorePose
+      });
       if (isTeacher) {
-        setBasePose(vrm);
+        teacherAnimator = animator;
+        animationManifestReady.then(async (manifest) => {
+          await animator.loadClips(manifest.teacher);
+          animator.play('idle');
+        });
       } else {
-        // VRM 1.0 模型需要更大的 armAngle 才能让胳膊看起来和 0.x 一样高
-        const isV0 = vrm.meta?.metaVersion === '0';
-        setSittingPose(vrm, isV0 ? 1.2 : 1.30
-        );
+        studentAnimators.set(vrm, animator);
+        animationManifestReady.then(manifest => animator.loadClips(manifest.student));
       }
       console.log('模型加载成功:', url);
+      resolve(vrm);
     },
     undefined,
-    (error) => console.error('加载出错:', error)
-  );
+    // 先记入错误列表（LoadingManager 随后收到同一地址的失败时不再重复记录），
+    // 替代方案由调用方决定，再次 reportError 只补充说明
+    (error) => {
+      assets.reportError({ url, kind: 'model', error });
+      reject(error);
+    }
+  ));
+}
+
+// 名牌高出坐姿根节点的距离（约在头顶上方）
+const NAME_TAG_HEIGHT = 0.95;
+
+/**
+ * 在座位上放置占位人偶
+ * @param {object} seat
+ */
+function seatPlaceholder(seat) {
+  const placeholder = createPlaceholderStudent();
+  placeholder.position.copy(seat.position);
+  placeholder.rotation.y = seat.facing;
+  scene.add(placeholder);
+  studentPlaceholders.push(placeholder);
+  return placeholder;
+}
+
+/**
+ * 移除一位学生（VRM 或占位人偶）并释放资源
+ * @param {VRM|THREE.Object3D} student
+ */
+function removeStudent(student) {
+  const object = student.scene ?? student;
+  interaction.unregisterWithin(object);
+  studentAnimators.get(student)?.dispose();
+  studentAnimators.delete(student);
+  const behaviorIndex = students.findIndex(s => s.student === student);
+  if (behaviorIndex !== -1) students.splice(behaviorIndex, 1);
+  scene.remove(object);
+  VRMUtils.deepDispose(object);
+  [studentVRMs, studentPlaceholders].forEach((list) => {
+    const i = list.indexOf(student);
+    if (i !== -1) list.splice(i, 1);
+  });
+}
+
+/**
+ * 清空教室中所有学生和名牌
+ */
+function clearStudents() {
+  // 其他在线用户的头像不属于名单，由多人课堂单独管理
+  [...studentVRMs, ...studentPlaceholders].filter(s => !isRemoteAvatar(s)).forEach(removeStudent);
+  nameTags.forEach((tag) => {
+    scene.remove(tag);
+    tag.material.map.dispose();
+    tag.material.dispose();
+  });
+  nameTags.length = 0;
+}
+
+// 全班的关注点：学生的视线跟随它，每帧移动到老师头部或一体机屏幕
+const classFocus = new THREE.Object3D();
+classFocus.name = 'classFocus';
+scene.add(classFocus);
+let classFocusMode = 'teacher';
+// 没有老师模型时的默认关注点（讲台上方）
+const DEFAULT_FOCUS_POSITION = new THREE.Vector3(0, 1.5, -9.0);
+
+/**
+ * 设置全班看向哪里
+ * @param {'teacher'|'display'} mode
+ */
+function setClassFocus(mode) {
+  if (mode !== 'teacher' && mode !== 'display') {
+    throw new Error(`未知的关注点: ${mode}，可用值为 teacher / display`);
+  }
+  classFocusMode = mode;
+}
+
+function updateClassFocus() {
+  const screen = classroom?.smartDisplay?.screen;
+  const head = teacherVRM?.humanoid.getNormalizedBoneNode('head');
+  if (classFocusMode === 'display' && screen) {
+    screen.getWorldPosition(classFocus.position);
+  } else if (head) {
+    head.getWorldPosition(classFocus.position);
+  } else {
+    classFocus.position.copy(DEFAULT_FOCUS_POSITION);
+  }
+}
+
+/**
+ * 让学生坐到指定座位：按座位注册表中的位置和朝向加载 VRM 并摆出坐姿
+ * @param {string|null} vrmUrl 模型路径，为空时放置占位人偶
+ * @param {number} row 排（0 为第一排）
+ * @param {number} col 列（0 为面向黑板时最左侧）
+ * @param {string} [name] 学生姓名，给出时在头顶显示名牌
+ * @returns {Promise<VRM|THREE.Object3D|null>} 学生模型；加载期间教室被重建时为 null
+ */
+async function seatStudent(vrmUrl, row, col, name) {
+  const room = await classroomReady;
+  const seat = room.seats.get(row, col);
+  if (!seat) {
+    throw new Error(`座位不存在: 第 ${row + 1} 排第 ${col + 1} 列`);
+  }
+  if (seat.occupant) {
+    throw new Error(`座位已有人: 第 ${row + 1} 排第 ${col + 1} 列`);
+  }
+  const student = vrmUrl
+    ? await loadVRM(vrmUrl, seat.position, seat.facing, false)
+    : seatPlaceholder(seat);
+
+  // 加载期间导入了新名单，教室已重建，丢弃这位学生
+  if (room !== classroom) {
+    removeStudent(student);
+    return null;
+  }
+  seat.occupant = student;
+  renderSeatMap();
+  interaction.register(student.scene ?? student, {
+    kind: 'student',
+    id: name ?? `${row + 1}-${col + 1}`,
+    data: { name: name ?? null, row, col }
+  });
+
+  const behavior = createStudentBehavior(student, {
+    name: name ?? '',
+    row,
+    col,
+    animator: studentAnimators.get(student) ?? null,
+    focusTarget: classFocus
+  });
+  const insertAt = students.findIndex(s => s.row > row || (s.row === row && s.col > col));
+  students.splice(insertAt === -1 ? students.length : insertAt, 0, behavior);
+
+  if (name) {
+    const tag = createNameTag(name);
+    tag.position.copy(seat.position);
+    tag.position.y += NAME_TAG_HEIGHT;
+    scene.add(tag);
+    nameTags.push(tag);
+  }
+  return student;
+}
+
+/**
+ * 按班级名单重建课桌椅并让所有学生入座；头像加载失败的学生改用占位人偶
+ * @param {Array<object>} roster 见 roster.js
+ */
+function populateClassroom(roster) {
+  classroomReady = classroomReady.then((current) => {
+    clearStudents();
+    const room = buildClassroom(current.userData.layout, getSeatingRequirements(roster));
+    // 课桌椅重建后，其他在线用户按新的座位重新入座
+    reseatRemoteAvatars();
+    return room;
+  });
+  return classroomReady.then((room) => Promise.all(
+    assignSeats(roster, room.seats).map(({ student, seat }) =>
+      seatStudentWithFallback(student.avatar, seat.row, seat.col, student.name)
+    )
+  ));
+}
+
+/**
+ * 让学生入座，头像加载失败时改用占位人偶，并记入资源错误列表
+ * 参数同 seatStudent
+ */
+function seatStudentWithFallback(vrmUrl, row, col, name) {
+  return seatStudent(vrmUrl, row, col, name).catch((error) => {
+    if (!vrmUrl) throw error;
+    const who = name ?? `第 ${row + 1} 排第 ${col + 1} 列的学生`;
+    assets.reportError({ url: vrmUrl, kind: 'model', error, fallback: `${who}改用占位人偶` });
+    return seatStudent(null, row, col, name);
+  });
 }
 
 // --- 3. UI 交互绑定 ---
 
-// 切换模型（仅切换老师）
+// 老师站在讲台上的位置
+const TEACHER_POSITION = new THREE.Vector3(0, 0.25, -9.0);
+let teacherModelUrl = null; // 当前老师形象的模型地址
+
+// 默认老师形象，其他形象加载失败时改用它
+const DEFAULT_TEACHER_MODEL = '/models/AliciaSolid_vrm-0.51.vrm';
+
+/**
+ * 更换老师形象
+ * @param {string} url 模型路径
+ */
+function loadTeacher(url) {
+  teacherModelUrl = url;
+  return loadVRM(url, TEACHER_POSITION, 0, true).catch((error) => {
+    // 加载期间又换了形象时不再回退
+    if (url === DEFAULT_TEACHER_MODEL || teacherModelUrl !== url) {
+      assets.reportError({ url, kind: 'model', error });
+      throw error;
+    }
+    assets.reportError({ url, kind: 'model', error, fallback: '改用默认老师形象' });
+    return loadTeacher(DEFAULT_TEACHER_MODEL);
+  });
+}
+
+// 切换模型：老师切换讲台上的老师形象（多人课堂中同步给所有人），学生切换自己座位上的头像
 const selector = document.getElementById('model-selector');
 if (selector) {
   selector.addEventListener('change', (event) => {
-    loadVRM(event.target.value, new THREE.Vector3(0, 0.25, -9.0), 0, true);
+    const model = event.target.value;
+    if (roles.can('changeTeacherModel')) {
+      loadTeacher(model).catch(() => {});
+      multiplayer?.setState({ model });
+    } else if (roles.can('chooseAvatar')) {
+      multiplayer?.setState({ model });
+    }
+  });
+}
+
+/**
+ * 让老师讲一段话：播放音频并同步口型
+ * @param {string|Blob|ArrayBuffer|AudioBuffer} source 讲课音频地址、文件或 TTS 返回的音频
+ * @returns {Promise<void>} 播放结束时完成
+ */
+function teacherSpeak(source) {
+  return teacherVoice.speak(source);
+}
+
+// 播放讲课音频
+const lectureInput = document.getElementById('lecture-input');
+if (lectureInput) {
+  lectureInput.addEventListener('change', (event) => {
+    const file = event.target.files[0];
+    if (!file || !roles.can('controlTeacher')) return;
+    teacherSpeak(file).catch((error) => console.error('讲课音频播放失败:', error));
+  });
+}
+document.getElementById('lecture-stop')?.addEventListener('click', () => {
+  if (roles.can('controlTeacher')) teacherVoice.stop();
+});
+
+// 老师动作
+const teacherActionSelect = document.getElementById('teacher-action');
+if (teacherActionSelect) {
+  teacherActionSelect.addEventListener('change', (event) => {
+    if (!teacherVRM || !roles.can('controlTeacher')) return;
+    const name = event.target.value;
+    if (!playAvatarAnimation(teacherVRM, name, { returnTo: 'idle' })) {
+      console.info('没有该动作片段，保持程序化姿势:', name);
+    }
+  });
+}
+
+// 导入班级名单（CSV / JSON）
+const rosterInput = document.getElementById('roster-input');
+if (rosterInput) {
+  rosterInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file || !roles.can('manageStudents')) return;
+    try {
+      await populateClassroom(parseRoster(await file.text(), file.name));
+    } catch (error) {
+      console.error('导入名单出错:', error);
+    }
   });
 }
 
+// 黑板书写工具栏
+const chalkToolButtons = document.querySelectorAll('#chalk-toolbar .chalk-tool');
+const chalkColorButtons = document.querySelectorAll('#chalk-toolbar .chalk-color');
+
+/**
+ * 把工具栏状态同步到黑板和按钮样式
+ */
+function applyChalkState() {
+  // 漫游时不能书写（指针锁定后无法定位粉笔）；VR 中用手柄书写，不用桌面的书写模式
+  if (!roles.can('writeBoard') || walk.isActive() || vr.isPresenting()) chalkState.tool = null;
+  if (classroom?.blackboard) {
+    if (chalkState.tool) classroom.blackboard.setTool(chalkState.tool);
+    classroom.blackboard.setColor(chalkState.color);
+  }
+  // 书写时暂停场景交互（先于黑板输入切换，以免悬停结束时清掉粉笔光标）
+  interaction.setEnabled(chalkState.tool === null);
+  blackboardInput?.setEnabled(chalkState.tool !== null);
+  chalkToolButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.tool === chalkState.tool));
+  chalkColorButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.color === chalkState.color));
+}
+
+chalkToolButtons.forEach((btn) => {
+  btn.addEventListener('click', () => {
+    if (!roles.can('writeBoard')) return;
+    // 再次点击当前工具则退出书写
+    chalkState.tool = chalkState.tool === btn.dataset.tool ? null : btn.dataset.tool;
+    applyChalkState();
+  });
+});
+chalkColorButtons.forEach((btn) => {
+  btn.addEventListener('click', () => {
+    if (!roles.can('writeBoard')) return;
+    chalkState.color = btn.dataset.color;
+    chalkState.tool = 'chalk'; // 选颜色即拿起粉笔
+    applyChalkState();
+  });
+});
+/**
+ * 绑定工具栏按钮：当前角色有权限时才执行
+ * @param {string} id 按钮 id
+ * @param {string} permission
+ * @param {() => void} action
+ */
+function bindGuardedButton(id, permission, action) {
+  document.getElementById(id)?.addEventListener('click', () => {
+    if (roles.can(permission)) action();
+  });
+}
+
+bindGuardedButton('chalk-undo', 'writeBoard', () => classroom?.blackboard?.undo());
+bindGuardedButton('chalk-clear', 'writeBoard', () => classroom?.blackboard?.clear());
+bindGuardedButton('board-prev', 'writeBoard', () => classroom?.blackboard?.prevPage());
+bindGuardedButton('board-next', 'writeBoard', () => classroom?.blackboard?.nextPage());
+
+// 一体机控制栏
+const displayPage = document.getElementById('display-page');
+const displayPlayBtn = document.getElementById('display-play');
+const displayShareBtn = document.getElementById('display-share');
+
+/**
+ * 把一体机状态同步到控制栏
+ * @param {object} [state] smartDisplay.getState() 的结果
+ */
+function updateDisplayToolbar(state) {
+  if (displayPage) {
+    displayPage.textContent = state && state.count > 0 ? `${Math.max(state.index, 0) + 1} / ${state.count}` : '-';
+  }
+  if (displayPlayBtn) {
+    displayPlayBtn.disabled = state?.type !== 'video';
+    displayPlayBtn.textContent = state?.playing ? '暂停' : '播放';
+  }
+  if (displayShareBtn) {
+    displayShareBtn.textContent = state?.type === 'mirror' ? '结束共享' : '共享屏幕';
+  }
+}
+
+bindGuardedButton('display-prev', 'controlDisplay', () => classroom?.smartDisplay?.prev());
+bindGuardedButton('display-next', 'controlDisplay', () => classroom?.smartDisplay?.next());
+bindGuardedButton('display-play', 'controlDisplay', () => classroom?.smartDisplay?.togglePlay());
+bindGuardedButton('display-share', 'controlDisplay', () => {
+  const display = classroom?.smartDisplay;
+  if (!display) return;
+  if (display.getState().type === 'mirror') {
+    display.stopMirror();
+  } else {
+    display.shareScreen().catch((error) => console.warn('屏幕共享未开始:', error));
+  }
+});
+
+// 灯光和卷帘控制栏：每排吊灯一个开关按钮，卷帘统一收起 / 半放 / 放下（单扇卷帘可在场景中点击）
+const lampSwitches = document.getElementById('lamp-switches');
+
+function updateLampSwitches() {
+  if (!lampSwitches) return;
+  lampSwitches.innerHTML = '';
+  const lamps = classroom?.lamps;
+  lamps?.getState().rows.forEach((on, row) => {
+    const button = document.createElement('button');
+    button.textContent = `${row + 1}排${on ? '开' : '关'}`;
+    button.title = row === 0 ? '第 1 排吊灯（靠黑板）' : `第 ${row + 1} 排吊灯`;
+    button.setAttribute('aria-pressed', String(on));
+    button.addEventListener('click', () => roles.can('controlRoom') && lamps.toggleRow(row));
+    lampSwitches.appendChild(button);
+  });
+}
+
+bindGuardedButton('blinds-up', 'controlRoom', () => classroom?.blinds?.setAll(0));
+bindGuardedButton('blinds-half', 'controlRoom', () => classroom?.blinds?.setAll(0.5));
+bindGuardedButton('blinds-down', 'controlRoom', () => classroom?.blinds?.setAll(1));
+
+// 一体机快捷键：PageDown / → 下一页，PageUp / ← 上一页，空格播放 / 暂停视频
+window.addEventListener('keydown', (event) => {
+  const display = classroom?.smartDisplay;
+  if (!display || !roles.can('controlDisplay') || event.target.closest?.('input, select, textarea')) return;
+  if (event.key === 'PageDown' || event.key === 'ArrowRight') {
+    display.next();
+  } else if (event.key === 'PageUp' || event.key === 'ArrowLeft') {
+    display.prev();
+  } else if (event.key === ' ' && display.getState().type === 'video') {
+    display.togglePlay();
+  } else {
+    return;
+  }
+  event.preventDefault();
+});
+
+// --- 多人课堂 ---
+// 通过 ?room=demo 进入多人课堂（先运行 npm run relay），可选 ?name= 显示名、?server= 中继地址
+// 每位在线用户坐在一个座位上，其他人看到其选择的头像和头部朝向
+
+const roomId = urlParams.get('room');
+// 中继默认端口，与 server/relay.js 一致
+const RELAY_PORT = 8787;
+// 其他用户的头部朝向相对身体的最大转角（弧度），超出部分视为转身，不再扭头
+const REMOTE_HEAD_MAX_YAW = 1.2;
+const REMOTE_HEAD_MAX_PITCH = 0.6;
+// 头部转动在颈部和头部之间的分配
+const REMOTE_NECK_SHARE = 0.4;
+
+const multiplayer = roomId
+  ? createMultiplayerSession({
+      url: urlParams.get('server') ?? `ws://${window.location.hostname}:${RELAY_PORT}`,
+      room: roomId,
+      state: { name: urlParams.get('name') ?? '', role: roles.getRole(), model: selector?.value ?? null, seat: null }
+    })
+  : null;
+const remoteAvatars = new Map(); // 用户 id -> { avatar, seat, model, bones, tag, loading }
+const multiplayerStatus = document.getElementById('multiplayer-status');
+
+function isRemoteAvatar(student) {
+  return [...remoteAvatars.values()].some(entry => entry.avatar === student);
+}
+
+const seatKey = seat => (seat ? seat.join('-') : '');
+
+/**
+ * 为本地用户选一个空座位：跳过名单学生和其他在线用户占用的座位，按从前到后、从左到右
+ * @returns {Array<number>|null} [row, col]
+ */
+function pickFreeSeat() {
+  if (!classroom || !multiplayer) return null;
+  // 优先用自己选过的座位
+  const own = ownSeat && classroom.seats.get(ownSeat.row, ownSeat.col);
+  if (own && !isSeatTaken(own)) return [own.row, own.col];
+  const seat = [...classroom.seats.list]
+    .sort((a, b) => a.row - b.row || a.col - b.col)
+    .find(s => !isSeatTaken(s));
+  return seat ? [seat.row, seat.col] : null;
+}
+
+/**
+ * 确认本地用户的座位：只有学生入座；没有座位，或与先进房间的人（id 更小）冲突时重新选座
+ */
+function claimLocalSeat() {
+  if (!multiplayer?.isConnected()) return;
+  const mine = multiplayer.getState().seat;
+  if (roles.getRole() !== 'student') {
+    if (mine) multiplayer.setState({ seat: null });
+    return;
+  }
+  const selfId = multiplayer.getId();
+  const seat = mine && classroom?.seats.get(mine[0], mine[1]);
+  const conflict = seat && multiplayer.getPeers().some(peer => peer.id < selfId && seatKey(peer.state.seat) === seatKey(mine));
+  if (seat && !seat.occupant && !conflict) return;
+  const next = pickFreeSeat();
+  if (seatKey(next) !== seatKey(mine)) multiplayer.setState({ seat: next });
+  // 视角跟随分到的座位
+  if (next && seatKey(next) !== seatKey(ownSeat && [ownSeat.row, ownSeat.col])) applyOwnSeat(next[0], next[1]);
+}
+
+function removeRemoteAvatar(id) {
+  const entry = remoteAvatars.get(id);
+  if (!entry) return;
+  remoteAvatars.delete(id);
+  if (entry.avatar) removeStudent(entry.avatar);
+  if (entry.tag) {
+    scene.remove(entry.tag);
+    entry.tag.material.map.dispose();
+    entry.tag.material.dispose();
+  }
+}
+
+// 记录头像的颈部 / 头部骨骼及其坐姿下的初始旋转
+function collectHeadBones(avatar) {
+  const bones = [];
+  if (avatar.humanoid) {
+    [['neck', REMOTE_NECK_SHARE], ['head', 1 - REMOTE_NECK_SHARE]].forEach(([name, share]) => {
+      const node = avatar.humanoid.getNormalizedBoneNode(name);
+      if (node) bones.push({ node, share, base: node.rotation.clone() });
+    });
+  } else {
+    const head = avatar.getObjectByName('head');
+    if (head) bones.push({ node: head, share: 1, base: head.rotation.clone() });
+  }
+  return bones;
+}
+
+/**
+ * 按其他用户的状态摆放其头像：座位或模型变化时重新加载
+ * @param {object} peer
+ */
+async function syncRemoteAvatar(peer) {
+  const current = remoteAvatars.get(peer.id);
+  const model = peer.state.model ?? null;
+  const seatId = seatKey(peer.state.seat);
+  if (current && current.model === model && current.seatId === seatId) return;
+
+  const room = await classroomReady;
+  removeRemoteAvatar(peer.id);
+  const seat = peer.state.seat && room.seats.get(peer.state.seat[0], peer.state.seat[1]);
+  if (!seat) return;
+  const entry = { avatar: null, model, seatId, seat, bones: [], tag: null };
+  remoteAvatars.set(peer.id, entry);
+
+  let avatar = null;
+  if (model) {
+    avatar = await loadVRM(model, seat.position, seat.facing, false).catch((error) => {
+      assets.reportError({ url: model, kind: 'model', error, fallback: `在线用户${peer.state.name ?? ''}改用占位人偶` });
+      return null;
+    });
+  }
+  // 加载期间对方离开、换了座位或模型，或教室已重建
+  if (remoteAvatars.get(peer.id) !== entry || room !== classroom) {
+    if (avatar) removeStudent(avatar);
+    return;
+  }
+  entry.avatar = avatar ?? seatPlaceholder(seat);
+  entry.bones = collectHeadBones(entry.avatar);
+  interaction.register(entry.avatar.scene ?? entry.avatar, {
+    kind: 'participant',
+    id: String(peer.id),
+    data: { name: peer.state.name ?? '', seat: peer.state.seat }
+  });
+  if (peer.state.name) {
+    entry.tag = createNameTag(peer.state.name);
+    entry.tag.position.copy(seat.position);
+    entry.tag.position.y += NAME_TAG_HEIGHT;
+    scene.add(entry.tag);
+  }
+}
+
+// --- 选座视角 ---
+// 点击椅子或座位图坐到任意座位，锁定模式和“恢复视角”都以自己的座位为座点
+
+// 坐下时眼睛的高度（即原先固定座点的高度）
+const SEATED_EYE_HEIGHT = 1.2;
+// 座位视角看向前墙（黑板）中央的高度
+const SEAT_VIEW_TARGET_Y = 1.15;
+// 换座时相机过渡的秒数
+const SEAT_MOVE_DURATION = 1.2;
+
+let ownSeat = null; // 本地用户的座位 { row, col }；未选座时使用 DEFAULT_SEAT_VIEW
+const seatMap = document.getElementById('seat-map');
+
+/**
+ * 某个座位的视角：眼睛在椅子上方，看向黑板中央
+ * @param {object} seat 座位注册表中的座位
+ */
+function getSeatView(seat) {
+  const depth = classroom.userData.layout.room.depth;
+  return {
+    position: new THREE.Vector3(seat.position.x, SEATED_EYE_HEIGHT, seat.position.z),
+    target: new THREE.Vector3(0, SEAT_VIEW_TARGET_Y, -depth)
+  };
+}
+
+/** 自己座位的视角（座位在教室重建后不存在时回到默认座位） */
+function getOwnSeatView() {
+  const seat = ownSeat && classroom?.seats.get(ownSeat.row, ownSeat.col);
+  return seat ? getSeatView(seat) : DEFAULT_SEAT_VIEW;
+}
+
+/** 座位上是否已有名单学生或其他在线用户 */
+function isSeatTaken(seat) {
+  if (seat.occupant) return true;
+  return !!multiplayer?.getPeers().some(peer => seatKey(peer.state.seat) === seatKey([seat.row, seat.col]));
+}
+
+// 记录自己的座位并把相机移过去（不检查是否有人）
+function applyOwnSeat(row, col, duration = SEAT_MOVE_DURATION) {
+  const seat = classroom?.seats.get(row, col);
+  if (!seat) return;
+  ownSeat = { row, col };
+  walk.exit();
+  moveCamera(getSeatView(seat), duration);
+  // VR 中直接把平台移到新座位
+  if (vr.isPresenting()) vr.recenter();
+  renderSeatMap();
+}
+
+/**
+ * 坐到指定座位；多人课堂中的学生同时在该座位入座
+ * @param {number} row 排（0 为第一排）
+ * @param {number} col 列（0 为面向黑板时最左侧）
+ * @param {object} [options]
+ * @param {number} [options.duration] 相机过渡秒数
+ */
+function sitAt(row, col, { duration = SEAT_MOVE_DURATION } = {}) {
+  const seat = classroom?.seats.get(row, col);
+  if (!seat) {
+    throw new Error(`座位不存在: 第 ${row + 1} 排第 ${col + 1} 列`);
+  }
+  if (isSeatTaken(seat)) {
+    throw new Error(`座位已有人: 第 ${row + 1} 排第 ${col + 1} 列`);
+  }
+  if (multiplayer?.isConnected() && roles.getRole() === 'student') {
+    multiplayer.setState({ seat: [row, col] });
+    updateMultiplayerStatus();
+  }
+  applyOwnSeat(row, col, duration);
+}
+
+// 界面上的选座：有人的座位只提示，不报错
+function trySitAt(row, col) {
+  try {
+    sitAt(row, col);
+  } catch (error) {
+    console.warn(error.message);
+  }
+}
+
+/**
+ * 重绘座位图：上方为讲台，自己的座位高亮，有人的座位不可选
+ */
+function renderSeatMap() {
+  if (!seatMap) return;
+  seatMap.replaceChildren();
+  const seats = classroom?.seats;
+  if (!seats) return;
+  seatMap.style.gridTemplateColumns = `repeat(${seats.columns}, 1fr)`;
+  for (let row = 0; row < seats.rows; row++) {
+    for (let col = 0; col < seats.columns; col++) {
+      const seat = seats.get(row, col);
+      const cell = document.createElement(seat ? 'button' : 'span');
+      cell.className = 'seat-cell';
+      if (seat) {
+        const taken = isSeatTaken(seat);
+        cell.title = `第 ${row + 1} 排第 ${col + 1} 列${taken ? '（有人）' : ''}`;
+        cell.disabled = taken;
+        cell.classList.toggle('own', ownSeat?.row === row && ownSeat?.col === col);
+        cell.addEventListener('click', () => trySitAt(row, col));
+      }
+      seatMap.appendChild(cell);
+    }
+  }
+}
+
+/**
+ * 讲台上的老师形象跟随房间里的老师（有多位老师时以先进房间的为准）；本地是老师时由自己选择
+ */
+function syncLecturer() {
+  if (!multiplayer || roles.getRole() === 'teacher') return;
+  const teacher = multiplayer.getPeers()
+    .filter(peer => peer.state.role === 'teacher' && peer.state.model)
+    .sort((a, b) => a.id - b.id)[0];
+  if (teacher && teacher.state.model !== teacherModelUrl) {
+    loadTeacher(teacher.state.model).catch(() => {});
+  }
+}
+
+/**
+ * 教室重建后让所有在线用户重新入座
+ */
+function reseatRemoteAvatars() {
+  if (!multiplayer) return;
+  [...remoteAvatars.keys()].forEach(removeRemoteAvatar);
+  claimLocalSeat();
+  multiplayer.getPeers().forEach(peer => syncRemoteAvatar(peer));
+}
+
+/**
+ * 把其他用户的视线（世界坐标系偏航 / 俯仰）换算为相对身体的转头，叠加到坐姿上
+ */
+function updateRemoteHeads() {
+  remoteAvatars.forEach((entry, id) => {
+    const peer = multiplayer.getPeer(id);
+    if (!peer || entry.bones.length === 0) return;
+    const relativeYaw = Math.atan2(Math.sin(peer.head.yaw - entry.seat.facing), Math.cos(peer.head.yaw - entry.seat.facing));
+    const yaw = THREE.MathUtils.clamp(relativeYaw, -REMOTE_HEAD_MAX_YAW, REMOTE_HEAD_MAX_YAW);
+    const pitch = THREE.MathUtils.clamp(peer.head.pitch, -REMOTE_HEAD_MAX_PITCH, REMOTE_HEAD_MAX_PITCH);
+    // 绕 x 轴正转为低头；VRM 0.x 的规范化骨骼 x 轴方向相反
+    const flip = entry.avatar.meta?.metaVersion === '0' ? -1 : 1;
+    entry.bones.forEach(({ node, share, base }) => {
+      node.rotation.set(base.x - pitch * share * flip, base.y + yaw * share, base.z);
+    });
+  });
+}
+
+function updateMultiplayerStatus() {
+  if (!multiplayerStatus) return;
+  multiplayerStatus.parentElement.hidden = !multiplayer;
+  if (!multiplayer) return;
+  const seat = multiplayer.getState().seat;
+  multiplayerStatus.textContent = multiplayer.isConnected()
+    ? `房间 ${roomId} · ${roles.getRoleLabel()} · 在线 ${multiplayer.getPeers().length + 1} 人${seat ? ` · 第 ${seat[0] + 1} 排第 ${seat[1] + 1} 列` : ''}`
+    : `房间 ${roomId} · 正在连接…`;
+}
+
+if (multiplayer) {
+  multiplayer.events.on('connected', async () => {
+    await classroomReady;
+    claimLocalSeat();
+    updateMultiplayerStatus();
+    renderSeatMap();
+  });
+  multiplayer.events.on('disconnected', () => {
+    updateMultiplayerStatus();
+    renderSeatMap();
+  });
+  multiplayer.events.on('peerjoin', (peer) => {
+    syncRemoteAvatar(peer);
+    syncLecturer();
+    claimLocalSeat();
+    updateMultiplayerStatus();
+    renderSeatMap();
+  });
+  multiplayer.events.on('peerupdate', (peer) => {
+    syncRemoteAvatar(peer);
+    syncLecturer();
+    claimLocalSeat();
+    updateMultiplayerStatus();
+    renderSeatMap();
+  });
+  multiplayer.events.on('peerleave', (peer) => {
+    removeRemoteAvatar(peer.id);
+    updateMultiplayerStatus();
+    renderSeatMap();
+  });
+  multiplayer.connect();
+}
+updateMultiplayerStatus();
+
+// --- 课程时间轴 ---
+
+// 学生提示可调用的动作
+const STUDENT_CUE_ACTIONS = ['raiseHand', 'lowerHand', 'writeNotes', 'lookAround', 'doze', 'attend', 'resume'];
+
+/**
+ * 按提示中的 index / name 找到学生：index 可以是数字、数组或 "all"
+ * @param {object} cue
+ */
+function findCueStudents(cue) {
+  if (cue.index === 'all') return [...students];
+  if (cue.name !== undefined) return students.filter(s => s.name === cue.name);
+  const indices = Array.isArray(cue.index) ? cue.index : [cue.index];
+  return indices.map(i => students[i]).filter(Boolean);
+}
+
+const lessonTimeline = createLessonTimeline({
+  handlers: {
+    // { "action": "slide", "index": 0 } 一体机翻到指定页
+    slide: {
+      stateKey: () => 'slide',
+      reset: () => classroom?.smartDisplay?.goTo(0),
+      run: cue => classroom?.smartDisplay?.goTo(cue.index ?? 0)
+    },
+    // { "action": "speak", "audio": "/lessons/x/intro.mp3" } 老师讲话
+    speak: {
+      run: cue => teacherSpeak(cue.audio)
+    },
+    // { "action": "board", "side": "left", "markdown" | "url" | "page" | "clear" } 板书
+    board: {
+      stateKey: cue => `board:${cue.side ?? 'left'}`,
+      // 两侧恢复为课程提纲（没有提纲时为默认板书）
+      reset: () => {
+        const board = classroom?.blackboard;
+        if (!board) return;
+        ['left', 'right'].forEach(side => board.setContent(side, lessonOutline?.[side] ?? null));
+      },
+      run: async (cue) => {
+        const board = classroom?.blackboard;
+        if (!board) return;
+        const side = cue.side ?? 'left';
+        if (cue.clear) board.clear(side);
+        if (cue.markdown !== undefined) board.setContent(side, cue.markdown);
+        if (cue.url) await board.loadContent(side, cue.url);
+        if (cue.page !== undefined) board.setPage(side, cue.page);
+      }
+    },
+    // { "action": "student", "index": 2 | [1, 2] | "all", "name"?, "do": "raiseHand", "duration"? }
+    student: {
+      run: (cue) => {
+        if (!STUDENT_CUE_ACTIONS.includes(cue.do)) {
+          throw new Error(`未知的学生动作: ${cue.do}`);
+        }
+        findCueStudents(cue).forEach(student => student[cue.do](cue.duration));
+      }
+    },
+    // { "action": "teacher", "animation": "pointing", "returnTo"? } 老师动作
+    teacher: {
+      run: cue => teacherVRM && playAvatarAnimation(teacherVRM, cue.animation, { returnTo: cue.returnTo })
+    },
+    // { "action": "focus", "target": "teacher" | "display" } 全班看向哪里
+    focus: {
+      stateKey: () => 'focus',
+      reset: () => setClassFocus('teacher'),
+      run: cue => setClassFocus(cue.target)
+    },
+    // { "action": "camera", "view": "front" | "position": [...], "target": [...], "fov"?, "duration"? } 相机机位
+    camera: {
+      stateKey: () => 'camera',
+      reset: () => moveCamera(getOwnSeatView(), 0),
+      run: (cue, { seeking }) => {
+        const view = cue.view ? resolveCameraView(cue.view) : cue;
+        if (!view?.position || !view?.target) {
+          throw new Error(`未知的机位: ${JSON.stringify(cue)}`);
+        }
+        moveCamera(view, seeking ? 0 : cue.duration ?? 0);
+      }
+    },
+    // { "action": "lights", "on": false, "row"?: 0 } 开关吊灯，不写 row 时开关全部（第 0 排靠黑板）
+    lights: {
+      stateKey: cue => `lights:${cue.row ?? 'all'}`,
+      reset: () => classroom?.lamps?.setAll(true, { immediate: true }),
+      run: (cue, { seeking }) => {
+        const lamps = classroom?.lamps;
+        if (!lamps) return;
+        const on = cue.on !== false;
+        if (cue.row === undefined) lamps.setAll(on, { immediate: seeking });
+        else lamps.setRow(cue.row, on, { immediate: seeking });
+      }
+    },
+    // { "action": "blinds", "closed": 1 | 0.5 | 0, "index"?: 0 } 放下 / 收起卷帘，不写 index 时所有窗户（第 0 扇靠后墙）
+    blinds: {
+      stateKey: cue => `blinds:${cue.index ?? 'all'}`,
+      reset: () => classroom?.blinds?.setAll(0, { immediate: true }),
+      run: (cue, { seeking }) => {
+        const blinds = classroom?.blinds;
+        if (!blinds) return;
+        const closed = cue.closed ?? 1;
+        if (cue.index === undefined) blinds.setAll(closed, { immediate: seeking });
+        else blinds.setBlind(cue.index, closed, { immediate: seeking });
+      }
+    },
+    // { "action": "cameraPath", "path": "开场" | ["back", "windowSide", "front"], "duration"?, "easing"? } 镜头路径
+    cameraPath: {
+      stateKey: () => 'camera',
+      reset: () => moveCamera(getOwnSeatView(), 0),
+      run: (cue, { seeking }) => {
+        if (seeking) {
+          // 跳转时直接切到路径终点
+          moveCamera(director.getPathEnd(cue.path), 0);
+          return;
+        }
+        playCameraPath(cue.path, { duration: cue.duration, easing: cue.easing });
+      }
+    }
+  },
+  onPlay: () => {
+    teacherVoice.resume();
+    director.resume();
+  },
+  onPause: () => {
+    teacherVoice.pause();
+    director.pause();
+  },
+  onSeek: () => {
+    teacherVoice.stop();
+    stopCameraPath();
+  }
+});
+
+// 时间轴控制栏：播放 / 暂停、进度条（拖动时只更新时间，松开后跳转）、时间
+const timelinePlayBtn = document.getElementById('timeline-play');
+const timelineProgress = document.getElementById('timeline-progress');
+const timelineTime = document.getElementById('timeline-time');
+let timelineScrubbing = false;
+
+/**
+ * 把时间轴状态同步到控制栏
+ * @param {object} state lessonTimeline.getState() 的结果
+ */
+function updateTimelineBar(state) {
+  if (timelinePlayBtn) {
+    timelinePlayBtn.disabled = state.duration === 0;
+    timelinePlayBtn.textContent = state.playing ? '暂停' : '播放';
+  }
+  if (timelineProgress) {
+    // 没有控制权限的角色只能看进度
+    timelineProgress.disabled = state.duration === 0 || !roles.can('controlLesson');
+    if (!timelineScrubbing) {
+      timelineProgress.value = state.duration > 0 ? state.time / state.duration * timelineProgress.max : 0;
+    }
+  }
+  if (timelineTime && !timelineScrubbing) {
+    timelineTime.textContent = `${formatTimecode(state.time)} / ${formatTimecode(state.duration)}`;
+  }
+}
+
+lessonTimeline.onChange(updateTimelineBar);
+
+bindGuardedButton('timeline-play', 'controlLesson', () => lessonTimeline.toggle());
+if (timelineProgress) {
+  const scrubTime = () => timelineProgress.value / timelineProgress.max * lessonTimeline.getState().duration;
+  timelineProgress.addEventListener('pointerdown', () => { timelineScrubbing = true; });
+  // 拖动中每次移动都跳转会反复重放提示（重新加载板书等），只显示将要跳到的时间
+  timelineProgress.addEventListener('input', () => {
+    timelineScrubbing = true;
+    if (timelineTime) {
+      timelineTime.textContent = `${formatTimecode(scrubTime())} / ${formatTimecode(lessonTimeline.getState().duration)}`;
+    }
+  });
+  timelineProgress.addEventListener('change', () => {
+    timelineScrubbing = false;
+    if (roles.can('controlLesson')) lessonTimeline.seek(scrubTime());
+  });
+}
+
+// 通过 ?lesson=ai-intro 加载 public/lessons/ai-intro/timeline.json（可选）
+if (lessonName) {
+  Promise.all([loadLessonTimeline(`/lessons/${lessonName}/timeline.json`), classroomReady])
+    .then(([timeline]) => lessonTimeline.load(timeline))
+    .catch(() => console.info('该课程没有时间轴:', lessonName));
+}
+
+// 课程脚本和控制台使用的接口，如 classroomApi.students[3].raiseHand()
+// 操作课堂的接口会先检查当前角色的权限，没有权限时抛出错误
+window.classroomApi = {
+  // 名单学生（可以直接调用学生的动作），需要管理学生的权限
+  get students() {
+    roles.check('manageStudents');
+    return students;
+  },
+  roles,
+  seatStudent: withPermission('manageStudents', seatStudent),
+  setClassFocus: withPermission('manageStudents', setClassFocus),
+  teacherSpeak: withPermission('controlTeacher', teacherSpeak),
+  multiplayer,
+  // 相机控制是每个用户自己的：只移动本机相机，不同步给房间里的其他人，所以任何角色都能调用
+  // （老师要统一全班的视角时用时间轴的 camera / cameraPath 提示，由各自的时间轴播放）
+  moveCamera,
+  sitAt,
+  director,
+  playCameraPath,
+  // 机位表：名称 → 视角，含自己的座位 seat 和导演机位中的内置、保存视角
+  get cameraViews() {
+    return Object.fromEntries([
+      ['seat', getOwnSeatView()],
+      ...director.listViewpoints().map(({ name }) => [name, director.getViewpoint(name)])
+    ]);
+  },
+  quality,
+  exportClassroom,
+  lighting,
+  timeline: {
+    ...lessonTimeline,
+    load: withPermission('controlLesson', lessonTimeline.load),
+    play: withPermission('controlLesson', lessonTimeline.play),
+    pause: withPermission('controlLesson', lessonTimeline.pause),
+    toggle: withPermission('controlLesson', lessonTimeline.toggle),
+    seek: withPermission('controlLesson', lessonTimeline.seek)
+  },
+  playTeacherAnimation: withPermission('controlTeacher', (name, options) => playAvatarAnimation(teacherVRM, name, options)),
+  get smartDisplay() {
+    roles.check('controlDisplay');
+    return classroom?.smartDisplay ?? null;
+  },
+  get blackboard() {
+    roles.check('writeBoard');
+    return classroom?.blackboard ?? null;
+  },
+  get lamps() {
+    roles.check('controlRoom');
+    return classroom?.lamps ?? null;
+  },
+  get blinds() {
+    roles.check('controlRoom');
+    return classroom?.blinds ?? null;
+  }
+};
+
+// 角色变化时刷新界面和多人状态
+function applyRole() {
+  roles.applyToDom();
+  applyChalkState();
+  updateDisplayToolbar(classroom?.smartDisplay?.getState());
+  updateTimelineBar(lessonTimeline.getState());
+  multiplayer?.setState({ role: roles.getRole() });
+  claimLocalSeat();
+  syncLecturer();
+  updateMultiplayerStatus();
+}
+roles.onChange(applyRole);
+roles.applyToDom();
+
+// 导出教室 GLB（导出期间禁用按钮）
+const exportGlbBtn = document.getElementById('export-glb-btn');
+exportGlbBtn?.addEventListener('click', () => {
+  exportGlbBtn.disabled = true;
+  exportClassroom()
+    .catch(error => console.error('导出教室失败:', error))
+    .finally(() => {
+      exportGlbBtn.disabled = false;
+    });
+});
+
 // 视角恢复功能
 const resetBtn = document.getElementById('reset-view-btn');
 if (resetBtn) {
   resetBtn.addEventListener('click', () => {
-    camera.position.set(0, 1.15, -4.4);
-    controls.target.set(0.0, 1.25, -10.0);
-    controls.update();
+    walk.exit();
+    moveCamera(getOwnSeatView(), 0.6);
   });
 }
 
@@ -273,11 +1603,189 @@ if (lockBtn) {
     controls.enableRotate = !isLocked;
     
     // 切换模式时重置为中心点，防止偏移
-    controls.target.set(0, 1.15, -10);
+    controls.target.copy(lockedTarget);
     controls.update();
   });
 }
 
+// 漫游模式切换：进入时从当前视角出发，退出时回到座位视角
+const walkBtn = document.getElementById('walk-btn');
+const walkHint = document.getElementById('walk-hint');
+walkBtn?.addEventListener('click', () => {
+  if (walk.isActive()) {
+    walk.exit();
+  } else {
+    walk.enter();
+  }
+});
+walk.onChange((active) => {
+  walkBtn?.classList.toggle('active', active);
+  if (walkHint) walkHint.hidden = !active;
+  controls.enabled = !active;
+  applyChalkState();
+  if (active) {
+    // 漫游优先于镜头路径
+    stopCameraPath();
+  } else {
+    camera.position.copy(fixedCameraPos);
+    controls.target.copy(lockedTarget);
+    controls.update();
+  }
+});
+
+// VR 模式：进入时退出漫游和镜头路径；手柄扳机点击指向的物体，在黑板上按住扳机书写、按住握把擦除
+document.body.appendChild(vr.button);
+const vrModeSelect = document.getElementById('vr-mode');
+vrModeSelect?.addEventListener('change', () => vr.setMode(vrModeSelect.value));
+
+vr.events.on('sessionstart', () => {
+  walk.exit();
+  stopCameraPath();
+  applyChalkState();
+});
+vr.events.on('sessionend', () => {
+  // 回到桌面的座位视角
+  camera.position.copy(fixedCameraPos);
+  controls.target.copy(lockedTarget);
+  controls.update();
+  applyChalkState();
+});
+
+const vrStrokeId = index => `vr-${index}`;
+vr.events.on('selectstart', ({ index, button, raycaster }) => {
+  const board = classroom?.blackboard;
+  if (board && blackboardInput && roles.can('writeBoard')) {
+    board.setTool(button === 'grip' ? 'eraser' : 'chalk');
+    board.setColor(chalkState.color);
+    if (blackboardInput.beginRayStroke(vrStrokeId(index), raycaster)) return;
+  }
+  if (button === 'trigger') interaction.clickRay(raycaster);
+});
+vr.events.on('selectmove', ({ index, raycaster }) => blackboardInput?.moveRayStroke(vrStrokeId(index), raycaster));
+vr.events.on('selectend', ({ index }) => blackboardInput?.endRayStroke(vrStrokeId(index)));
+
+// 导演面板：切换 / 保存机位，播放镜头路径，导入导出 JSON
+const directorView = document.getElementById('director-view');
+const directorName = document.getElementById('director-name');
+const directorPath = document.getElementById('director-path');
+const directorDuration = document.getElementById('director-duration');
+const directorEasing = document.getElementById('director-easing');
+
+// 内置机位的显示名
+const VIEWPOINT_LABELS = {
+  front: '讲台前',
+  teacherCloseUp: '老师特写',
+  windowSide: '窗边',
+  backBoard: '后黑板',
+  class: '讲台看全班',
+  back: '教室后方'
+};
+
+function renderDirectorPanel() {
+  if (!directorView) return;
+  const selected = directorView.value;
+  directorView.innerHTML = '';
+  director.listViewpoints().forEach(({ name, builtIn, saved }) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = (VIEWPOINT_LABELS[name] ?? name) + (builtIn && saved ? '（已修改）' : '');
+    directorView.appendChild(option);
+  });
+  // 保存的路径可以直接选中播放
+  director.listPaths().forEach((name) => {
+    const option = document.createElement('option');
+    option.value = `path:${name}`;
+    option.textContent = `路径：${name}`;
+    directorView.appendChild(option);
+  });
+  if ([...directorView.options].some(option => option.value === selected)) directorView.value = selected;
+}
+
+if (directorEasing) {
+  Object.keys(CAMERA_EASINGS).forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    directorEasing.appendChild(option);
+  });
+  directorEasing.value = 'easeInOut';
+}
+renderDirectorPanel();
+director.onChange(renderDirectorPanel);
+
+// 路径输入框：逗号分隔的机位名
+const readDirectorPath = () => (directorPath?.value ?? '').split(/[,，\s]+/).filter(Boolean);
+
+document.getElementById('director-go')?.addEventListener('click', () => {
+  const name = directorView.value;
+  walk.exit();
+  try {
+    if (name.startsWith('path:')) {
+      playCameraPath(name.slice(5));
+    } else {
+      moveCamera(resolveCameraView(name), 1.2);
+    }
+  } catch (error) {
+    console.warn('切换机位失败:', error);
+  }
+});
+
+document.getElementById('director-delete')?.addEventListener('click', () => {
+  const name = directorView.value;
+  if (name.startsWith('path:')) {
+    director.removePath(name.slice(5));
+  } else {
+    director.removeViewpoint(name);
+  }
+});
+
+document.getElementById('director-save')?.addEventListener('click', () => {
+  const name = directorName.value.trim();
+  if (!name) return;
+  director.saveViewpoint(name);
+  directorView.value = name;
+  directorName.value = '';
+});
+
+document.getElementById('director-play')?.addEventListener('click', () => {
+  const points = readDirectorPath();
+  if (points.length === 0) return;
+  const options = { duration: Number(directorDuration.value) || undefined, easing: directorEasing.value };
+  try {
+    // 填了名称时同时把路径保存下来
+    const name = directorName.value.trim();
+    if (name) {
+      director.savePath(name, { points, ...options });
+      directorName.value = '';
+    }
+    playCameraPath(points, options);
+  } catch (error) {
+    console.warn('播放镜头路径失败:', error);
+  }
+});
+
+document.getElementById('director-stop')?.addEventListener('click', stopCameraPath);
+
+document.getElementById('director-export')?.addEventListener('click', () => {
+  const blob = new Blob([JSON.stringify(director.toJSON(), null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'director.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+
+document.getElementById('director-import')?.addEventListener('change', async (event) => {
+  const file = event.target.files[0];
+  if (!file) return;
+  try {
+    director.load(JSON.parse(await file.text()));
+  } catch (error) {
+    console.error('导入导演机位出错:', error);
+  }
+  event.target.value = '';
+});
+
 // --- 后期处理设置 ---
 const composer = new EffectComposer(renderer);
 
@@ -304,6 +1812,15 @@ const bloomPass = new UnrealBloomPass(
 );
 composer.addPass(bloomPass);
 
+// 悬停描边通道 - 配合交互层高亮鼠标下的物体
+const outlinePass = new OutlinePass(new THREE.Vector2(window.innerWidth, window.innerHeight), scene, camera);
+outlinePass.edgeStrength = 4;
+outlinePass.edgeThickness = 1;
+outlinePass.edgeGlow = 0;
+outlinePass.visibleEdgeColor.set(0xffc94d);
+outlinePass.hiddenEdgeColor.set(0x4d3a10); // 被遮挡部分用暗色描边
+composer.addPass(outlinePass);
+
 // 3. 抗锯齿通道 (SMAA) - 解决开启后期处理后直线变毛刺/分断的问题
 const smaaPass = new SMAAPass(window.innerWidth * window.devicePixelRatio, window.innerHeight * window.devicePixelRatio);
 composer.addPass(smaaPass);
@@ -312,17 +1829,195 @@ composer.addPass(smaaPass);
 const outputPass = new OutputPass();
 composer.addPass(outputPass);
 
-// 初始默认加载第一个模型 (做老师)
-// Math.PI 让老师转身面向学生 (VRM 0.x 经 rotateVRM0 后默认朝 -Z，需要翻转)
-loadVRM('/models/AliciaSolid_vrm-0.51.vrm', new THREE.Vector3(0, 0.25, -9.0), Math.PI, true);
-
-// 在第一排课桌加载三位学生
-// 椅子位置：X = -2.5 / 0 / 2.5，Z = -6.0（第一排椅子座面中心），Y = 0.55（屁股对齐椅面 0.42 + 微调）
-// VRM 0.x 经 rotateVRM0 后朝 -Z（面向黑板）→ rotationY = 0
-// VRM 1.0 默认朝 +Z（背对黑板）→ rotationY = Math.PI 翻转
-loadVRM('/models/AliciaSolid_vrm-0.51.vrm', new THREE.Vector3(-2.5, 0.55, -6.0), 0, false);
-loadVRM('/models/VRM1_Constraint_Twist_Sample.vrm', new THREE.Vector3(0.0, 0.55, -6.0), Math.PI, false);
-loadVRM('/models/AliciaSolid_vrm-0.51.vrm', new THREE.Vector3(2.5, 0.55, -6.0), 0, false);
+// --- 画质预设：按档位开关上面的 SAO / 泛光 / SMAA、阴影和点光源，调整像素比；自动模式按帧率升降档 ---
+const quality = createQualityManager({
+  renderer,
+  scene,
+  composer,
+  passes: { sao: saoPass, bloom: bloomPass, smaa: smaaPass },
+  keyLight: directionalLight,
+  ceilingLights: [bounceLight]
+});
+quality.apply();
+
+const qualitySelect = document.getElementById('quality-preset');
+function renderQualitySelect() {
+  if (!qualitySelect) return;
+  qualitySelect.innerHTML = '';
+  Object.entries(QUALITY_LABELS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    // 自动模式显示当前档位
+    option.textContent = value === 'auto' ? `${label}（当前：${QUALITY_LABELS[quality.getLevel()]}）` : label;
+    qualitySelect.appendChild(option);
+  });
+  qualitySelect.value = quality.getSetting();
+}
+renderQualitySelect();
+quality.onChange(renderQualitySelect);
+qualitySelect?.addEventListener('change', () => quality.setSetting(qualitySelect.value));
+
+// 时间与天气面板：拖动滑块设定时刻，或勾选跟随系统时间
+const timeSlider = document.getElementById('time-of-day');
+const timeLabel = document.getElementById('time-of-day-label');
+const followClockCheckbox = document.getElementById('follow-clock');
+const weatherSelect = document.getElementById('weather');
+const formatHours = (hours) => {
+  const minutes = Math.floor(hours * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+function updateLightingPanel() {
+  const hours = lighting.getTime();
+  if (timeSlider && document.activeElement !== timeSlider) timeSlider.value = hours.toFixed(2);
+  if (timeLabel) timeLabel.textContent = formatHours(hours);
+  if (followClockCheckbox) followClockCheckbox.checked = lighting.isFollowingClock();
+  if (weatherSelect) weatherSelect.value = lighting.getWeather();
+}
+if (weatherSelect) {
+  Object.entries(WEATHER_LABELS).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    weatherSelect.appendChild(option);
+  });
+}
+updateLightingPanel();
+lighting.onChange(updateLightingPanel);
+// 时刻随时间走动，每分钟刷新一次显示
+setInterval(updateLightingPanel, 60 * 1000);
+timeSlider?.addEventListener('input', () => lighting.setTime(Number(timeSlider.value)));
+followClockCheckbox?.addEventListener('change', () => lighting.setFollowClock(followClockCheckbox.checked));
+weatherSelect?.addEventListener('change', () => lighting.setWeather(weatherSelect.value));
+
+// 渲染统计浮层：?stats 打开，显示绘制调用和三角形数（含合批前后对比）
+const renderStats = urlParams.has('stats')
+  ? createRenderStatsOverlay({ renderer, scene, element: document.getElementById('stats-overlay') })
+  : null;
+
+// --- 场景交互（悬停描边、点击） ---
+const interaction = createInteractionLayer({ scene, camera, domElement: renderer.domElement, outlinePass });
+
+// 可交互的教室陈设：布局中的陈设分组名 → 类别
+const INTERACTIVE_FIXTURES = ['blackboard', 'smartDisplay', 'clock', 'waterDispenser'];
+
+/**
+ * 注册教室中的可交互物体：黑板、一体机、前后门、柜门、时钟、饮水机、灯光开关、卷帘
+ * 点击事件统一经 interaction.events 广播，这里只挂默认行为
+ * @param {THREE.Group} room
+ */
+function registerClassroomInteractables(room) {
+  room.children
+    .filter(child => INTERACTIVE_FIXTURES.includes(child.name))
+    .forEach((group) => {
+      interaction.register(group, {
+        kind: group.name,
+        // 点击一体机翻到下一页（需要控制一体机的权限）
+        onClick: group.name === 'smartDisplay'
+          ? () => roles.can('controlDisplay') && room.smartDisplay?.next()
+          : undefined
+      });
+    });
+  ['frontDoor', 'backDoor'].forEach((name) => {
+    const door = room.getObjectByName(name);
+    if (door) interaction.register(door, { kind: 'door', id: name });
+  });
+  room.traverse((obj) => {
+    // 点击空椅子坐过去
+    if (obj.name === 'chair') {
+      const { row, col } = obj.userData;
+      interaction.register(obj, {
+        kind: 'seat',
+        id: `seat:${row}-${col}`,
+        data: { row, col },
+        highlight: obj.getObjectByName('chairHighlight'),
+        onClick: () => trySitAt(row, col)
+      });
+    }
+    // 点击墙上的开关按键开关一排吊灯，点击卷帘放下 / 收起（需要 controlRoom 权限）
+    if (obj.name === 'lightSwitchButton') {
+      const { row } = obj.userData;
+      interaction.register(obj, {
+        kind: 'lightSwitch',
+        id: `lightSwitch:${row}`,
+        data: { row },
+        onClick: () => roles.can('controlRoom') && room.lamps?.toggleRow(row)
+      });
+    }
+    if (obj.name === 'windowBlind') {
+      const { index } = obj.userData;
+      interaction.register(obj, {
+        kind: 'blind',
+        id: `blind:${index}`,
+        data: { index },
+        onClick: () => roles.can('controlRoom') && room.blinds?.toggleBlind(index)
+      });
+    }
+    if (obj.name === 'cabinetDoor') {
+      interaction.register(obj, {
+        kind: 'cabinetDoor',
+        id: `cabinetDoor:${obj.userData.row}-${obj.userData.col}`,
+        data: { ...obj.userData }
+      });
+    }
+  });
+}
+
+// 初始默认加载第一个模型 (做老师)，rotationY = 0 即面向学生
+const teacherReady = loadTeacher(DEFAULT_TEACHER_MODEL).catch(() => {});
+
+// 通过 ?roster=sample-class.csv 加载 public/rosters 下的班级名单；
+// 没有名单时在第一排课桌安排三位学生（位置与朝向由座位注册表给出）
+const rosterName = urlParams.get('roster');
+const logSeatError = (error) => console.error('学生入座失败:', error);
+if (rosterName) {
+  loadRoster(`/rosters/${rosterName}`).then(populateClassroom).catch(logSeatError);
+} else {
+  seatStudentWithFallback('/models/AliciaSolid_vrm-0.51.vrm', 0, 0).catch(logSeatError);
+  seatStudentWithFallback('/models/VRM1_Constraint_Twist_Sample.vrm', 0, 1).catch(logSeatError);
+  seatStudentWithFallback('/models/AliciaSolid_vrm-0.51.vrm', 0, 2).catch(logSeatError);
+}
+
+// --- 加载界面与资源错误列表 ---
+
+const loadingScreen = document.getElementById('loading-screen');
+const loadingProgress = document.getElementById('loading-progress');
+const loadingText = document.getElementById('loading-text');
+
+assets.events.on('progress', ({ url, loaded, total }) => {
+  if (loadingProgress) loadingProgress.style.width = `${Math.round((loaded / total) * 100)}%`;
+  if (loadingText) loadingText.textContent = `正在加载 ${loaded} / ${total}：${url.split('/').pop()}`;
+});
+
+// 教室和老师就绪、且这期间开始的贴图都加载完（或失败）后淡出加载界面，之后的加载（换模型等）不再显示
+Promise.allSettled([classroomReady, teacherReady])
+  .then(() => assets.whenIdle())
+  .then(() => {
+    if (!loadingScreen) return;
+    loadingScreen.classList.add('done');
+    loadingScreen.addEventListener('transitionend', () => loadingScreen.remove(), { once: true });
+  });
+
+const assetErrorsPanel = document.getElementById('asset-errors');
+const assetErrorsList = document.getElementById('asset-errors-list');
+
+function renderAssetErrors() {
+  if (!assetErrorsPanel || !assetErrorsList) return;
+  const errors = assets.getErrors();
+  assetErrorsPanel.hidden = errors.length === 0;
+  assetErrorsList.innerHTML = '';
+  errors.forEach(({ url, kind, message, fallback }) => {
+    const item = document.createElement('li');
+    item.textContent = `${ASSET_KIND_LABELS[kind]} ${url}${fallback ? `（${fallback}）` : ''}`;
+    if (message) item.title = message;
+    assetErrorsList.appendChild(item);
+  });
+}
+assets.events.on('error', renderAssetErrors);
+renderAssetErrors();
+document.getElementById('asset-errors-close')?.addEventListener('click', () => {
+  assets.clearErrors();
+  renderAssetErrors();
+});
 // --- 4. 动画渲染循环 ---
 
 const clock = new THREE.Clock();
@@ -347,14 +2042,36 @@ function applyIdleAnimation(vrm, time) {
   if (spine) spine.rotation.z = Math.sin(time * 0.2) * 0.02;
 }
 
-function animate() {
-  requestAnimationFrame(animate);
+const viewDirection = new THREE.Vector3();
 
+function animate() {
   const deltaTime = clock.getDelta();
   const time = clock.elapsedTime;
 
+  // 课程时间轴推进（可能移动相机、翻页、触发学生动作）
+  lessonTimeline.update(deltaTime);
+  updateCameraTween(deltaTime);
+  // 镜头路径播放中时接管相机（VR 中相机跟随头显，不使用）
+  const presenting = vr.isPresenting();
+  const shot = presenting ? null : director.update(deltaTime);
+
   // --- 视角控制逻辑 ---
-  if (!isLocked) {
+  if (presenting) {
+    // VR：相机位姿由头显决定，只更新手柄射线
+    vr.update();
+  } else if (shot) {
+    camera.position.copy(shot.position);
+    camera.fov = shot.fov;
+    camera.updateProjectionMatrix();
+    camera.lookAt(shot.target);
+    // 保持解锁模式的观察距离，路径结束后 FOV 不会跳变
+    controls.target.subVectors(shot.target, shot.position).setLength(CAMERA_TARGET_DISTANCE).add(shot.position);
+  } else if (walk.isActive()) {
+    // 漫游模式：按键行走并处理碰撞，视角由指针锁定控制
+    camera.fov = THREE.MathUtils.lerp(camera.fov, DEFAULT_FOV, 0.1);
+    camera.updateProjectionMatrix();
+    walk.update(deltaTime);
+  } else if (!isLocked) {
     // 解锁模式：实现原地 360 度转头 + 滚轮缩放（通过位移模拟）
     controls.update(); 
     
@@ -382,38 +2099,72 @@ function animate() {
     // 更新目标点锁定旋转
     controls.target.copy(fixedCameraPos).sub(offset.multiplyScalar(dist));
   } else {
-    // 锁定模式：重置 FOV 和位置
-    camera.fov = THREE.MathUtils.lerp(camera.fov, 65, 0.1);
+    // 锁定模式：FOV 回到机位指定的值，重置位置
+    camera.fov = THREE.MathUtils.lerp(camera.fov, lockedFov, 0.1);
     camera.updateProjectionMatrix();
     camera.position.copy(fixedCameraPos);
-    controls.target.set(0, 1.15, -10);
+    controls.target.copy(lockedTarget);
   }
-  controls.update();
+  // 漫游时相机朝向由指针锁定控制、播放镜头路径时由路径控制，OrbitControls 的 lookAt 会覆盖它
+  if (!presenting && !shot && !walk.isActive()) controls.update();
 
   // 更新老师动画
   if (teacherVRM) {
+    teacherAnimator?.update(deltaTime, time);
+    teacherVoice.update(deltaTime);
     teacherVRM.update(deltaTime);
-    applyIdleAnimation(teacherVRM, time);
   }
 
-  // 更新学生动画
-  studentVRMs.forEach(vrm => {
-    vrm.update(deltaTime);
-    applyIdleAnimation(vrm, time);
+  // 更新学生动画：动作片段 → 行为状态机 → VRM（表情、视线、骨骼）
+  updateClassFocus();
+  students.forEach((student) => {
+    studentAnimators.get(student.student)?.update(deltaTime, time);
+    student.update(deltaTime, time);
   });
 
-  composer.render();
+  // 多人课堂：发送自己的视线，其他在线用户的头部跟随其视线转动
+  if (multiplayer) {
+    camera.getWorldDirection(viewDirection);
+    multiplayer.setHead(Math.atan2(viewDirection.x, viewDirection.z), Math.asin(THREE.MathUtils.clamp(viewDirection.y, -1, 1)));
+    multiplayer.update(deltaTime);
+    updateRemoteHeads();
+  }
+  studentVRMs.forEach(vrm => vrm.update(deltaTime));
+
+  // 一体机画面亮度跟随
+  classroom?.smartDisplay?.update(deltaTime);
+
+  // 吊灯渐亮 / 渐暗，卷帘移动（在更新光照之前，光束按卷帘当前位置变淡）
+  classroom?.lamps?.update(deltaTime);
+  classroom?.blinds?.update(deltaTime);
+
+  // 自动画质：按帧时间升降档
+  quality.update(deltaTime);
+
+  // 时间与天气：走时并更新光照
+  lighting.update(deltaTime);
+
+  // 相机转动后更新悬停物体
+  interaction.update();
+
+  // 后期处理在 XR 中不能使用，VR 中直接渲染
+  if (presenting) {
+    renderer.render(scene, camera);
+  } else {
+    composer.render();
+  }
+  renderStats?.update(deltaTime);
 }
 
-animate();
+// 使用 setAnimationLoop 而非 requestAnimationFrame，进入 VR 后由 XR 会话驱动每一帧
+renderer.setAnimationLoop(animate);
 
 // --- 5. 窗口尺寸适配 ---
 
 window.addEventListener('resize', () => {
-  const pixelRatio = Math.min(window.devicePixelRatio, 2);
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
+  // 按画质档位的像素比调整各通道（含 SMAA）的尺寸
   composer.setSize(window.innerWidth, window.innerHeight);
-  smaaPass.setSize(window.innerWidth * pixelRatio, window.innerHeight * pixelRatio);
 });
@@ -0,0 +1,271 @@
+import * as THREE from 'three';
+import { createEventBus } from './interaction.js';
+
+/**
+ * 多人课堂客户端：连接中继（server/relay.js），同步本地用户状态，接收并插值其他人的状态
+ *
+ * 用法：
+ *   const session = createMultiplayerSession({ url: 'ws://localhost:8787', room: 'demo', state: { name, model } });
+ *   session.events.on('peerjoin', (peer) => ...);
+ *   session.connect();
+ *   // 每帧
+ *   session.setHead(yaw, pitch);
+ *   session.update(delta);
+ *   session.getPeers().forEach(peer => applyHead(peer.id, peer.head));
+ *
+ * 用户状态 state 是任意 JSON 对象，课堂中使用 { name, model, seat: [row, col], head: [yaw, pitch] }，
+ * head 为世界坐标系下的视线偏航 / 俯仰（弧度，偏航 0 为面向 +Z）
+ */
+
+/**
+ * 多人事件类型
+ *   connected: { id }     连上中继并进入房间
+ *   disconnected: {}      连接断开（会自动重连）
+ *   peerjoin: peer        有人进入房间（包括进房时已在房间的人）
+ *   peerupdate: peer      有人更新了头部以外的状态（如更换模型、换座位）
+ *   peerleave: peer       有人离开
+ */
+export const MULTIPLAYER_EVENTS = ['connected', 'disconnected', 'peerjoin', 'peerupdate', 'peerleave'];
+
+// 头部朝向的发送频率（次 / 秒）；朝向变化小于 HEAD_EPSILON 弧度时不发送
+const HEAD_SEND_RATE = 15;
+const HEAD_EPSILON = 0.005;
+// 插值延迟（秒）：渲染其他人稍早的状态，保证前后总有两个样本可插值
+const INTERPOLATION_DELAY = 0.15;
+// 每人保留的头部样本数
+const MAX_SAMPLES = 20;
+// 断线后重连的间隔（秒）
+const RECONNECT_DELAY = 2;
+// 收到的状态中丢弃的键：合并到已有对象时会改写对象的原型
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * 在两个角度间沿最短方向插值
+ */
+function lerpAngle(a, b, t) {
+  const diff = Math.atan2(Math.sin(b - a), Math.cos(b - a));
+  return a + diff * t;
+}
+
+const now = () => performance.now() / 1000;
+
+/** head 是否为两个有限数 [yaw, pitch] */
+const isValidHead = head => Array.isArray(head) && head.length === 2 && head.every(Number.isFinite);
+
+/**
+ * 只保留状态自身的安全键，丢弃格式不对的 head（否则 NaN 会传到头像的骨骼上）；不是对象时返回空对象
+ * @param {*} state 中继转发来的状态
+ */
+function sanitizeState(state) {
+  if (state === null || typeof state !== 'object' || Array.isArray(state)) return {};
+  return Object.fromEntries(Object.entries(state).filter(([key, value]) => (
+    !UNSAFE_KEYS.has(key) && (key !== 'head' || isValidHead(value))
+  )));
+}
+
+/**
+ * 创建多人会话
+ * @param {object} options
+ * @param {string} options.url 中继地址，如 ws://localhost:8787
+ * @param {string} options.room 房间号（字母、数字、下划线、连字符）
+ * @param {object} [options.state] 本地用户的初始状态
+ */
+export function createMultiplayerSession({ url, room, state = {} }) {
+  const events = createEventBus(MULTIPLAYER_EVENTS);
+  const localState = { ...state };
+  const peers = new Map(); // id -> { id, state, head: { yaw, pitch }, samples: [{ time, yaw, pitch }] }
+  let socket = null;
+  let selfId = null;
+  let active = false;       // connect 之后、disconnect 之前为 true，期间断线会自动重连
+  let reconnectTimer = null;
+  let sendTimer = 0;
+  let sentHead = null;
+
+  const send = (message) => {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  };
+
+  const addSample = (peer, head) => {
+    const time = now();
+    const last = peer.samples[peer.samples.length - 1];
+    // 对方静止一段时间后再次转头：补一个起点样本，从静止的朝向开始插值，而不是直接跳过去
+    if (last && time - last.time > 2 / HEAD_SEND_RATE) {
+      peer.samples.push({ time: time - 1 / HEAD_SEND_RATE, yaw: last.yaw, pitch: last.pitch });
+    }
+    peer.samples.push({ time, yaw: head[0], pitch: head[1] });
+    if (peer.samples.length > MAX_SAMPLES) peer.samples.shift();
+  };
+
+  const addPeer = (id, rawState) => {
+    const peerState = sanitizeState(rawState);
+    const head = peerState.head ?? [0, 0];
+    const peer = { id, state: { ...peerState }, head: { yaw: head[0], pitch: head[1] }, samples: [] };
+    addSample(peer, head);
+    peers.set(id, peer);
+    events.emit('peerjoin', peer);
+  };
+
+  const removeAllPeers = () => {
+    [...peers.values()].forEach((peer) => {
+      peers.delete(peer.id);
+      events.emit('peerleave', peer);
+    });
+  };
+
+  const onMessage = (event) => {
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch {
+      return;
+    }
+    switch (message.type) {
+      case 'welcome':
+        selfId = message.id;
+        events.emit('connected', { id: selfId });
+        message.peers.forEach(peer => addPeer(peer.id, peer.state));
+        break;
+      case 'join':
+        addPeer(message.id, message.state);
+        break;
+      case 'state': {
+        const peer = peers.get(message.id);
+        if (!peer) return;
+        const state = sanitizeState(message.state);
+        const { head, ...rest } = state;
+        if (head) addSample(peer, head);
+        Object.assign(peer.state, state);
+        if (Object.keys(rest).length > 0) events.emit('peerupdate', peer);
+        break;
+      }
+      case 'leave': {
+        const peer = peers.get(message.id);
+        if (!peer) return;
+        peers.delete(message.id);
+        events.emit('peerleave', peer);
+        break;
+      }
+      case 'error':
+        console.warn('多人中继返回错误:', message.message);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const open = () => {
+    socket = new WebSocket(url);
+    socket.addEventListener('open', () => {
+      sentHead = null;
+      send({ type: 'join', room, state: localState });
+    });
+    socket.addEventListener('message', onMessage);
+    socket.addEventListener('close', () => {
+      const wasConnected = selfId !== null;
+      socket = null;
+      selfId = null;
+      removeAllPeers();
+      if (wasConnected) events.emit('disconnected', {});
+      if (active) reconnectTimer = setTimeout(open, RECONNECT_DELAY * 1000);
+    });
+  };
+
+  // 按当前时间减去插值延迟，在前后两个样本之间插值头部朝向
+  const interpolateHead = (peer, renderTime) => {
+    const { samples } = peer;
+    while (samples.length > 2 && samples[1].time <= renderTime) samples.shift();
+    const [a, b] = samples;
+    if (!b || renderTime <= a.time) {
+      peer.head.yaw = a.yaw;
+      peer.head.pitch = a.pitch;
+      return;
+    }
+    const t = THREE.MathUtils.clamp((renderTime - a.time) / (b.time - a.time), 0, 1);
+    peer.head.yaw = lerpAngle(a.yaw, b.yaw, t);
+    peer.head.pitch = THREE.MathUtils.lerp(a.pitch, b.pitch, t);
+  };
+
+  return {
+    events,
+
+    /** 连接中继并进入房间，断线后自动重连 */
+    connect() {
+      if (active) return;
+      active = true;
+      open();
+    },
+
+    /** 离开房间并断开连接 */
+    disconnect() {
+      active = false;
+      clearTimeout(reconnectTimer);
+      socket?.close();
+    },
+
+    isConnected() {
+      return selfId !== null;
+    },
+
+    /** @returns {number|null} 中继分配的本地用户 id，未连接时为 null */
+    getId() {
+      return selfId;
+    },
+
+    getState() {
+      return { ...localState };
+    },
+
+    /**
+     * 更新本地用户状态（部分字段）并立即同步给其他人
+     * @param {object} partial 如 { model: '/models/xxx.vrm' }、{ seat: [1, 2] }
+     */
+    setState(partial) {
+      Object.assign(localState, partial);
+      send({ type: 'state', state: partial });
+    },
+
+    /**
+     * 设置本地视线朝向，在 update 中按固定频率发送
+     * @param {number} yaw 偏航（弧度，0 为面向 +Z）
+     * @param {number} pitch 俯仰（弧度，向上为正）
+     */
+    setHead(yaw, pitch) {
+      localState.head = [yaw, pitch];
+    },
+
+    /** @returns {Array<object>} 房间内的其他人 { id, state, head: { yaw, pitch } } */
+    getPeers() {
+      return [...peers.values()];
+    },
+
+    getPeer(id) {
+      return peers.get(id) ?? null;
+    },
+
+    /**
+     * 每帧调用：发送本地头部朝向，插值其他人的头部朝向
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      sendTimer -= delta;
+      const head = localState.head;
+      if (selfId !== null && head && sendTimer <= 0) {
+        const changed = !sentHead
+          || Math.abs(head[0] - sentHead[0]) > HEAD_EPSILON
+          || Math.abs(head[1] - sentHead[1]) > HEAD_EPSILON;
+        if (changed) {
+          sendTimer = 1 / HEAD_SEND_RATE;
+          sentHead = [...head];
+          send({ type: 'state', state: { head: sentHead } });
+        }
+      }
+      const renderTime = now() - INTERPOLATION_DELAY;
+      peers.forEach(peer => interpolateHead(peer, renderTime));
+    },
+
+    dispose() {
+      this.disconnect();
+      removeAllPeers();
+    }
+  };
+}
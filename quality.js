@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+
+/**
+ * 画质预设与自动调节：低 / 中 / 高 / 极高四档，开关后期处理通道、阴影、点光源并调整阴影分辨率和像素比
+ *
+ * 自动模式按帧时间升降档：持续掉帧时降一档，长时间流畅时升一档。
+ * 选择的档位（或自动模式及其当前档位）保存在 localStorage 中，下次打开时沿用
+ *
+ * 点光源按名称查找（见 classroom.js）：ceilingLight 吊灯、windowLight 窗外补光、sunLight 窗外阳光，
+ * 教室重建后需要再调用 apply
+ */
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+export const QUALITY_LABELS = {
+  auto: '自动',
+  low: '低',
+  medium: '中',
+  high: '高',
+  ultra: '极高'
+};
+
+/**
+ * 各档设置
+ *   pixelRatio      渲染像素比上限（不超过屏幕的 devicePixelRatio）
+ *   shadows         是否渲染阴影
+ *   softShadows     软阴影（PCFSoftShadowMap），否则为 PCFShadowMap
+ *   shadowMapSize   主光源阴影贴图边长
+ *   sunShadow       窗外阳光是否投射阴影
+ *   sao / bloom / smaa  后期处理通道
+ *   ceilingLights   吊灯点光源和地面反弹补光
+ *   windowLights    窗外点光源
+ */
+export const QUALITY_PRESETS = {
+  low: {
+    pixelRatio: 0.75,
+    shadows: false,
+    softShadows: false,
+    shadowMapSize: 512,
+    sunShadow: false,
+    sao: false,
+    bloom: false,
+    smaa: false,
+    ceilingLights: false,
+    windowLights: false
+  },
+  medium: {
+    pixelRatio: 1,
+    shadows: true,
+    softShadows: false,
+    shadowMapSize: 1024,
+    sunShadow: false,
+    sao: false,
+    bloom: true,
+    smaa: true,
+    ceilingLights: false,
+    windowLights: true
+  },
+  high: {
+    pixelRatio: 1.5,
+    shadows: true,
+    softShadows: true,
+    shadowMapSize: 2048,
+    sunShadow: true,
+    sao: true,
+    bloom: true,
+    smaa: true,
+    ceilingLights: true,
+    windowLights: true
+  },
+  ultra: {
+    pixelRatio: 2,
+    shadows: true,
+    softShadows: true,
+    shadowMapSize: 4096,
+    sunShadow: true,
+    sao: true,
+    bloom: true,
+    smaa: true,
+    ceilingLights: true,
+    windowLights: true
+  }
+};
+
+const STORAGE_KEY = 'qiming-classroom.quality';
+// 自动模式的初始档位
+const DEFAULT_AUTO_LEVEL = 'high';
+// 自动模式：统计 SAMPLE_WINDOW 秒内的平均帧时间，高于 SLOW_FRAME_TIME 降一档，低于 FAST_FRAME_TIME 升一档
+const SAMPLE_WINDOW = 2;
+const SLOW_FRAME_TIME = 1 / 30;
+const FAST_FRAME_TIME = 1 / 55;
+// 切换档位后等待的时间（秒）：切换会重新编译着色器，之后的几帧不能反映真实帧率
+const ADJUST_COOLDOWN = 3;
+// 降档后至少过这么久才尝试升档；每降一次档等待时间加倍（不超过 MAX_UPGRADE_DELAY），避免在两档之间来回切换
+const UPGRADE_DELAY = 20;
+const MAX_UPGRADE_DELAY = 320;
+// 超过这个间隔的帧（如切到后台标签页）不计入
+const MAX_SAMPLE_DELTA = 0.5;
+
+/**
+ * 创建画质管理器
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene 在其中按名称查找点光源和窗外阳光
+ * @param {import('three/addons/postprocessing/EffectComposer.js').EffectComposer} options.composer
+ * @param {{ sao?: object, bloom?: object, smaa?: object }} options.passes 可开关的后期处理通道
+ * @param {THREE.DirectionalLight} options.keyLight 主光源（阴影分辨率随档位变化）
+ * @param {Array<THREE.Light>} [options.ceilingLights] 随吊灯一起开关的其他光源（如地面反弹补光）
+ * @param {Storage|null} [options.storage] 持久化存储，缺省为 localStorage
+ */
+export function createQualityManager({
+  renderer, scene, composer, passes, keyLight, ceilingLights = [], storage = window.localStorage
+}) {
+  const listeners = new Set();
+  let setting = 'auto'; // 'auto' 或 QUALITY_LEVELS 中的一档
+  let level = DEFAULT_AUTO_LEVEL;
+  let sampleTime = 0;
+  let sampleFrames = 0;
+  let cooldown = ADJUST_COOLDOWN;
+  let upgradeDelay = UPGRADE_DELAY;
+  let sinceDowngrade = UPGRADE_DELAY;
+
+  try {
+    const saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? 'null');
+    if (saved && (saved.setting === 'auto' || QUALITY_LEVELS.includes(saved.setting))) {
+      setting = saved.setting;
+      if (QUALITY_LEVELS.includes(saved.level)) level = saved.level;
+    }
+  } catch (error) {
+    console.warn('读取画质设置失败:', error);
+  }
+  if (setting !== 'auto') level = setting;
+
+  const persist = () => {
+    try {
+      storage?.setItem(STORAGE_KEY, JSON.stringify({ setting, level }));
+    } catch (error) {
+      console.warn('保存画质设置失败:', error);
+    }
+  };
+
+  const notify = () => listeners.forEach(fn => fn({ setting, level }));
+
+  const setShadowMapSize = (light, size) => {
+    if (light.shadow.mapSize.x === size) return;
+    light.shadow.mapSize.set(size, size);
+    // 阴影贴图按新尺寸重建
+    light.shadow.map?.dispose();
+    light.shadow.map = null;
+  };
+
+  const api = {
+    /** @returns {'auto'|'low'|'medium'|'high'|'ultra'} 用户选择的档位 */
+    getSetting() {
+      return setting;
+    },
+
+    /** @returns {'low'|'medium'|'high'|'ultra'} 当前生效的档位（自动模式下随帧率变化） */
+    getLevel() {
+      return level;
+    },
+
+    /**
+     * 选择档位或自动模式，并记住选择
+     * @param {'auto'|'low'|'medium'|'high'|'ultra'} value
+     */
+    setSetting(value) {
+      if (value !== 'auto' && !QUALITY_LEVELS.includes(value)) {
+        throw new Error(`未知的画质档位: ${value}，可用档位为 auto / ${QUALITY_LEVELS.join(' / ')}`);
+      }
+      setting = value;
+      if (value !== 'auto') level = value;
+      sampleTime = 0;
+      sampleFrames = 0;
+      cooldown = ADJUST_COOLDOWN;
+      upgradeDelay = UPGRADE_DELAY;
+      sinceDowngrade = UPGRADE_DELAY;
+      persist();
+      api.apply();
+      notify();
+    },
+
+    /** 按当前档位设置渲染器、后期处理和光源（教室重建后也要调用） */
+    apply() {
+      const preset = QUALITY_PRESETS[level];
+
+      // VR 中不能改变画布尺寸，像素比在退出 VR 后生效
+      if (!renderer.xr.isPresenting) {
+        const pixelRatio = Math.min(preset.pixelRatio, window.devicePixelRatio);
+        if (renderer.getPixelRatio() !== pixelRatio) {
+          renderer.setPixelRatio(pixelRatio);
+          composer.setPixelRatio(pixelRatio);
+        }
+      }
+
+      if (passes.sao) passes.sao.enabled = preset.sao;
+      if (passes.bloom) passes.bloom.enabled = preset.bloom;
+      if (passes.smaa) passes.smaa.enabled = preset.smaa;
+
+      const shadowType = preset.softShadows ? THREE.PCFSoftShadowMap : THREE.PCFShadowMap;
+      const shadowsChanged = renderer.shadowMap.enabled !== preset.shadows || renderer.shadowMap.type !== shadowType;
+      renderer.shadowMap.enabled = preset.shadows;
+      renderer.shadowMap.type = shadowType;
+      setShadowMapSize(keyLight, preset.shadowMapSize);
+
+      ceilingLights.forEach((light) => {
+        light.visible = preset.ceilingLights;
+      });
+      scene.traverse((object) => {
+        if (object.name === 'ceilingLight') object.visible = preset.ceilingLights;
+        else if (object.name === 'windowLight') object.visible = preset.windowLights;
+        else if (object.name === 'sunLight') object.castShadow = preset.sunShadow;
+      });
+
+      // 阴影开关和类型变化后需要重新编译材质
+      if (shadowsChanged) {
+        scene.traverse((object) => {
+          const materials = Array.isArray(object.material) ? object.material : [object.material];
+          materials.forEach((material) => {
+            if (material) material.needsUpdate = true;
+          });
+        });
+      }
+    },
+
+    /**
+     * 订阅档位变化
+     * @param {(state: { setting: string, level: string }) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * 每帧调用：自动模式下按平均帧时间升降档
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      if (setting !== 'auto' || renderer.xr.isPresenting || delta > MAX_SAMPLE_DELTA) return;
+      sinceDowngrade += delta;
+      if (cooldown > 0) {
+        cooldown -= delta;
+        return;
+      }
+      sampleTime += delta;
+      sampleFrames++;
+      if (sampleTime < SAMPLE_WINDOW) return;
+
+      const average = sampleTime / sampleFrames;
+      sampleTime = 0;
+      sampleFrames = 0;
+      const index = QUALITY_LEVELS.indexOf(level);
+      let next = index;
+      if (average > SLOW_FRAME_TIME && index > 0) {
+        next = index - 1;
+        // 刚升档又降回来时，下次升档前等待更久
+        if (sinceDowngrade < upgradeDelay * 2) upgradeDelay = Math.min(upgradeDelay * 2, MAX_UPGRADE_DELAY);
+        sinceDowngrade = 0;
+      } else if (average < FAST_FRAME_TIME && index < QUALITY_LEVELS.length - 1 && sinceDowngrade >= upgradeDelay) {
+        next = index + 1;
+      }
+      if (next === index) return;
+      level = QUALITY_LEVELS[next];
+      cooldown = ADJUST_COOLDOWN;
+      persist();
+      api.apply();
+      notify();
+    }
+  };
+
+  return api;
+}
@@ -0,0 +1,86 @@
+/**
+ * 渲染统计浮层（调试用，地址栏加 ?stats 打开）：显示每帧的绘制调用数和三角形数，
+ * 以及场景中网格的绘制调用在合批 / 实例化前后的对比、GPU 上的贴图数
+ *
+ * 合批前的数量取自网格的 userData.sourceMeshes 和 userData.sourceTriangles（合并或实例化时记录的原网格数和
+ * 原网格的三角形总数，见 classroom.js），没有记录的网格按其实际绘制次数和三角形数计。
+ * 合批只合并几何体、不做简化，前后三角形数相同说明没有多画或漏画零件
+ */
+
+// 浮层刷新间隔（秒）
+const REFRESH_INTERVAL = 0.5;
+
+/**
+ * 统计场景中可见网格的绘制调用和三角形数（不含阴影和后期处理）
+ * @param {THREE.Object3D} root
+ * @returns {{ drawCalls: number, unbatchedDrawCalls: number, triangles: number, unbatchedTriangles: number }}
+ */
+export function countSceneDrawCalls(root) {
+  let drawCalls = 0;
+  let unbatchedDrawCalls = 0;
+  let triangles = 0;
+  let unbatchedTriangles = 0;
+
+  root.traverseVisible((object) => {
+    if (!object.isMesh) return;
+    const { geometry } = object;
+    const instances = object.isInstancedMesh ? object.count : 1;
+    const vertexCount = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+    // 材质数组按分组各绘制一次，隐藏的材质不绘制
+    const ranges = Array.isArray(object.material)
+      ? geometry.groups
+        .filter(group => object.material[group.materialIndex]?.visible)
+        .map(group => Math.min(group.count, vertexCount - group.start))
+      : object.material.visible ? [vertexCount] : [];
+    if (ranges.length === 0) return;
+
+    drawCalls += ranges.length;
+    unbatchedDrawCalls += object.userData.sourceMeshes ?? ranges.length;
+    const meshTriangles = ranges.reduce((sum, count) => sum + Math.floor(count / 3), 0) * instances;
+    triangles += meshTriangles;
+    unbatchedTriangles += object.userData.sourceTriangles ?? meshTriangles;
+  });
+  return { drawCalls, unbatchedDrawCalls, triangles, unbatchedTriangles };
+}
+
+/**
+ * 创建渲染统计浮层
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Object3D} options.scene
+ * @param {HTMLElement} options.element 显示统计的元素
+ */
+export function createRenderStatsOverlay({ renderer, scene, element }) {
+  // 一帧内后期处理会多次调用 render，改为每帧结束时手动清零
+  renderer.info.autoReset = false;
+  element.hidden = false;
+  let elapsed = REFRESH_INTERVAL;
+
+  return {
+    /**
+     * 每帧渲染完成后调用
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      elapsed += delta;
+      if (elapsed >= REFRESH_INTERVAL) {
+        elapsed = 0;
+        const { calls, triangles } = renderer.info.render;
+        const sceneStats = countSceneDrawCalls(scene);
+        element.textContent = [
+          `每帧绘制调用: ${calls}（含阴影和后期处理）`,
+          `每帧三角形: ${triangles.toLocaleString()}`,
+          `场景绘制调用: ${sceneStats.drawCalls}（合批前 ${sceneStats.unbatchedDrawCalls}）`,
+          `场景三角形: ${sceneStats.triangles.toLocaleString()}（合批前 ${sceneStats.unbatchedTriangles.toLocaleString()}）`,
+          `GPU 贴图: ${renderer.info.memory.textures}`
+        ].join('\n');
+      }
+      renderer.info.reset();
+    },
+
+    dispose() {
+      renderer.info.autoReset = true;
+      element.hidden = true;
+    }
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * 课堂角色与权限：老师可以操作课堂（换老师形象、板书、翻课件、安排学生、控制课程进度、开关灯和卷帘），
+ * 学生只能选择自己的头像，旁听者只能观看
+ *
+ * 界面上带 data-permission 的元素在当前角色没有该权限时隐藏，
+ * 多个权限用空格分隔，具备其中任一即可显示：
+ *   <div class="ui-row" data-permission="writeBoard">...</div>
+ *
+ * 权限只在本地检查，中继不做校验，用于区分课堂中的职责而非安全隔离
+ */
+
+export const ROLES = ['teacher', 'student', 'observer'];
+
+const ROLE_LABELS = {
+  teacher: '老师',
+  student: '学生',
+  observer: '旁听'
+};
+
+// 权限及其说明（用于报错信息）
+const PERMISSION_LABELS = {
+  changeTeacherModel: '更换老师形象',
+  chooseAvatar: '选择自己的头像',
+  controlTeacher: '控制老师动作和讲课音频',
+  writeBoard: '在黑板上书写和翻页',
+  controlDisplay: '控制一体机',
+  manageStudents: '安排学生座位和动作',
+  controlLesson: '控制课程进度',
+  controlRoom: '开关灯和卷帘'
+};
+
+export const PERMISSIONS = Object.keys(PERMISSION_LABELS);
+
+const ROLE_PERMISSIONS = {
+  teacher: new Set(PERMISSIONS.filter(p => p !== 'chooseAvatar')),
+  student: new Set(['chooseAvatar']),
+  observer: new Set()
+};
+
+/**
+ * 创建角色管理器
+ * @param {'teacher'|'student'|'observer'} [initialRole]
+ */
+export function createRoleManager(initialRole = 'teacher') {
+  const assertRole = (role) => {
+    if (!ROLES.includes(role)) {
+      throw new Error(`未知的角色: ${role}，可用角色为 ${ROLES.join(' / ')}`);
+    }
+  };
+  const assertPermission = (permission) => {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`未知的权限: ${permission}`);
+    }
+  };
+
+  assertRole(initialRole);
+  let role = initialRole;
+  const listeners = new Set();
+
+  return {
+    getRole() {
+      return role;
+    },
+
+    getRoleLabel() {
+      return ROLE_LABELS[role];
+    },
+
+    /**
+     * 切换角色
+     * @param {'teacher'|'student'|'observer'} value
+     */
+    setRole(value) {
+      assertRole(value);
+      if (value === role) return;
+      const previous = role;
+      role = value;
+      listeners.forEach(fn => fn(role, previous));
+    },
+
+    /**
+     * 当前角色是否有某项权限
+     * @param {string} permission 见 PERMISSIONS
+     */
+    can(permission) {
+      assertPermission(permission);
+      return ROLE_PERMISSIONS[role].has(permission);
+    },
+
+    /**
+     * 检查权限，没有时抛出错误（放在课程脚本 / 控制台接口的操作之前）
+     * @param {string} permission
+     */
+    check(permission) {
+      if (!this.can(permission)) {
+        throw new Error(`当前角色（${ROLE_LABELS[role]}）没有权限: ${PERMISSION_LABELS[permission]}`);
+      }
+    },
+
+    /**
+     * 订阅角色变化
+     * @param {(role: string, previous: string) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * 按当前角色显示 / 隐藏带 data-permission 的界面元素
+     * @param {ParentNode} [root]
+     */
+    applyToDom(root = document) {
+      root.querySelectorAll('[data-permission]').forEach((el) => {
+        const allowed = el.dataset.permission.split(/\s+/).some(p => this.can(p));
+        el.hidden = !allowed;
+      });
+    }
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * 教室的灯光开关和卷帘：按排开关吊灯（灯管发光和点光源一起变化），逐扇放下 / 收起窗户卷帘
+ *
+ * 几何体在 classroom.js 中创建（addCeilingLamps 的墙上开关面板、createLeftWallWithWindows 的卷帘），
+ * 这里只管理状态和动画，每帧调用 update。卷帘遮挡的比例由 dayLighting.js 按窗户序号读取，
+ * 用来调暗对应的窗外光源和光束
+ */
+
+// 吊灯开着时的点光源强度和灯管发光强度
+export const LAMP_LIGHT_INTENSITY = 0.15;
+export const LAMP_PANEL_EMISSIVE = 1;
+// 开关灯的渐变速度（越大越快）
+const LAMP_FADE_SPEED = 8;
+// 开关按键按下时的倾斜角（弧度）
+const SWITCH_TILT = 0.18;
+// 卷帘移动速度（每秒移动全长的比例）
+const BLIND_SPEED = 0.5;
+// 卷帘完全放下时挡住的光线比例
+const BLIND_LIGHT_BLOCK = 0.9;
+// 卷帘布的最小缩放（避免缩放为 0 时矩阵不可逆）
+const MIN_CLOTH_SCALE = 0.001;
+
+const clamp01 = value => Math.min(1, Math.max(0, value));
+
+/**
+ * 创建吊灯开关控制器
+ * @param {Array<{ lights: Array<THREE.PointLight>, material: THREE.MeshStandardMaterial, button?: THREE.Object3D }>} rows
+ *        每排吊灯的点光源、灯管材质和墙上对应的开关按键，第 0 排靠黑板
+ */
+export function createLampController(rows) {
+  const listeners = new Set();
+  const on = rows.map(() => true);
+  const levels = rows.map(() => 1);
+
+  const getState = () => ({ rows: [...on] });
+  const emit = () => listeners.forEach(fn => fn(getState()));
+
+  const assertRow = (row) => {
+    if (!Number.isInteger(row) || row < 0 || row >= rows.length) {
+      throw new Error(`没有第 ${row} 排吊灯（共 ${rows.length} 排，从 0 开始）`);
+    }
+  };
+
+  const apply = (row) => {
+    const { lights, material, button } = rows[row];
+    lights.forEach((light) => {
+      light.intensity = LAMP_LIGHT_INTENSITY * levels[row];
+    });
+    material.emissiveIntensity = LAMP_PANEL_EMISSIVE * levels[row];
+    if (button) button.rotation.z = on[row] ? -SWITCH_TILT : SWITCH_TILT;
+  };
+
+  const api = {
+    /** 吊灯排数 */
+    rowCount: rows.length,
+
+    /** @returns {{ rows: Array<boolean> }} 各排是否开着 */
+    getState,
+
+    /**
+     * @param {number} row
+     * @returns {boolean}
+     */
+    isOn(row) {
+      assertRow(row);
+      return on[row];
+    },
+
+    /** 是否有任何一排开着 */
+    isAnyOn() {
+      return on.some(Boolean);
+    },
+
+    /**
+     * 开关一排吊灯
+     * @param {number} row 从 0 开始，第 0 排靠黑板
+     * @param {boolean} value
+     * @param {{ immediate?: boolean }} [options] immediate 为 true 时不渐变
+     */
+    setRow(row, value, { immediate = false } = {}) {
+      assertRow(row);
+      const changed = on[row] !== !!value;
+      on[row] = !!value;
+      if (immediate) levels[row] = on[row] ? 1 : 0;
+      apply(row);
+      if (changed) emit();
+    },
+
+    /**
+     * 切换一排吊灯
+     * @param {number} row
+     */
+    toggleRow(row) {
+      assertRow(row);
+      api.setRow(row, !on[row]);
+    },
+
+    /**
+     * 开关全部吊灯
+     * @param {boolean} value
+     * @param {{ immediate?: boolean }} [options]
+     */
+    setAll(value, { immediate = false } = {}) {
+      const changed = on.some(state => state !== !!value);
+      rows.forEach((_, row) => {
+        on[row] = !!value;
+        if (immediate) levels[row] = on[row] ? 1 : 0;
+        apply(row);
+      });
+      if (changed) emit();
+    },
+
+    /**
+     * 订阅开关变化
+     * @param {(state: { rows: Array<boolean> }) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * 每帧调用：灯光渐亮 / 渐暗
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      const step = 1 - Math.exp(-delta * LAMP_FADE_SPEED);
+      rows.forEach((_, row) => {
+        const target = on[row] ? 1 : 0;
+        if (levels[row] === target) return;
+        levels[row] += (target - levels[row]) * step;
+        if (Math.abs(target - levels[row]) < 0.001) levels[row] = target;
+        apply(row);
+      });
+    }
+  };
+
+  rows.forEach((_, row) => apply(row));
+  return api;
+}
+
+/**
+ * 创建窗户卷帘控制器
+ * @param {Array<{ cloth: THREE.Object3D, bar: THREE.Object3D, top: number, length: number }>} blinds
+ *        每扇窗的卷帘布（几何体顶边在原点、向下展开 1m）、底杆、卷轴下沿高度和完全放下时的长度，按窗户序号排列
+ */
+export function createBlindController(blinds) {
+  const listeners = new Set();
+  const targets = blinds.map(() => 0);
+  const positions = blinds.map(() => 0);
+
+  const getState = () => ({ blinds: [...targets] });
+  const emit = () => listeners.forEach(fn => fn(getState()));
+
+  const assertIndex = (index) => {
+    if (!Number.isInteger(index) || index < 0 || index >= blinds.length) {
+      throw new Error(`没有第 ${index} 扇窗的卷帘（共 ${blinds.length} 扇，从 0 开始）`);
+    }
+  };
+
+  const apply = (index) => {
+    const { cloth, bar, top, length } = blinds[index];
+    const drop = positions[index] * length;
+    cloth.scale.y = Math.max(drop, MIN_CLOTH_SCALE);
+    cloth.visible = drop > MIN_CLOTH_SCALE;
+    bar.position.y = top - drop;
+  };
+
+  const api = {
+    /** 卷帘数量（与左墙窗户数相同） */
+    count: blinds.length,
+
+    /** @returns {{ blinds: Array<number> }} 各扇卷帘的目标位置（0 收起，1 完全放下） */
+    getState,
+
+    /**
+     * 放下或收起一扇卷帘（动画移动到目标位置）
+     * @param {number} index 窗户序号，从 0 开始，第 0 扇靠后墙
+     * @param {number|boolean} amount 0 收起，1 完全放下；true / false 同 1 / 0
+     * @param {{ immediate?: boolean }} [options] immediate 为 true 时直接到位
+     */
+    setBlind(index, amount, { immediate = false } = {}) {
+      assertIndex(index);
+      const value = clamp01(Number(amount));
+      if (Number.isNaN(value)) throw new Error(`无效的卷帘位置: ${amount}`);
+      const changed = targets[index] !== value;
+      targets[index] = value;
+      if (immediate) {
+        positions[index] = value;
+        apply(index);
+      }
+      if (changed) emit();
+    },
+
+    /**
+     * 放下的卷帘收起，收起的放下
+     * @param {number} index
+     */
+    toggleBlind(index) {
+      assertIndex(index);
+      api.setBlind(index, targets[index] > 0.5 ? 0 : 1);
+    },
+
+    /**
+     * 所有卷帘移动到同一位置
+     * @param {number|boolean} amount
+     * @param {{ immediate?: boolean }} [options]
+     */
+    setAll(amount, options) {
+      blinds.forEach((_, index) => api.setBlind(index, amount, options));
+    },
+
+    /**
+     * 透过某扇窗的光线比例（随卷帘当前位置变化）
+     * @param {number} index
+     * @returns {number} 0~1，窗户不存在时为 1
+     */
+    getLightFactor(index) {
+      if (index === undefined || index < 0 || index >= blinds.length) return 1;
+      return 1 - positions[index] * BLIND_LIGHT_BLOCK;
+    },
+
+    /** 所有窗户透过光线比例的平均值（用于窗外阳光） */
+    getAverageLightFactor() {
+      if (blinds.length === 0) return 1;
+      return blinds.reduce((sum, _, index) => sum + api.getLightFactor(index), 0) / blinds.length;
+    },
+
+    /**
+     * 订阅卷帘目标位置变化
+     * @param {(state: { blinds: Array<number> }) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * 每帧调用：卷帘匀速移动
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      blinds.forEach((_, index) => {
+        const remaining = targets[index] - positions[index];
+        if (remaining === 0) return;
+        const step = BLIND_SPEED * delta;
+        positions[index] = Math.abs(remaining) <= step ? targets[index] : positions[index] + Math.sign(remaining) * step;
+        apply(index);
+      });
+    }
+  };
+
+  blinds.forEach((_, index) => apply(index));
+  return api;
+}
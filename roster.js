@@ -0,0 +1,254 @@
+import * as THREE from 'three';
+
+/**
+ * 班级名单：从 JSON / CSV 读取学生信息，并负责座位分配、名牌和占位模型
+ *
+ * 每条学生记录为 { name, avatar, row, col }：
+ *   - avatar 为 VRM 模型路径，留空时使用占位模型
+ *   - row / col 为座位（从 1 开始，第 1 排离黑板最近，第 1 列为面向黑板时最左侧），留空时自动分配
+ *
+ * CSV 第一行为表头，支持中英文列名：name/姓名、avatar/头像、row/排、col/列，
+ * 也可以用一列 seat/座位 写成 "排-列"（如 "2-3"）
+ * JSON 可以是学生数组，或 { "students": [...] }
+ */
+
+// CSV 表头别名 → 字段名
+const HEADER_ALIASES = {
+  name: 'name', '姓名': 'name',
+  avatar: 'avatar', vrm: 'avatar', '头像': 'avatar', '模型': 'avatar',
+  row: 'row', '排': 'row',
+  col: 'col', column: 'col', '列': 'col',
+  seat: 'seat', '座位': 'seat'
+};
+
+/**
+ * 解析一行 CSV（支持双引号包裹和 "" 转义）
+ * @param {string} line
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * 把原始记录整理为 { name, avatar, row, col }，row / col 转为从 0 开始，缺失为 null
+ * @param {object} raw
+ * @param {number} index
+ */
+function normalizeStudent(raw, index) {
+  let row = raw.row;
+  let col = raw.col;
+  if ((row === undefined || row === '') && raw.seat) {
+    [row, col] = String(raw.seat).split(/[-,，\s]+/);
+  }
+  const toIndex = (v) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) && n >= 1 ? n - 1 : null;
+  };
+  return {
+    name: String(raw.name ?? '').trim() || `学生${index + 1}`,
+    avatar: String(raw.avatar ?? '').trim() || null,
+    row: toIndex(row),
+    col: toIndex(col)
+  };
+}
+
+/**
+ * 解析 CSV 格式的名单
+ * @param {string} text
+ */
+export function parseRosterCsv(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim() !== '');
+  if (lines.length === 0) return [];
+  const header = parseCsvLine(lines[0]).map(h => HEADER_ALIASES[h.toLowerCase()] ?? HEADER_ALIASES[h]);
+  if (!header.includes('name')) {
+    throw new Error('名单 CSV 缺少 name/姓名 列');
+  }
+  return lines.slice(1).map((line, i) => {
+    const cells = parseCsvLine(line);
+    const raw = {};
+    header.forEach((key, c) => {
+      if (key) raw[key] = cells[c];
+    });
+    return normalizeStudent(raw, i);
+  });
+}
+
+/**
+ * 解析 JSON 格式的名单
+ * @param {string} text
+ */
+export function parseRosterJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data.students;
+  if (!Array.isArray(list)) {
+    throw new Error('名单 JSON 应为学生数组或 { "students": [...] }');
+  }
+  return list.map(normalizeStudent);
+}
+
+/**
+ * 按文件名后缀选择解析方式
+ * @param {string} text 文件内容
+ * @param {string} fileName 文件名或路径
+ */
+export function parseRoster(text, fileName) {
+  return /\.json$/i.test(fileName) ? parseRosterJson(text) : parseRosterCsv(text);
+}
+
+/**
+ * 从 URL 加载名单（如 /rosters/sample-class.csv）
+ * @param {string} url
+ */
+export async function loadRoster(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`无法加载名单 ${url}: ${res.status}`);
+  }
+  return parseRoster(await res.text(), url);
+}
+
+/**
+ * 计算名单对课桌椅的需求，传给 createClassroom 用于扩充排列
+ * @param {Array<object>} roster
+ */
+export function getSeatingRequirements(roster) {
+  return {
+    seatCount: roster.length,
+    minRows: roster.reduce((max, s) => (s.row !== null ? Math.max(max, s.row + 1) : max), 0),
+    minColumns: roster.reduce((max, s) => (s.col !== null ? Math.max(max, s.col + 1) : max), 0)
+  };
+}
+
+/**
+ * 为名单中的每位学生分配座位：先满足指定座位，其余按从前到后、从左到右依次填入空位
+ * @param {Array<object>} roster
+ * @param {object} seats classroom.seats 座位注册表
+ * @returns {Array<{ student: object, seat: object }>}
+ */
+export function assignSeats(roster, seats) {
+  const taken = new Set();
+  const assignments = [];
+  const pending = [];
+
+  roster.forEach((student) => {
+    const seat = student.row !== null && student.col !== null ? seats.get(student.row, student.col) : null;
+    if (seat && !taken.has(seat)) {
+      taken.add(seat);
+      assignments.push({ student, seat });
+    } else {
+      if (student.row !== null || student.col !== null) {
+        console.warn('指定座位不可用，改为自动分配:', student.name);
+      }
+      pending.push(student);
+    }
+  });
+
+  const freeSeats = seats.list
+    .filter(seat => !taken.has(seat))
+    .sort((a, b) => a.row - b.row || a.col - b.col);
+  pending.forEach((student, i) => {
+    if (freeSeats[i]) {
+      assignments.push({ student, seat: freeSeats[i] });
+    } else {
+      console.warn('座位不足，未能安排:', student.name);
+    }
+  });
+  return assignments;
+}
+
+/**
+ * 创建悬浮在学生头顶的名牌（始终面向相机的 Sprite）
+ * @param {string} name
+ */
+export function createNameTag(name) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 512;
+  canvas.height = 128;
+  const ctx = canvas.getContext('2d');
+
+  // 半透明圆角底板
+  ctx.fillStyle = 'rgba(20, 40, 70, 0.75)';
+  ctx.beginPath();
+  ctx.roundRect(8, 8, 496, 112, 40);
+  ctx.fill();
+
+  ctx.fillStyle = '#ffffff';
+  ctx.font = 'bold 64px "Microsoft YaHei", "PingFang SC", sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(name, 256, 66, 460);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false }));
+  sprite.scale.set(0.48, 0.12, 1);
+  sprite.name = `nameTag:${name}`;
+  return sprite;
+}
+
+/**
+ * 没有头像模型的学生使用的占位人偶（坐姿，按 VRM 1.0 约定面向 +Z，原点为臀部）
+ */
+export function createPlaceholderStudent() {
+  const group = new THREE.Group();
+  const bodyMat = new THREE.MeshStandardMaterial({ color: 0x8fa7c0, roughness: 0.7 });
+  const headMat = new THREE.MeshStandardMaterial({ color: 0xe8d5c0, roughness: 0.8 });
+
+  // 躯干
+  const torso = new THREE.Mesh(new THREE.CapsuleGeometry(0.14, 0.28, 4, 12), bodyMat);
+  torso.position.y = 0.3;
+  group.add(torso);
+
+  // 头
+  const head = new THREE.Mesh(new THREE.SphereGeometry(0.11, 16, 12), headMat);
+  head.name = 'head';
+  head.position.y = 0.66;
+  group.add(head);
+
+  // 举手时显示的右臂（默认隐藏，由学生行为控制，以肩部为原点缩放）
+  const raisedArm = new THREE.Group();
+  raisedArm.name = 'raisedArm';
+  raisedArm.position.set(-0.17, 0.48, 0);
+  raisedArm.visible = false;
+  const arm = new THREE.Mesh(new THREE.CapsuleGeometry(0.045, 0.5, 4, 8), bodyMat);
+  arm.position.y = 0.29;
+  raisedArm.add(arm);
+  group.add(raisedArm);
+
+  // 大腿（水平向前）与小腿（垂直地面）
+  const thigh = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.12, 0.4), bodyMat);
+  thigh.position.set(0, -0.04, 0.18);
+  group.add(thigh);
+  const shin = new THREE.Mesh(new THREE.BoxGeometry(0.28, 0.45, 0.1), bodyMat);
+  shin.position.set(0, -0.3, 0.36);
+  group.add(shin);
+
+  group.traverse((obj) => {
+    if (obj.isMesh) obj.castShadow = true;
+  });
+  return group;
+}
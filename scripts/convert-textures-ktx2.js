@@ -0,0 +1,104 @@
+import { spawnSync } from 'node:child_process';
+import { copyFileSync, existsSync, mkdirSync, readdirSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * 把 public/textures 下的 JPG / PNG 离线转换为 KTX2（Basis Universal），供 assets.js 的 KTX2Loader 加载
+ *
+ * 用法：npm run textures:ktx2 [-- --uastc] [-- --force]
+ *   默认 ETC1S 编码（体积最小，适合木纹、墙面等漫反射贴图）；--uastc 画质更好、文件更大
+ *   已转换且比原图新的文件会跳过，--force 全部重新转换
+ *
+ * 需要 KTX-Software 4.3 以上的 toktx 命令（https://github.com/KhronosGroup/KTX-Software/releases），
+ * 不在 PATH 中时用 TOKTX 环境变量指定路径。
+ *
+ * 输出：
+ *   - 每张图旁边的同名 .ktx2 文件（带完整 mipmap，按 three.js 的 UV 约定翻转，运行时不需要再翻转）
+ *   - public/textures/ktx2-manifest.json：{ "textures": { "/textures/a.jpg": "/textures/a.ktx2" } }，
+ *     只列出转换成功的图片，其余图片运行时仍加载原图
+ *   - public/basis/：从 three 复制的 Basis 转码器（basis_transcoder.js / .wasm）
+ */
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const PUBLIC_DIR = join(ROOT, 'public');
+const TEXTURE_DIR = join(PUBLIC_DIR, 'textures');
+const MANIFEST_PATH = join(TEXTURE_DIR, 'ktx2-manifest.json');
+const TRANSCODER_SOURCE = join(ROOT, 'node_modules/three/examples/jsm/libs/basis');
+const TRANSCODER_TARGET = join(PUBLIC_DIR, 'basis');
+const TRANSCODER_FILES = ['basis_transcoder.js', 'basis_transcoder.wasm'];
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const TOKTX = process.env.TOKTX ?? 'toktx';
+
+const args = new Set(process.argv.slice(2));
+const useUastc = args.has('--uastc');
+const force = args.has('--force');
+
+// toktx 参数：生成 mipmap、翻转为左下角原点、按 sRGB 编码（这些都是颜色贴图）
+const ENCODE_ARGS = useUastc
+  ? ['--encode', 'uastc', '--uastc_quality', '2', '--zcmp', '19']
+  : ['--encode', 'etc1s', '--clevel', '2', '--qlevel', '128'];
+const COMMON_ARGS = ['--t2', '--genmipmap', '--lower_left_maps_to_s0t0', '--assign_oetf', 'srgb'];
+
+/**
+ * 递归列出目录下的源图片
+ * @param {string} dir
+ * @returns {Array<string>}
+ */
+function listImages(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return listImages(path);
+    return SOURCE_EXTENSIONS.includes(extname(entry.name).toLowerCase()) ? [path] : [];
+  });
+}
+
+// 文件路径 -> 网页中的地址（/textures/...）
+const toUrl = path => `/${relative(PUBLIC_DIR, path).split(sep).join('/')}`;
+
+const formatSize = bytes => `${(bytes / 1024).toFixed(0)} KB`;
+
+function main() {
+  const check = spawnSync(TOKTX, ['--version'], { encoding: 'utf8' });
+  if (check.error) {
+    console.error(`找不到 toktx（${TOKTX}），请安装 KTX-Software 或用 TOKTX 环境变量指定路径`);
+    process.exit(1);
+  }
+  console.log(`使用 ${check.stdout.trim()}，编码: ${useUastc ? 'UASTC' : 'ETC1S'}`);
+
+  const textures = {};
+  const failed = [];
+  let sourceBytes = 0;
+  let outputBytes = 0;
+
+  listImages(TEXTURE_DIR).forEach((source) => {
+    const output = source.slice(0, -extname(source).length) + '.ktx2';
+    const upToDate = existsSync(output) && statSync(output).mtimeMs >= statSync(source).mtimeMs;
+    if (!upToDate || force) {
+      const result = spawnSync(TOKTX, [...COMMON_ARGS, ...ENCODE_ARGS, output, source], { encoding: 'utf8' });
+      if (result.status !== 0) {
+        failed.push(toUrl(source));
+        console.error(`转换失败: ${toUrl(source)}\n${result.stderr.trim()}`);
+        return;
+      }
+      console.log(`已转换: ${toUrl(output)}`);
+    }
+    textures[toUrl(source)] = toUrl(output);
+    sourceBytes += statSync(source).size;
+    outputBytes += statSync(output).size;
+  });
+
+  writeFileSync(MANIFEST_PATH, `${JSON.stringify({ textures }, null, 2)}\n`);
+
+  mkdirSync(TRANSCODER_TARGET, { recursive: true });
+  TRANSCODER_FILES.forEach(file => copyFileSync(join(TRANSCODER_SOURCE, file), join(TRANSCODER_TARGET, file)));
+
+  console.log(`\n共 ${Object.keys(textures).length} 张贴图，${formatSize(sourceBytes)} → ${formatSize(outputBytes)}`);
+  console.log(`清单: ${toUrl(MANIFEST_PATH)}，转码器: ${toUrl(TRANSCODER_TARGET)}/`);
+  if (failed.length > 0) {
+    console.error(`${failed.length} 张转换失败，运行时使用原图`);
+    process.exitCode = 1;
+  }
+}
+
+main();
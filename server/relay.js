@@ -0,0 +1,135 @@
+import { WebSocketServer } from 'ws';
+
+/**
+ * 多人课堂中继：按房间转发各用户的状态（显示名、头像模型、座位、头部朝向）
+ *
+ * 启动：npm run relay（默认端口 8787，可用 PORT 环境变量修改）
+ *
+ * 协议（JSON 文本帧）：
+ *   客户端 → 中继
+ *     { "type": "join", "room": "demo", "state": { ... } }   加入房间，附带初始状态
+ *     { "type": "state", "state": { ... } }                  部分状态更新，合并到该用户的状态
+ *   中继 → 客户端
+ *     { "type": "welcome", "id": 3, "peers": [{ "id", "state" }] }  加入成功，返回房间内其他人
+ *     { "type": "join", "id": 4, "state": { ... } }                  有人加入
+ *     { "type": "state", "id": 4, "state": { ... } }                 有人更新状态（部分）
+ *     { "type": "leave", "id": 4 }                                   有人离开
+ *     { "type": "error", "message": "..." }
+ *
+ * 中继只保存和转发状态，不做校验以外的处理；房间在最后一人离开时删除
+ */
+
+const PORT = Number(process.env.PORT ?? 8787);
+// 单条消息上限（字节），状态都很小，超出视为异常客户端
+const MAX_PAYLOAD = 16 * 1024;
+// 心跳间隔（毫秒）：两次心跳都没有回应的连接被断开
+const HEARTBEAT_INTERVAL = 30000;
+// 房间号只允许字母、数字、下划线和连字符
+const ROOM_PATTERN = /^[\w-]{1,64}$/;
+// 状态中丢弃的键：合并到已有对象时会改写对象的原型
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const rooms = new Map(); // 房间号 -> Map(用户 id -> { socket, state })
+let nextId = 1;
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const broadcast = (members, message, exceptId) => {
+  const data = JSON.stringify(message);
+  members.forEach(({ socket }, id) => {
+    if (id !== exceptId && socket.readyState === socket.OPEN) socket.send(data);
+  });
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// head 必须是两个有限数 [yaw, pitch]
+const isValidHead = head => Array.isArray(head) && head.length === 2 && head.every(Number.isFinite);
+
+// 只保留状态自身的安全键，丢弃格式不对的 head（Object.fromEntries 按数据属性写入，不会触发 __proto__ 的 setter）
+const sanitizeState = state => Object.fromEntries(Object.entries(state).filter(([key, value]) => (
+  !UNSAFE_KEYS.has(key) && (key !== 'head' || isValidHead(value))
+)));
+
+const wss = new WebSocketServer({ port: PORT, maxPayload: MAX_PAYLOAD });
+
+wss.on('connection', (socket) => {
+  let roomId = null;
+  let id = null;
+  socket.isAlive = true;
+  socket.on('pong', () => { socket.isAlive = true; });
+
+  const leave = () => {
+    if (!roomId) return;
+    const members = rooms.get(roomId);
+    members.delete(id);
+    if (members.size === 0) {
+      rooms.delete(roomId);
+    } else {
+      broadcast(members, { type: 'leave', id });
+    }
+    console.log(`[${roomId}] 用户 ${id} 离开，剩余 ${members.size} 人`);
+    roomId = null;
+  };
+
+  socket.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      send(socket, { type: 'error', message: '消息不是有效的 JSON' });
+      return;
+    }
+    if (!isPlainObject(message)) return;
+
+    if (message.type === 'join') {
+      if (typeof message.room !== 'string' || !ROOM_PATTERN.test(message.room)) {
+        send(socket, { type: 'error', message: `无效的房间号: ${message.room}` });
+        return;
+      }
+      leave();
+      roomId = message.room;
+      id = nextId++;
+      const state = isPlainObject(message.state) ? sanitizeState(message.state) : {};
+      if (!rooms.has(roomId)) rooms.set(roomId, new Map());
+      const members = rooms.get(roomId);
+      send(socket, {
+        type: 'welcome',
+        id,
+        peers: [...members].map(([peerId, member]) => ({ id: peerId, state: member.state }))
+      });
+      broadcast(members, { type: 'join', id, state });
+      members.set(id, { socket, state });
+      console.log(`[${roomId}] 用户 ${id} 加入，共 ${members.size} 人`);
+      return;
+    }
+
+    if (message.type === 'state') {
+      if (!roomId || !isPlainObject(message.state)) return;
+      const members = rooms.get(roomId);
+      const state = sanitizeState(message.state);
+      Object.assign(members.get(id).state, state);
+      broadcast(members, { type: 'state', id, state }, id);
+    }
+  });
+
+  socket.on('close', leave);
+  socket.on('error', error => console.warn('连接出错:', error.message));
+});
+
+// 心跳：清理没有正常关闭的连接（如断网、休眠），否则其他人会一直看到这个用户
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((socket) => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, HEARTBEAT_INTERVAL);
+wss.on('close', () => clearInterval(heartbeat));
+
+wss.on('listening', () => console.log(`多人课堂中继已启动: ws://localhost:${PORT}`));
@@ -0,0 +1,433 @@
+import * as THREE from 'three';
+import { assets } from './assets.js';
+
+/**
+ * 智能教学一体机的播放控制：幻灯片（图片序列）、视频、PDF 页面，以及画布 / 屏幕共享的实时镜像
+ *
+ * 不同比例的内容按“留黑边”方式适配：缩放屏幕面板而非拉伸贴图，露出后面的黑色外壳
+ * 屏幕的自发光强度和前方补光随画面平均亮度变化，暗场时屏幕不会把教室照亮
+ * 课件图片经共用的 assets.manager 加载（计入加载进度）；加载失败的页面记入资源错误列表，该页显示默认画面
+ */
+
+// 屏幕自发光：画面平均亮度为 0 / 1 时的强度（默认图片约为 0.3）
+const EMISSIVE_MIN = 0.12;
+const EMISSIVE_MAX = 0.45;
+// 屏幕前方补光的最大强度
+const GLOW_MAX_INTENSITY = 0.6;
+// 视频 / 镜像画面亮度的采样间隔（秒）
+const VIDEO_SAMPLE_INTERVAL = 0.5;
+// PDF 页面渲染宽度（像素）
+const PDF_RENDER_WIDTH = 2048;
+
+// 亮度采样用的小画布
+const sampleCanvas = document.createElement('canvas');
+sampleCanvas.width = 16;
+sampleCanvas.height = 16;
+const sampleCtx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+
+/**
+ * 计算图片 / 画布 / 视频当前画面的平均颜色
+ * @param {CanvasImageSource} source
+ * @returns {THREE.Color|null} 跨域图片无法读取像素时返回 null
+ */
+function sampleAverageColor(source) {
+  try {
+    sampleCtx.clearRect(0, 0, 16, 16);
+    sampleCtx.drawImage(source, 0, 0, 16, 16);
+    const data = sampleCtx.getImageData(0, 0, 16, 16).data;
+    let r = 0, g = 0, b = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      r += data[i];
+      g += data[i + 1];
+      b += data[i + 2];
+    }
+    const n = data.length / 4 * 255;
+    return new THREE.Color().setRGB(r / n, g / n, b / n, THREE.SRGBColorSpace);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 读取画面源的宽高比
+ * @param {CanvasImageSource} source
+ */
+function getSourceAspect(source) {
+  const w = source.videoWidth || source.naturalWidth || source.width;
+  const h = source.videoHeight || source.naturalHeight || source.height;
+  return w && h ? w / h : null;
+}
+
+/**
+ * 按需加载 pdf.js（首次打开 PDF 时才下载）
+ */
+let pdfjsPromise = null;
+function loadPdfjs() {
+  if (!pdfjsPromise) {
+    pdfjsPromise = Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ]).then(([pdfjs, worker]) => {
+      pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+}
+
+/**
+ * 把幻灯片描述统一为对象：字符串按后缀识别为图片、视频或 PDF
+ * @param {string|object} item
+ */
+function normalizeSlide(item) {
+  if (typeof item !== 'string') return item;
+  if (/\.(mp4|webm|ogv|mov)(\?|#|$)/i.test(item)) return { type: 'video', url: item };
+  if (/\.pdf(\?|#|$)/i.test(item)) return { type: 'pdf', url: item };
+  return { type: 'image', url: item };
+}
+
+/**
+ * 创建一体机播放控制器
+ * @param {object} options
+ * @param {THREE.Mesh} options.screen 屏幕面板（几何尺寸即可视区域）
+ * @param {THREE.Texture} options.defaultTexture 默认画面
+ * @param {number} options.screenAspect 屏幕宽高比
+ * @param {THREE.PointLight} [options.glowLight] 屏幕前方的补光
+ */
+export function createSmartDisplayController({ screen, defaultTexture, screenAspect, glowLight }) {
+  const material = screen.material;
+  const textureLoader = new THREE.TextureLoader(assets.manager);
+  const listeners = new Set();
+
+  let slides = [];        // 当前课件的幻灯片列表（PDF 已展开为逐页）
+  let index = -1;         // 当前幻灯片，-1 表示显示默认画面
+  let video = null;       // 正在播放的视频元素
+  let mirrored = null;    // 正在镜像的画布或媒体流 { canvas?, video?, stream?, ownsStream }
+  let ownedTextures = []; // 由控制器创建、切换时需要释放的贴图
+  let loadToken = 0;      // 防止慢加载的旧幻灯片覆盖新幻灯片
+  let targetColor = new THREE.Color(0.45, 0.45, 0.45);
+  let sampleTimer = 0;
+  let defaultSampled = false; // 默认画面异步加载，加载完成后再采样一次；每次回到默认画面时重新采样
+
+  const emit = () => listeners.forEach(fn => fn(getState()));
+
+  const getState = () => ({
+    index,
+    count: slides.length,
+    type: mirrored ? 'mirror' : index >= 0 ? slides[index].type : 'default',
+    playing: !!video && !video.paused
+  });
+
+  // 按内容比例缩放屏幕面板，保持 2388x1502 屏幕内的留黑边效果
+  const fitAspect = (aspect) => {
+    if (!aspect || Math.abs(aspect - screenAspect) < 1e-3) {
+      screen.scale.set(1, 1, 1);
+    } else if (aspect > screenAspect) {
+      screen.scale.set(1, screenAspect / aspect, 1);
+    } else {
+      screen.scale.set(aspect / screenAspect, 1, 1);
+    }
+  };
+
+  const trackColor = (source) => {
+    const color = sampleAverageColor(source);
+    if (color) targetColor = color;
+  };
+
+  const stopVideo = () => {
+    if (!video) return;
+    video.pause();
+    video.removeAttribute('src');
+    video.load();
+    video = null;
+  };
+
+  const stopMirror = () => {
+    if (!mirrored) return;
+    if (mirrored.video) {
+      mirrored.video.pause();
+      mirrored.video.srcObject = null;
+    }
+    if (mirrored.ownsStream) mirrored.stream.getTracks().forEach(track => track.stop());
+    mirrored = null;
+  };
+
+  const releaseTextures = () => {
+    ownedTextures.forEach(tex => tex.dispose());
+    ownedTextures = [];
+  };
+
+  // 切换到新贴图；owned 为 true 表示贴图由控制器创建，下次切换时释放
+  const applyTexture = (texture, aspect, source, owned = true) => {
+    releaseTextures();
+    if (owned) ownedTextures.push(texture);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = 16;
+    material.map = texture;
+    material.emissiveMap = texture;
+    material.needsUpdate = true;
+    fitAspect(aspect);
+    if (source) trackColor(source);
+  };
+
+  const renderPdfPage = async (slide) => {
+    const page = await slide.doc.getPage(slide.page);
+    const viewport = page.getViewport({ scale: 1 });
+    const scaled = page.getViewport({ scale: PDF_RENDER_WIDTH / viewport.width });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(scaled.width);
+    canvas.height = Math.round(scaled.height);
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport: scaled }).promise;
+    return canvas;
+  };
+
+  const showSlide = async (i) => {
+    const token = ++loadToken;
+    stopVideo();
+    stopMirror();
+    index = i;
+    emit();
+
+    const showDefault = () => {
+      defaultSampled = false;
+      applyTexture(defaultTexture, getSourceAspect(defaultTexture.image ?? {}) ?? screenAspect, defaultTexture.image, false);
+    };
+    if (i < 0) {
+      showDefault();
+      return;
+    }
+
+    const slide = slides[i];
+    try {
+      await loadSlide(slide, token);
+    } catch (error) {
+      if (token !== loadToken) return;
+      assets.reportError({
+        url: slide.url,
+        kind: slide.type === 'image' ? 'texture' : 'file',
+        error,
+        fallback: `一体机第 ${i + 1} 页显示默认画面`
+      });
+      showDefault();
+    }
+  };
+
+  // 加载并显示一页课件；token 变化说明已经翻到别的页
+  const loadSlide = async (slide, token) => {
+    if (slide.type === 'image') {
+      const texture = await textureLoader.loadAsync(slide.url);
+      if (token !== loadToken) return texture.dispose();
+      applyTexture(texture, getSourceAspect(texture.image), texture.image);
+    } else if (slide.type === 'pdf') {
+      const canvas = await renderPdfPage(slide);
+      if (token !== loadToken) return;
+      const texture = new THREE.CanvasTexture(canvas);
+      applyTexture(texture, canvas.width / canvas.height, canvas);
+    } else if (slide.type === 'video') {
+      const el = document.createElement('video');
+      el.src = slide.url;
+      el.crossOrigin = 'anonymous';
+      el.playsInline = true;
+      el.loop = !!slide.loop;
+      el.muted = !!slide.muted;
+      video = el;
+      el.addEventListener('play', emit);
+      el.addEventListener('pause', emit);
+      const texture = new THREE.VideoTexture(el);
+      el.addEventListener('loadedmetadata', () => {
+        if (video === el) fitAspect(getSourceAspect(el));
+      });
+      applyTexture(texture, screenAspect);
+      await el.play().catch((error) => console.warn('视频需要点击后播放:', error));
+    }
+  };
+
+  /**
+   * 把 { type: 'pdf', url } 展开为逐页幻灯片
+   * @param {Array<object>} items
+   */
+  const expandPdfSlides = async (items) => {
+    const expanded = [];
+    for (const item of items) {
+      if (item.type === 'pdf' && !item.doc) {
+        const pdfjs = await loadPdfjs();
+        const doc = await pdfjs.getDocument(item.url).promise;
+        const pages = item.page ? [item.page] : Array.from({ length: doc.numPages }, (_, p) => p + 1);
+        pages.forEach(page => expanded.push({ type: 'pdf', url: item.url, doc, page }));
+      } else {
+        expanded.push(item);
+      }
+    }
+    return expanded;
+  };
+
+  const showSafely = (i) => showSlide(i).catch((error) => {
+    console.error('一体机内容加载出错:', error);
+  });
+
+  /**
+   * 把画布或媒体流绑定为屏幕贴图
+   * @param {HTMLCanvasElement|MediaStream} source
+   * @param {boolean} ownsStream 结束镜像时是否停止媒体流（屏幕共享由控制器发起时为 true）
+   */
+  const startMirror = (source, ownsStream) => {
+    ++loadToken;
+    stopVideo();
+    stopMirror();
+
+    if (source instanceof HTMLCanvasElement) {
+      mirrored = { canvas: source, ownsStream: false };
+      applyTexture(new THREE.CanvasTexture(source), getSourceAspect(source), source);
+    } else if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) {
+      const el = document.createElement('video');
+      el.srcObject = source;
+      el.muted = true;
+      el.playsInline = true;
+      mirrored = { video: el, stream: source, ownsStream };
+      // 共享的窗口被关闭或用户点击浏览器的“停止共享”时，回到课件
+      source.getVideoTracks().forEach((track) => {
+        track.addEventListener('ended', () => {
+          if (mirrored?.stream === source) showSafely(index);
+        });
+      });
+      applyTexture(new THREE.VideoTexture(el), screenAspect);
+      el.play().catch((error) => console.warn('镜像画面播放失败:', error));
+    } else {
+      throw new TypeError('一体机镜像只支持 HTMLCanvasElement 或 MediaStream');
+    }
+    emit();
+  };
+
+  return {
+    screen,
+
+    /**
+     * 设置课件并显示第一张
+     * @param {Array<string|object>} items 图片 / 视频 / PDF 地址，或 { type, url, page?, loop?, muted? }
+     */
+    async setSlides(items) {
+      const expanded = await expandPdfSlides(items.map(normalizeSlide));
+      slides.forEach(s => {
+        if (s.doc && !expanded.some(e => e.doc === s.doc)) s.doc.destroy();
+      });
+      slides = expanded;
+      await showSafely(slides.length > 0 ? 0 : -1);
+    },
+
+    /** 打开整份 PDF 作为课件 */
+    loadPdf(url) {
+      return this.setSlides([{ type: 'pdf', url }]);
+    },
+
+    /** 播放单个视频 */
+    playVideo(url, options = {}) {
+      return this.setSlides([{ type: 'video', url, ...options }]);
+    },
+
+    next() {
+      if (index < slides.length - 1) return showSafely(index + 1);
+    },
+
+    prev() {
+      if (index > 0) return showSafely(index - 1);
+    },
+
+    /** @param {number} i 从 0 开始；-1 为默认画面 */
+    goTo(i) {
+      return showSafely(THREE.MathUtils.clamp(i, -1, slides.length - 1));
+    },
+
+    /** 恢复默认画面（保留课件，可继续翻页） */
+    showDefault() {
+      return showSafely(-1);
+    },
+
+    /**
+     * 实时镜像画布或媒体流（如编程沙盒的画布、摄像头、getDisplayMedia 的屏幕共享）
+     * 画面每帧刷新，比例与屏幕不同时留黑边；翻页或调用 stopMirror 后恢复课件
+     * @param {HTMLCanvasElement|MediaStream} source
+     */
+    mirror(source) {
+      startMirror(source, false);
+    },
+
+    /**
+     * 发起屏幕共享并镜像到一体机，需要在用户点击等手势中调用
+     * @param {DisplayMediaStreamOptions} [options] 传给 getDisplayMedia 的参数
+     * @returns {Promise<MediaStream>}
+     */
+    async shareScreen(options = { video: true, audio: false }) {
+      const stream = await navigator.mediaDevices.getDisplayMedia(options);
+      startMirror(stream, true);
+      return stream;
+    },
+
+    /** 结束镜像，回到当前课件 */
+    stopMirror() {
+      if (mirrored) return showSafely(index);
+    },
+
+    /** 视频播放 / 暂停 */
+    togglePlay() {
+      if (!video) return;
+      if (video.paused) {
+        video.play().catch((error) => console.warn('视频播放失败:', error));
+      } else {
+        video.pause();
+      }
+    },
+
+    getState,
+
+    /**
+     * 订阅状态变化（翻页、播放 / 暂停）
+     * @param {(state: object) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * 每帧调用：刷新镜像画面，采样视频 / 镜像亮度，并平滑过渡自发光与补光
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      if (index < 0 && !defaultSampled && getSourceAspect(defaultTexture.image ?? {})) {
+        defaultSampled = true;
+        fitAspect(getSourceAspect(defaultTexture.image));
+        trackColor(defaultTexture.image);
+      }
+      if (mirrored?.canvas) material.map.needsUpdate = true;
+      const live = mirrored ? (mirrored.canvas ?? mirrored.video) : video;
+      if (live && (live.readyState === undefined || live.readyState >= 2)) {
+        // 镜像源的尺寸可能随时变化（画布调整大小、共享的窗口缩放）
+        if (mirrored) fitAspect(getSourceAspect(live));
+        sampleTimer += delta;
+        if (sampleTimer >= VIDEO_SAMPLE_INTERVAL) {
+          sampleTimer = 0;
+          trackColor(live);
+        }
+      }
+      const luminance = 0.2126 * targetColor.r + 0.7152 * targetColor.g + 0.0722 * targetColor.b;
+      const k = 1 - Math.exp(-delta * 4);
+      material.emissiveIntensity = THREE.MathUtils.lerp(
+        material.emissiveIntensity, EMISSIVE_MIN + (EMISSIVE_MAX - EMISSIVE_MIN) * luminance, k
+      );
+      if (glowLight) {
+        glowLight.color.lerp(targetColor, k);
+        glowLight.intensity = THREE.MathUtils.lerp(glowLight.intensity, GLOW_MAX_INTENSITY * luminance, k);
+      }
+    },
+
+    dispose() {
+      stopVideo();
+      stopMirror();
+      releaseTextures();
+      slides.forEach(s => s.doc?.destroy());
+      slides = [];
+      listeners.clear();
+    }
+  };
+}
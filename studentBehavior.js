@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+
+/**
+ * 学生行为模拟：每位学生一个状态机，在认真听讲、记笔记、东张西望、举手、打瞌睡之间切换
+ *
+ * - 每位学生有随机的相位偏移和停留时长，全班不会整齐划一地摆动
+ * - 认真听讲和举手时视线（眼睛 + 头部转向）跟随全班的关注点：老师或一体机
+ * - 课程脚本可以直接触发状态，如 students[3].raiseHand()
+ * - 有动作片段（见 avatarAnimation.js）时优先播放片段，否则用程序化姿势
+ *
+ * 程序化姿势是叠加在坐姿上的骨骼偏移，按 VRM 1.0 的规范化骨骼朝向编写（x 正值为低头）
+ */
+
+export const STUDENT_STATES = ['attentive', 'writing', 'lookingAround', 'raisingHand', 'dozing'];
+
+// 自主切换时各状态的概率和停留时长（秒）
+const AUTONOMOUS_STATES = [
+  { state: 'attentive', weight: 0.6, min: 6, max: 15 },
+  { state: 'writing', weight: 0.25, min: 3, max: 8 },
+  { state: 'lookingAround', weight: 0.1, min: 2, max: 4 },
+  { state: 'dozing', weight: 0.05, min: 5, max: 10 }
+];
+
+// 状态对应的动作片段名，未列出的状态使用 sitting
+const STATE_CLIPS = { writing: 'writing', raisingHand: 'raiseHand' };
+
+// 状态之间姿势过渡的速度（越大越快）
+const BLEND_SPEED = 4;
+// 头部跟随关注点转动的比例和最大角度（其余靠眼睛）
+const HEAD_FOLLOW = 0.6;
+const HEAD_MAX_YAW = 0.7;
+const HEAD_MAX_PITCH = 0.3;
+
+// 受行为影响的骨骼
+const BONES = ['spine', 'neck', 'head', 'rightUpperArm', 'rightLowerArm'];
+
+/**
+ * 各状态在坐姿上叠加的骨骼偏移（弧度）
+ * @param {number} t 加上相位偏移后的时间
+ * @param {{ yaw: number, pitch: number }} focus 关注点相对头部的方向
+ */
+const STATE_POSES = {
+  attentive: (t, focus) => ({
+    spine: { z: Math.sin(t * 0.2) * 0.02 },
+    neck: { x: Math.sin(t * 0.8) * 0.02 + 0.02 + focus.pitch * 0.5 },
+    head: { y: Math.sin(t * 0.4) * 0.05 + focus.yaw, z: Math.sin(t * 0.3) * 0.03 }
+  }),
+  writing: (t) => ({
+    spine: { x: 0.08 },
+    neck: { x: 0.35 + Math.sin(t * 0.5) * 0.03 },
+    head: { x: 0.15, y: Math.sin(t * 0.7) * 0.05 },
+    // 写字时前臂细碎地来回移动
+    rightLowerArm: { y: Math.sin(t * 7) * 0.05 }
+  }),
+  lookingAround: (t) => ({
+    spine: { y: Math.sin(t * 0.9) * 0.15 },
+    head: { x: Math.sin(t * 0.45) * 0.1, y: Math.sin(t * 0.9) * 0.6 }
+  }),
+  raisingHand: (t, focus) => ({
+    head: { x: -0.05 + focus.pitch * 0.5, y: focus.yaw },
+    // 手臂的绝对姿势在 getRaisedArm 中按模型版本计算
+    raisedArm: 1
+  }),
+  dozing: (t) => ({
+    neck: { x: 0.45 + Math.sin(t * 0.25) * 0.08 },
+    head: { z: 0.1 + Math.sin(t * 0.25) * 0.03 }
+  })
+};
+
+/**
+ * 按权重随机选择下一个自主状态
+ */
+function pickAutonomousState() {
+  let r = Math.random();
+  for (const entry of AUTONOMOUS_STATES) {
+    r -= entry.weight;
+    if (r <= 0) return entry;
+  }
+  return AUTONOMOUS_STATES[0];
+}
+
+/**
+ * 创建学生行为控制器
+ * @param {import('@pixiv/three-vrm').VRM|THREE.Object3D} student VRM 或占位人偶
+ * @param {object} [options]
+ * @param {string} [options.name]
+ * @param {number} [options.row]
+ * @param {number} [options.col]
+ * @param {object} [options.animator] createAvatarAnimator 创建的动画控制器
+ * @param {THREE.Object3D} [options.focusTarget] 全班的关注点（跟随老师或一体机移动）
+ */
+export function createStudentBehavior(student, { name = '', row = null, col = null, animator = null, focusTarget = null } = {}) {
+  const vrm = student.humanoid ? student : null;
+  const object = vrm ? vrm.scene : student;
+  // 程序化偏移按 VRM 1.0 编写，VRM 0.x 的规范化骨骼 x / z 轴方向相反
+  const flip = vrm?.meta?.metaVersion === '0' ? -1 : 1;
+  const phase = Math.random() * 100;
+
+  // 骨骼及其坐姿下的初始旋转
+  const bones = {};
+  if (vrm) {
+    BONES.forEach((bone) => {
+      const node = vrm.humanoid.getNormalizedBoneNode(bone);
+      if (node) bones[bone] = { node, base: node.rotation.clone() };
+    });
+  } else {
+    const head = object.getObjectByName('head');
+    if (head) bones.head = { node: head, base: head.rotation.clone() };
+  }
+  const raisedArmMesh = vrm ? null : object.getObjectByName('raisedArm');
+
+  const weights = Object.fromEntries(STUDENT_STATES.map(state => [state, state === 'attentive' ? 1 : 0]));
+  let state = 'attentive';
+  let timer = THREE.MathUtils.randFloat(0, AUTONOMOUS_STATES[0].max); // 错开第一次切换
+  let autonomous = true;
+  const listeners = new Set();
+
+  const focus = { yaw: 0, pitch: 0 };
+  const headWorld = new THREE.Vector3();
+  const targetWorld = new THREE.Vector3();
+  const inverse = new THREE.Matrix4();
+
+  // 举手时右臂的绝对姿势：上臂向上伸直，前臂伸直
+  const getRaisedArm = () => {
+    const sign = vrm?.meta?.metaVersion === '0' ? 1 : -1;
+    return {
+      rightUpperArm: { x: 0, y: 0, z: sign * 1.3 },
+      rightLowerArm: { x: 0, y: 0, z: 0 }
+    };
+  };
+
+  // 播放当前状态的动作片段；没有片段时动画控制器回到程序化姿势
+  const playClip = () => {
+    animator?.play(STATE_CLIPS[state] ?? 'sitting', { phase: Math.random(), loop: true });
+  };
+
+  const enter = (next, duration) => {
+    const previous = state;
+    state = next;
+    timer = duration;
+    if (vrm?.lookAt) {
+      vrm.lookAt.target = next === 'dozing' || next === 'lookingAround' ? null : focusTarget;
+      if (!vrm.lookAt.target) vrm.lookAt.reset();
+    }
+    playClip();
+    if (previous !== next) listeners.forEach(fn => fn(next, previous));
+  };
+
+  // 计算关注点相对学生头部的偏航 / 俯仰（学生自身坐标系，面向 +Z）
+  const updateFocus = () => {
+    const head = bones.head?.node;
+    if (!focusTarget || !head) {
+      focus.yaw = 0;
+      focus.pitch = 0;
+      return;
+    }
+    head.getWorldPosition(headWorld);
+    focusTarget.getWorldPosition(targetWorld);
+    targetWorld.sub(headWorld);
+    inverse.copy(object.matrixWorld).invert().setPosition(0, 0, 0);
+    targetWorld.applyMatrix4(inverse);
+    const yaw = Math.atan2(targetWorld.x, targetWorld.z);
+    const pitch = -Math.atan2(targetWorld.y, Math.hypot(targetWorld.x, targetWorld.z));
+    focus.yaw = THREE.MathUtils.clamp(yaw * HEAD_FOLLOW, -HEAD_MAX_YAW, HEAD_MAX_YAW);
+    focus.pitch = THREE.MathUtils.clamp(pitch * HEAD_FOLLOW, -HEAD_MAX_PITCH, HEAD_MAX_PITCH);
+  };
+
+  const applyPose = (time) => {
+    const t = time + phase;
+    const offsets = {};
+    let raised = 0;
+    STUDENT_STATES.forEach((s) => {
+      const w = weights[s];
+      if (w < 1e-3) return;
+      const pose = STATE_POSES[s](t, focus);
+      raised += (pose.raisedArm ?? 0) * w;
+      BONES.forEach((bone) => {
+        if (!pose[bone]) return;
+        if (!offsets[bone]) offsets[bone] = { x: 0, y: 0, z: 0 };
+        const o = offsets[bone];
+        o.x += (pose[bone].x ?? 0) * w;
+        o.y += (pose[bone].y ?? 0) * w;
+        o.z += (pose[bone].z ?? 0) * w;
+      });
+    });
+
+    const raisedArm = raised > 0 ? getRaisedArm() : null;
+    Object.entries(bones).forEach(([bone, { node, base }]) => {
+      const o = offsets[bone] ?? { x: 0, y: 0, z: 0 };
+      node.rotation.set(base.x + o.x * flip, base.y + o.y, base.z + o.z * flip);
+      // 举手：在坐姿和举手的绝对姿势之间插值
+      if (raisedArm?.[bone]) {
+        node.rotation.x = THREE.MathUtils.lerp(node.rotation.x, raisedArm[bone].x, raised);
+        node.rotation.y = THREE.MathUtils.lerp(node.rotation.y, raisedArm[bone].y, raised);
+        node.rotation.z = THREE.MathUtils.lerp(node.rotation.z, raisedArm[bone].z, raised);
+      }
+    });
+
+    if (raisedArmMesh) {
+      raisedArmMesh.visible = raised > 0.05;
+      raisedArmMesh.scale.setScalar(Math.max(raised, 0.05));
+    }
+  };
+
+  const api = {
+    name,
+    row,
+    col,
+    /** VRM 或占位人偶 */
+    student,
+    object,
+
+    /**
+     * 切换到指定状态
+     * @param {string} next STUDENT_STATES 之一
+     * @param {object} [options]
+     * @param {number} [options.duration] 持续秒数，之后恢复自主行为；缺省时一直保持
+     */
+    setState(next, { duration = Infinity } = {}) {
+      if (!STUDENT_STATES.includes(next)) {
+        throw new Error(`未知的学生状态: ${next}，可用状态为 ${STUDENT_STATES.join(' / ')}`);
+      }
+      enter(next, duration);
+      return api;
+    },
+
+    /** 举手（默认一直举着，直到 lowerHand 或 attend） */
+    raiseHand(duration) {
+      return api.setState('raisingHand', { duration });
+    },
+
+    /** 放下手，回到自主行为 */
+    lowerHand() {
+      if (state === 'raisingHand') api.resume();
+      return api;
+    },
+
+    writeNotes(duration = 6) {
+      return api.setState('writing', { duration });
+    },
+
+    lookAround(duration = 3) {
+      return api.setState('lookingAround', { duration });
+    },
+
+    doze(duration = 8) {
+      return api.setState('dozing', { duration });
+    },
+
+    /** 认真听讲 */
+    attend(duration) {
+      return api.setState('attentive', { duration });
+    },
+
+    /** 结束脚本触发的状态，回到自主行为（关闭自主行为时回到认真听讲） */
+    resume() {
+      if (!autonomous) {
+        enter('attentive', Infinity);
+        return api;
+      }
+      const next = pickAutonomousState();
+      enter(next.state, THREE.MathUtils.randFloat(next.min, next.max));
+      return api;
+    },
+
+    /**
+     * 是否自主切换状态（关闭后保持当前状态，完全由脚本控制）
+     * @param {boolean} value
+     */
+    setAutonomous(value) {
+      autonomous = value;
+      return api;
+    },
+
+    getState() {
+      return state;
+    },
+
+    /**
+     * 订阅状态变化
+     * @param {(state: string, previous: string) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onStateChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * 每帧调用（在动画控制器之后、vrm.update 之前）
+     * @param {number} delta 秒
+     * @param {number} time 累计时间（秒）
+     */
+    update(delta, time) {
+      timer -= delta;
+      if (timer <= 0) api.resume();
+
+      const k = 1 - Math.exp(-delta * BLEND_SPEED);
+      STUDENT_STATES.forEach((s) => {
+        weights[s] = THREE.MathUtils.lerp(weights[s], s === state ? 1 : 0, k);
+      });
+
+      vrm?.expressionManager?.setValue('blink', weights.dozing);
+
+      // 动作片段是异步加载的，加载完成后补播当前状态的片段
+      const clip = STATE_CLIPS[state] ?? 'sitting';
+      if (animator && animator.getCurrent() !== clip && animator.has(clip)) playClip();
+
+      // 正在播放动作片段时由片段控制骨骼
+      if (animator?.getCurrent()) return;
+      updateFocus();
+      applyPose(time);
+    }
+  };
+
+  if (vrm?.lookAt) vrm.lookAt.target = focusTarget;
+  return api;
+}
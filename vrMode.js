@@ -0,0 +1,194 @@
+import * as THREE from 'three';
+import { VRButton } from 'three/addons/webxr/VRButton.js';
+import { createEventBus } from './interaction.js';
+
+/**
+ * VR 模式（WebXR）：戴头显坐在自己的座位上听课，手柄射线可以点击场景物体、在黑板上书写
+ *
+ * 相机挂在“平台”（rig）分组下，桌面模式时平台保持在原点；进入 VR 时把平台移到座位，头显位姿相对于平台：
+ *   - 坐姿（seated）：local 参考空间，原点为进入时的头部位置，平台放在座位的眼睛高度
+ *   - 房间（roomScale）：local-floor 参考空间，原点在地面，平台放在座位的地面上，可以在房间内走动
+ * 平台朝向座位视角的观察点（黑板方向）。
+ *
+ * 后期处理（SAO、辉光、SMAA 等）在 XR 中不能使用，VR 中由调用方直接渲染场景（见 main.js 的 animate）。
+ * 没有头显时可以用浏览器的 WebXR 模拟器扩展（如 Immersive Web Emulator）测试
+ */
+
+/**
+ * VR 事件类型
+ *   sessionstart: {}                           进入 VR
+ *   sessionend: {}                             退出 VR
+ *   selectstart: { index, button, raycaster }  按下扳机（button 为 'trigger'）或握把（'grip'）
+ *   selectmove: { index, button, raycaster }   按住期间每帧派发（如在黑板上拖动粉笔）
+ *   selectend: { index, button, raycaster }    松开
+ * index 为手柄序号，raycaster 已按手柄的指向设置好
+ */
+export const VR_EVENTS = ['sessionstart', 'sessionend', 'selectstart', 'selectmove', 'selectend'];
+
+/** VR 模式：坐姿 / 房间 */
+export const VR_MODES = ['seated', 'roomScale'];
+
+const REFERENCE_SPACES = {
+  seated: 'local',
+  roomScale: 'local-floor'
+};
+
+// 手柄射线：没有命中时的长度（米）和颜色
+const RAY_LENGTH = 5;
+const RAY_COLOR = 0x9fd4ff;
+// 射线末端光点的半径（米）
+const RAY_DOT_RADIUS = 0.012;
+const CONTROLLER_COUNT = 2;
+
+/**
+ * 创建 VR 模式控制器
+ * @param {object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.PerspectiveCamera} options.camera 会被挂到平台分组下
+ * @param {() => { position: Array<number>|THREE.Vector3, target: Array<number>|THREE.Vector3 }} options.getSeatView
+ *        当前座位的视角（眼睛位置和观察点），进入 VR 和 recenter 时使用
+ * @param {(raycaster: THREE.Raycaster) => number|null} [options.pick] 返回射线命中的距离（用于显示射线长度）
+ * @param {'seated'|'roomScale'} [options.mode]
+ */
+export function createVRMode({ renderer, scene, camera, getSeatView, pick, mode = 'seated' }) {
+  const events = createEventBus(VR_EVENTS);
+  const rig = new THREE.Group();
+  rig.name = 'vrRig';
+  scene.add(rig);
+  rig.add(camera);
+
+  renderer.xr.enabled = true;
+  renderer.xr.setReferenceSpaceType(REFERENCE_SPACES[mode]);
+  // 'layers' 在部分模拟器上不可用，只请求参考空间
+  const button = VRButton.createButton(renderer, { optionalFeatures: ['local-floor'] });
+
+  const rayGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]);
+  const rayMaterial = new THREE.LineBasicMaterial({ color: RAY_COLOR, transparent: true, opacity: 0.8 });
+  const dotGeometry = new THREE.SphereGeometry(RAY_DOT_RADIUS, 12, 8);
+  const dotMaterial = new THREE.MeshBasicMaterial({ color: RAY_COLOR });
+
+  // 每个手柄：{ controller, ray, dot, raycaster, pressed: 'trigger'|'grip'|null }
+  const hands = [];
+  for (let index = 0; index < CONTROLLER_COUNT; index++) {
+    const controller = renderer.xr.getController(index);
+    const ray = new THREE.Line(rayGeometry, rayMaterial);
+    ray.scale.z = RAY_LENGTH;
+    const dot = new THREE.Mesh(dotGeometry, dotMaterial);
+    dot.position.z = -RAY_LENGTH;
+    // 射线和落点不参与拾取，否则落点会挡住它所指的物体
+    ray.raycast = () => {};
+    dot.raycast = () => {};
+    controller.add(ray, dot);
+    rig.add(controller);
+    const raycaster = new THREE.Raycaster();
+    // 按手柄的指向设置射线
+    const aim = () => {
+      controller.updateMatrixWorld(true);
+      raycaster.ray.origin.setFromMatrixPosition(controller.matrixWorld);
+      raycaster.ray.direction.set(0, 0, -1).transformDirection(controller.matrixWorld);
+    };
+    const hand = { controller, ray, dot, raycaster, aim, pressed: null };
+    hands.push(hand);
+
+    const press = button => () => {
+      if (hand.pressed) return;
+      aim();
+      hand.pressed = button;
+      events.emit('selectstart', { index, button, raycaster });
+    };
+    const release = button => () => {
+      if (hand.pressed !== button) return;
+      aim();
+      hand.pressed = null;
+      events.emit('selectend', { index, button, raycaster });
+    };
+    controller.addEventListener('selectstart', press('trigger'));
+    controller.addEventListener('selectend', release('trigger'));
+    controller.addEventListener('squeezestart', press('grip'));
+    controller.addEventListener('squeezeend', release('grip'));
+    // 手柄断开时视为松开
+    controller.addEventListener('disconnected', () => {
+      if (hand.pressed) release(hand.pressed)();
+    });
+  }
+
+  const api = {
+    events,
+
+    /** 进入 / 退出 VR 的按钮（由调用方放入页面），不支持 WebXR 时显示为不可用 */
+    button,
+
+    rig,
+
+    isPresenting() {
+      return renderer.xr.isPresenting;
+    },
+
+    getMode() {
+      return mode;
+    },
+
+    /**
+     * 切换坐姿 / 房间模式，在下次进入 VR 时生效
+     * @param {'seated'|'roomScale'} value
+     */
+    setMode(value) {
+      if (!VR_MODES.includes(value)) throw new Error(`未知的 VR 模式: ${value}`);
+      mode = value;
+      if (!renderer.xr.isPresenting) renderer.xr.setReferenceSpaceType(REFERENCE_SPACES[mode]);
+    },
+
+    /** 把平台移到当前座位（换座位后调用），朝向座位视角的观察点 */
+    recenter() {
+      const { position, target } = getSeatView();
+      const from = Array.isArray(position) ? new THREE.Vector3().fromArray(position) : position.clone();
+      const to = Array.isArray(target) ? new THREE.Vector3().fromArray(target) : target;
+      // 头显的默认朝向为 -Z
+      rig.rotation.set(0, Math.atan2(from.x - to.x, from.z - to.z), 0);
+      rig.position.copy(from);
+      // 房间模式下头显位姿已包含身高，平台放在地面
+      if (mode === 'roomScale') rig.position.y = 0;
+    },
+
+    /**
+     * 每帧调用（VR 中）：更新手柄射线长度，按住按键时派发 selectmove
+     */
+    update() {
+      if (!renderer.xr.isPresenting) return;
+      hands.forEach((hand, index) => {
+        if (!hand.controller.visible) return;
+        hand.aim();
+        const distance = Math.min(pick?.(hand.raycaster) ?? RAY_LENGTH, RAY_LENGTH);
+        hand.ray.scale.z = distance;
+        hand.dot.position.z = -distance;
+        if (hand.pressed) events.emit('selectmove', { index, button: hand.pressed, raycaster: hand.raycaster });
+      });
+    },
+
+    dispose() {
+      hands.forEach(({ controller }) => rig.remove(controller));
+      rayGeometry.dispose();
+      rayMaterial.dispose();
+      dotGeometry.dispose();
+      dotMaterial.dispose();
+      button.remove();
+    }
+  };
+
+  renderer.xr.addEventListener('sessionstart', () => {
+    api.recenter();
+    events.emit('sessionstart', {});
+  });
+  renderer.xr.addEventListener('sessionend', () => {
+    // 回到桌面模式：平台归位，相机位置由调用方恢复
+    rig.position.set(0, 0, 0);
+    rig.rotation.set(0, 0, 0);
+    hands.forEach((hand) => {
+      hand.pressed = null;
+    });
+    events.emit('sessionend', {});
+  });
+
+  return api;
+}
@@ -0,0 +1,274 @@
+import * as THREE from 'three';
+import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+
+/**
+ * 第一人称漫游：WASD 行走（Shift 跑）、鼠标（指针锁定）环视，与教室中的墙壁、课桌椅、讲台、柜子等碰撞
+ *
+ * 碰撞体由教室网格的包围盒生成（见 buildColliders），只在水平面（XZ）上做圆形与包围盒的碰撞：
+ *   - 顶部不高于 STEP_HEIGHT 的物体（讲台地坪）可以踩上去
+ *   - 与身体高度范围相交的物体阻挡行走
+ *   - 贴地的水平面（地板、门外草地和小路）构成可行走区域，走出这些区域会被挡住
+ * 门板不参与碰撞，可以从右墙的前后门走出教室
+ */
+
+// 人的尺寸（米）
+const EYE_HEIGHT = 1.6;
+const BODY_HEIGHT = 1.75;
+const BODY_RADIUS = 0.25;
+// 可以直接迈上去的高度（讲台地坪为 0.25m）
+const STEP_HEIGHT = 0.3;
+// 行走速度（米 / 秒），按住 Shift 时乘以 RUN_MULTIPLIER
+const WALK_SPEED = 1.6;
+const RUN_MULTIPLIER = 2;
+// 加减速的平滑速度（越大越跟手）
+const ACCELERATION = 10;
+// 上下台阶时眼睛高度的平滑速度
+const STEP_SMOOTHING = 12;
+// 判定为地面的水平面：厚度和离地高度的容差
+const GROUND_THICKNESS = 0.02;
+const GROUND_MAX_Y = 0.02;
+const GROUND_MIN_Y = -0.2;
+// 起点被课桌椅挡住时，向外搜索空位的最大半径和步长（米）
+const SPAWN_SEARCH_RADIUS = 3;
+const SPAWN_SEARCH_STEP = 0.25;
+// 不参与碰撞的分组（门可以穿过）
+const PASSABLE_NAMES = ['frontDoor', 'backDoor'];
+
+// 方向键留给一体机翻页，行走只用 WASD
+const KEY_DIRECTIONS = {
+  KeyW: [0, 1],
+  KeyS: [0, -1],
+  KeyA: [-1, 0],
+  KeyD: [1, 0]
+};
+
+/**
+ * 从场景分组生成碰撞体
+ * @param {THREE.Object3D} root 通常是 createClassroom 返回的教室分组
+ * @returns {{ obstacles: Array<THREE.Box3>, grounds: Array<THREE.Box3> }}
+ *          obstacles 为阻挡 / 可踩的物体包围盒，grounds 为可行走区域
+ */
+export function buildColliders(root) {
+  const obstacles = [];
+  const grounds = [];
+  root.updateWorldMatrix(true, true);
+  const instanceMatrix = new THREE.Matrix4();
+
+  const addBox = (box) => {
+    const thickness = box.max.y - box.min.y;
+    if (thickness < GROUND_THICKNESS && box.max.y <= GROUND_MAX_Y && box.min.y >= GROUND_MIN_Y) {
+      grounds.push(box);
+    } else if (box.min.y < BODY_HEIGHT + STEP_HEIGHT) {
+      // 高处的天花板、灯具等碰不到，不计入
+      obstacles.push(box);
+    }
+  };
+
+  const visit = (object) => {
+    if (!object.visible || PASSABLE_NAMES.includes(object.name)) return;
+    if (object.isMesh) {
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      // 光束等叠加混合、不写深度的特效不是实体
+      const solid = materials.some(m => m.visible && m.depthWrite !== false && m.blending !== THREE.AdditiveBlending);
+      if (solid) {
+        // 只取网格自身的包围盒（setFromObject 会把子物体也并进来）
+        if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+        if (object.isInstancedMesh) {
+          // 实例化的课桌椅等：每个实例一个包围盒
+          for (let i = 0; i < object.count; i++) {
+            object.getMatrixAt(i, instanceMatrix);
+            addBox(object.geometry.boundingBox.clone().applyMatrix4(instanceMatrix.premultiply(object.matrixWorld)));
+          }
+        } else {
+          addBox(object.geometry.boundingBox.clone().applyMatrix4(object.matrixWorld));
+        }
+      }
+    }
+    object.children.forEach(visit);
+  };
+  visit(root);
+  return { obstacles, grounds };
+}
+
+/**
+ * 创建漫游控制器
+ * @param {object} options
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {HTMLElement} options.domElement 点击后锁定指针
+ * @param {{ obstacles: Array<THREE.Box3>, grounds: Array<THREE.Box3> }} [options.colliders]
+ */
+export function createWalkController({ camera, domElement, colliders = { obstacles: [], grounds: [] } }) {
+  const look = new PointerLockControls(camera, domElement);
+  const feet = new THREE.Vector3(); // 脚底位置
+  const velocity = new THREE.Vector3();
+  const pressed = new Set();
+  let active = false;
+  let eyeY = 0;        // 平滑后的脚底高度（上下台阶时不突变）
+  const listeners = new Set();
+
+  const forward = new THREE.Vector3();
+  const right = new THREE.Vector3();
+  const wish = new THREE.Vector3();
+
+  // 圆心在 (x, z) 的身体是否与包围盒在水平面上相交
+  const overlaps = (box, x, z, radius) => {
+    const dx = x - THREE.MathUtils.clamp(x, box.min.x, box.max.x);
+    const dz = z - THREE.MathUtils.clamp(z, box.min.z, box.max.z);
+    return dx * dx + dz * dz < radius * radius;
+  };
+
+  // (x, z) 处脚下的高度：可行走区域为 0，踩在讲台地坪等矮物体上时为其顶部
+  const groundHeightAt = (x, z, fromY) => {
+    let height = 0;
+    colliders.obstacles.forEach((box) => {
+      if (box.max.y <= fromY + STEP_HEIGHT && box.max.y > height && overlaps(box, x, z, BODY_RADIUS * 0.5)) {
+        height = box.max.y;
+      }
+    });
+    return height;
+  };
+
+  const isWalkable = (x, z) => colliders.grounds.length === 0
+    || colliders.grounds.some(box => x >= box.min.x && x <= box.max.x && z >= box.min.z && z <= box.max.z);
+
+  // 迈不上去（顶部高于台阶高度）且与身体高度范围相交的物体阻挡行走
+  const isBlocked = (x, z) => {
+    if (!isWalkable(x, z)) return true;
+    return colliders.obstacles.some(box =>
+      box.max.y > feet.y + STEP_HEIGHT && box.min.y < feet.y + BODY_HEIGHT && overlaps(box, x, z, BODY_RADIUS));
+  };
+
+  // 从 (x, z) 向外一圈圈寻找最近的不被阻挡的位置（如座位视角正好在椅子上）
+  const moveToFreeSpot = () => {
+    if (!isBlocked(feet.x, feet.z)) return;
+    for (let r = SPAWN_SEARCH_STEP; r <= SPAWN_SEARCH_RADIUS; r += SPAWN_SEARCH_STEP) {
+      const steps = Math.ceil((Math.PI * 2 * r) / SPAWN_SEARCH_STEP);
+      for (let i = 0; i < steps; i++) {
+        const angle = (i / steps) * Math.PI * 2;
+        const x = feet.x + Math.cos(angle) * r;
+        const z = feet.z + Math.sin(angle) * r;
+        if (!isBlocked(x, z)) {
+          feet.x = x;
+          feet.z = z;
+          return;
+        }
+      }
+    }
+  };
+
+  const onKeyDown = (event) => {
+    if (!active || event.target.closest?.('input, select, textarea')) return;
+    if (KEY_DIRECTIONS[event.code] || event.code === 'ShiftLeft' || event.code === 'ShiftRight') {
+      pressed.add(event.code);
+      event.preventDefault();
+    }
+  };
+  const onKeyUp = (event) => pressed.delete(event.code);
+  const onBlur = () => pressed.clear();
+  const onClick = () => {
+    if (active && !look.isLocked) look.lock();
+  };
+
+  window.addEventListener('keydown', onKeyDown);
+  window.addEventListener('keyup', onKeyUp);
+  window.addEventListener('blur', onBlur);
+  domElement.addEventListener('click', onClick);
+
+  return {
+    /**
+     * 进入漫游：从相机当前位置（被挡住时为附近的空位）出发，点击画面锁定指针后可用鼠标环视
+     */
+    enter() {
+      if (active) return;
+      active = true;
+      feet.set(camera.position.x, 0, camera.position.z);
+      feet.y = groundHeightAt(feet.x, feet.z, camera.position.y - EYE_HEIGHT);
+      moveToFreeSpot();
+      feet.y = groundHeightAt(feet.x, feet.z, feet.y);
+      eyeY = feet.y;
+      velocity.set(0, 0, 0);
+      listeners.forEach(fn => fn(true));
+    },
+
+    /** 退出漫游并解除指针锁定 */
+    exit() {
+      if (!active) return;
+      active = false;
+      pressed.clear();
+      if (look.isLocked) look.unlock();
+      listeners.forEach(fn => fn(false));
+    },
+
+    isActive() {
+      return active;
+    },
+
+    /**
+     * 教室重建后更换碰撞体
+     * @param {{ obstacles: Array<THREE.Box3>, grounds: Array<THREE.Box3> }} value
+     */
+    setColliders(value) {
+      colliders = value;
+    },
+
+    /**
+     * 订阅进入 / 退出漫游
+     * @param {(active: boolean) => void} fn
+     * @returns {() => void} 取消订阅
+     */
+    onChange(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /**
+     * 每帧调用：按键移动并处理碰撞（分别尝试 X、Z 方向，撞墙时沿墙滑动）
+     * @param {number} delta 秒
+     */
+    update(delta) {
+      if (!active) return;
+      camera.getWorldDirection(forward);
+      forward.y = 0;
+      forward.normalize();
+      right.crossVectors(forward, camera.up).normalize();
+
+      wish.set(0, 0, 0);
+      pressed.forEach((code) => {
+        const dir = KEY_DIRECTIONS[code];
+        if (!dir) return;
+        wish.addScaledVector(right, dir[0]).addScaledVector(forward, dir[1]);
+      });
+      if (wish.lengthSq() > 0) {
+        const run = pressed.has('ShiftLeft') || pressed.has('ShiftRight');
+        wish.normalize().multiplyScalar(WALK_SPEED * (run ? RUN_MULTIPLIER : 1));
+      }
+      velocity.lerp(wish, 1 - Math.exp(-delta * ACCELERATION));
+
+      const nextX = feet.x + velocity.x * delta;
+      if (!isBlocked(nextX, feet.z)) {
+        feet.x = nextX;
+      } else {
+        velocity.x = 0;
+      }
+      const nextZ = feet.z + velocity.z * delta;
+      if (!isBlocked(feet.x, nextZ)) {
+        feet.z = nextZ;
+      } else {
+        velocity.z = 0;
+      }
+
+      feet.y = groundHeightAt(feet.x, feet.z, feet.y);
+      eyeY = THREE.MathUtils.lerp(eyeY, feet.y, 1 - Math.exp(-delta * STEP_SMOOTHING));
+      camera.position.set(feet.x, eyeY + EYE_HEIGHT, feet.z);
+    },
+
+    dispose() {
+      this.exit();
+      look.dispose();
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+      window.removeEventListener('blur', onBlur);
+      domElement.removeEventListener('click', onClick);
+    }
+  };
+}